@@ -0,0 +1,57 @@
+// Stand-in CRM for enriching coverage links locally. No dependencies.
+//
+//   npm run crm-mock                    # listens on PORT (default 8789)
+//   VITE_OOO_CRM=/crm npm run dev       # point the app at it through the Vite proxy
+//
+//   GET /crm/records?ids=a,b,c   the known records among those 18-character IDs
+//
+// Records come from CRM_FIXTURES (default server/crm-fixtures.json). Fixtures give close
+// dates as `closeInDays` from today so the demo data never goes stale.
+import { createServer } from "node:http";
+import { readFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+
+const PORT = Number(process.env.PORT) || 8789;
+const FIXTURES = process.env.CRM_FIXTURES || fileURLToPath(new URL("./crm-fixtures.json", import.meta.url));
+
+function closeDate(days) {
+  if (days == null) return null;
+  const d = new Date();
+  d.setDate(d.getDate() + days);
+  return [d.getFullYear(), d.getMonth() + 1, d.getDate()].map((n) => String(n).padStart(2, "0")).join("-");
+}
+
+// Read on every request so fixture edits show up without a restart
+async function records() {
+  const fixtures = JSON.parse(await readFile(FIXTURES, "utf8"));
+  return fixtures.map(({ closeInDays, ...r }) => ({ ...r, closeDate: closeDate(closeInDays) }));
+}
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, "http://localhost");
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  const reply = (status, payload) => {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(payload));
+  };
+  if (req.method === "OPTIONS") {
+    res.writeHead(204).end();
+    return;
+  }
+
+  if (!/^\/crm\/records\/?$/.test(url.pathname)) return reply(404, { error: "Not found." });
+  if (req.method !== "GET") return reply(405, { error: `${req.method} is not supported here.` });
+  const ids = new Set((url.searchParams.get("ids") || "").split(",").filter(Boolean));
+  try {
+    reply(200, (await records()).filter((r) => ids.has(r.id)));
+  } catch (err) {
+    console.error(err);
+    reply(500, { error: "Can't read the CRM fixtures." });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`CRM mock on http://localhost:${PORT}/crm/records (fixtures: ${FIXTURES})`);
+});
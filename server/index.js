@@ -0,0 +1,307 @@
+// Shared storage for the OOO tracker: a tiny JSON-file REST server with no dependencies.
+//
+//   npm run server                      # listens on PORT (default 8787)
+//   VITE_OOO_API=/api npm run dev       # point the app at it through the Vite proxy
+//
+// Entries are kept in OOO_DATA_FILE (default server/ooo-data.json).
+//   GET    /api/entries
+//   POST   /api/entries                         PUT/DELETE /api/entries/:id
+//   POST   /api/entries/:id/coverage[?index=n]  PUT/DELETE /api/entries/:id/coverage/:itemId
+//
+// Shared settings (people directory, teams, absence types, policies, holidays, handoff
+// templates) live in OOO_SETTINGS_FILE (default server/ooo-settings.json), one value per key.
+//   GET    /api/settings                        PUT /api/settings/:key
+//
+// Change history is appended, one JSON record per line, to OOO_AUDIT_FILE (default
+// server/ooo-audit.jsonl). There is deliberately no way to edit or delete it over HTTP.
+//   GET    /api/audit[?entryId=]
+//   POST   /api/audit                           body: [record, ...]
+//
+// Reminders already sent are kept in OOO_REMINDERS_FILE (default server/ooo-reminders.json),
+// { [reminder key]: date sent }, so each goes out from one browser only. A client claims the
+// keys it's about to send and gets back the ones nobody had; it releases a claim it couldn't
+// deliver so the next check retries it.
+//   POST   /api/reminders                       body: { keys: [key, ...], date }
+//   DELETE /api/reminders/:key
+import { createServer } from "node:http";
+import { appendFile, readFile, rename, writeFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = process.env.OOO_DATA_FILE || fileURLToPath(new URL("./ooo-data.json", import.meta.url));
+const SETTINGS_FILE =
+  process.env.OOO_SETTINGS_FILE || fileURLToPath(new URL("./ooo-settings.json", import.meta.url));
+const SETTING_KEYS = ["people", "teams", "types", "policies", "holidays", "templates"];
+const AUDIT_FILE = process.env.OOO_AUDIT_FILE || fileURLToPath(new URL("./ooo-audit.jsonl", import.meta.url));
+const REMINDERS_FILE =
+  process.env.OOO_REMINDERS_FILE || fileURLToPath(new URL("./ooo-reminders.json", import.meta.url));
+// Claims are forgotten after this many days; nothing that old can come due again
+const REMINDER_MEMORY_DAYS = 60;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+async function load(file = DATA_FILE) {
+  try {
+    return JSON.parse(await readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+// Write to a temp file and rename so a crash never leaves half a JSON file behind
+async function save(data, file = DATA_FILE) {
+  const tmp = `${file}.tmp`;
+  await writeFile(tmp, JSON.stringify(data, null, 2));
+  await rename(tmp, file);
+}
+
+// One change at a time, each reading the latest copy from disk
+let queue = Promise.resolve();
+function mutate(fn, file = DATA_FILE, empty = []) {
+  const run = queue.then(async () => {
+    const data = (await load(file)) || empty;
+    const result = fn(data);
+    await save(data, file);
+    return result;
+  });
+  queue = run.catch(() => {});
+  return run;
+}
+
+function findEntry(entries, id) {
+  const entry = entries.find((e) => e.id === id);
+  if (!entry) throw new HttpError(404, `No entry with id ${id}.`);
+  return entry;
+}
+
+function coverageOf(entry) {
+  if (!Array.isArray(entry.coverage)) entry.coverage = [];
+  return entry.coverage;
+}
+
+function requireId(body, what) {
+  if (!body || typeof body !== "object" || typeof body.id !== "string" || !body.id) {
+    throw new HttpError(400, `${what} needs a string "id".`);
+  }
+}
+
+function validateEntry(body) {
+  requireId(body, "An entry");
+  for (const field of ["start", "end"]) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(body[field] || "")) {
+      throw new HttpError(400, `"${field}" must be a YYYY-MM-DD date.`);
+    }
+  }
+  if (body.end < body.start) throw new HttpError(400, "End date cannot be before start date.");
+}
+
+async function routeSettings(method, parts, body) {
+  const [key] = parts;
+  if (!key && method === "GET") return (await load(SETTINGS_FILE)) || {};
+  if (key && parts.length === 1 && method === "PUT") {
+    if (!SETTING_KEYS.includes(key)) throw new HttpError(404, `No setting called ${key}.`);
+    if (body === undefined) throw new HttpError(400, "Expected the setting's value as JSON.");
+    return mutate(
+      (settings) => {
+        settings[key] = body;
+        return body;
+      },
+      SETTINGS_FILE,
+      {}
+    );
+  }
+  throw new HttpError(405, `${method} is not supported here.`);
+}
+
+async function loadAudit() {
+  let text;
+  try {
+    text = await readFile(AUDIT_FILE, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+  return text
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+function validateRecord(record) {
+  requireId(record, "A history record");
+  if (typeof record.entryId !== "string" || typeof record.action !== "string" || typeof record.at !== "string") {
+    throw new HttpError(400, 'A history record needs "entryId", "action" and "at".');
+  }
+}
+
+let auditQueue = Promise.resolve();
+function appendAudit(records) {
+  const run = auditQueue.then(() => appendFile(AUDIT_FILE, records.map((r) => JSON.stringify(r) + "\n").join("")));
+  auditQueue = run.catch(() => {});
+  return run;
+}
+
+async function routeAudit(method, query, body) {
+  if (method === "GET") {
+    const records = await loadAudit();
+    return query.has("entryId") ? records.filter((r) => r.entryId === query.get("entryId")) : records;
+  }
+  if (method === "POST") {
+    if (!Array.isArray(body)) throw new HttpError(400, "Expected an array of history records.");
+    body.forEach(validateRecord);
+    await appendAudit(body);
+    return body;
+  }
+  throw new HttpError(405, "History can only be read and appended to.");
+}
+
+async function routeReminders(method, parts, body) {
+  if (method === "POST" && parts.length === 0) {
+    const { keys, date } = body || {};
+    if (!Array.isArray(keys) || !keys.every((k) => typeof k === "string") || !/^\d{4}-\d{2}-\d{2}$/.test(date || "")) {
+      throw new HttpError(400, 'Expected { "keys": [string, ...], "date": "YYYY-MM-DD" }.');
+    }
+    const forgetBefore = new Date(Date.parse(date) - REMINDER_MEMORY_DAYS * 864e5).toISOString().slice(0, 10);
+    return mutate(
+      (sent) => {
+        for (const [key, when] of Object.entries(sent)) if (when < forgetBefore) delete sent[key];
+        const claimed = keys.filter((key) => !sent[key]);
+        for (const key of claimed) sent[key] = date;
+        return claimed;
+      },
+      REMINDERS_FILE,
+      {}
+    );
+  }
+  if (method === "DELETE" && parts.length === 1) {
+    return mutate(
+      (sent) => {
+        delete sent[parts[0]];
+        return null;
+      },
+      REMINDERS_FILE,
+      {}
+    );
+  }
+  throw new HttpError(405, `${method} is not supported here.`);
+}
+
+function pathParts(rest = "") {
+  try {
+    return rest.split("/").filter(Boolean).map(decodeURIComponent);
+  } catch {
+    throw new HttpError(400, "The path has a broken %-escape.");
+  }
+}
+
+async function readBody(req) {
+  let text = "";
+  for await (const chunk of req) text += chunk;
+  if (!text) return undefined;
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new HttpError(400, "Request body is not valid JSON.");
+  }
+}
+
+async function route(method, parts, query, body) {
+  const [entryId, sub, itemId] = parts;
+
+  if (!entryId) {
+    if (method === "GET") return (await load()) ?? null;
+    if (method === "POST") {
+      validateEntry(body);
+      return mutate((entries) => {
+        if (entries.some((e) => e.id === body.id)) throw new HttpError(409, `Entry ${body.id} already exists.`);
+        entries.push(body);
+        return body;
+      });
+    }
+  } else if (!sub) {
+    if (method === "PUT") {
+      validateEntry(body);
+      if (body.id !== entryId) throw new HttpError(400, "Entry id in the body doesn't match the URL.");
+      return mutate((entries) => {
+        entries[entries.indexOf(findEntry(entries, entryId))] = body;
+        return body;
+      });
+    }
+    if (method === "DELETE") {
+      return mutate((entries) => {
+        entries.splice(entries.indexOf(findEntry(entries, entryId)), 1);
+        return null;
+      });
+    }
+  } else if (sub === "coverage") {
+    if (method === "POST" && !itemId) {
+      requireId(body, "A coverage item");
+      return mutate((entries) => {
+        const items = coverageOf(findEntry(entries, entryId));
+        const index = query.has("index") ? Number(query.get("index")) : items.length;
+        items.splice(Number.isInteger(index) ? index : items.length, 0, body);
+        return body;
+      });
+    }
+    if (itemId && (method === "PUT" || method === "DELETE")) {
+      if (method === "PUT") requireId(body, "A coverage item");
+      return mutate((entries) => {
+        const items = coverageOf(findEntry(entries, entryId));
+        const index = items.findIndex((c) => c?.id === itemId);
+        if (index < 0) throw new HttpError(404, `No coverage item with id ${itemId}.`);
+        if (method === "PUT") items[index] = { ...body, id: itemId };
+        else items.splice(index, 1);
+        return method === "PUT" ? items[index] : null;
+      });
+    }
+  }
+  throw new HttpError(405, `${method} is not supported here.`);
+}
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, "http://localhost");
+  // The app may be served from another origin in development
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  if (req.method === "OPTIONS") {
+    res.writeHead(204).end();
+    return;
+  }
+
+  const match = url.pathname.match(/^\/api\/(entries|settings|audit|reminders)(?:\/(.*))?$/);
+  let status = 200;
+  let payload;
+  try {
+    if (!match) throw new HttpError(404, "Not found.");
+    const parts = pathParts(match[2]);
+    const body = await readBody(req);
+    if (match[1] === "audit") {
+      if (parts.length) throw new HttpError(404, "Not found.");
+      payload = await routeAudit(req.method, url.searchParams, body);
+    } else if (match[1] === "settings") {
+      payload = await routeSettings(req.method, parts, body);
+    } else if (match[1] === "reminders") {
+      payload = await routeReminders(req.method, parts, body);
+    } else {
+      payload = await route(req.method, parts, url.searchParams, body);
+    }
+    if (req.method === "POST") status = 201;
+  } catch (err) {
+    status = err.status || 500;
+    payload = { error: err.status ? err.message : "Internal server error." };
+    if (!err.status) console.error(err);
+  }
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(payload));
+});
+
+server.listen(PORT, () => {
+  console.log(`OOO server on http://localhost:${PORT}/api (data: ${DATA_FILE})`);
+});
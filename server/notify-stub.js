@@ -0,0 +1,76 @@
+// Stand-in for a webhook/email relay, for trying out reminders locally. No dependencies.
+//
+//   npm run notify-stub                 # listens on PORT (default 8788)
+//
+//   POST /hooks/:name    records the JSON body and prints it (an email-looking summary when
+//                        the body has { email: { to, subject, text } })
+//   GET  /hooks          the last 100 deliveries, newest first
+//   DELETE /hooks        forget them
+import { createServer } from "node:http";
+
+const PORT = Number(process.env.PORT) || 8788;
+const KEEP = 100;
+const received = [];
+
+async function readJSON(req) {
+  let text = "";
+  for await (const chunk of req) text += chunk;
+  return text ? JSON.parse(text) : null;
+}
+
+function print(hook, body) {
+  const email = body?.email;
+  if (email) {
+    const to = email.to?.length ? email.to.join(", ") : "(no recipients)";
+    console.log(`[${hook}] email to ${to}\n  Subject: ${email.subject}\n  ${String(email.text).replace(/\n/g, "\n  ")}`);
+  } else {
+    console.log(`[${hook}]`, JSON.stringify(body));
+  }
+}
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, "http://localhost");
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  const reply = (status, payload) => {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(payload));
+  };
+  if (req.method === "OPTIONS") {
+    res.writeHead(204).end();
+    return;
+  }
+
+  const match = url.pathname.match(/^\/hooks(?:\/([^/]+))?\/?$/);
+  if (!match) return reply(404, { error: "Not found." });
+  let hook = null;
+  try {
+    hook = match[1] ? decodeURIComponent(match[1]) : null;
+  } catch {
+    return reply(400, { error: "The hook name has a broken %-escape." });
+  }
+
+  if (req.method === "GET" && !hook) return reply(200, received);
+  if (req.method === "DELETE" && !hook) {
+    received.length = 0;
+    return reply(200, null);
+  }
+  if (req.method === "POST" && hook) {
+    let body;
+    try {
+      body = await readJSON(req);
+    } catch {
+      return reply(400, { error: "Request body is not valid JSON." });
+    }
+    received.unshift({ hook, at: new Date().toISOString(), body });
+    received.length = Math.min(received.length, KEEP);
+    print(hook, body);
+    return reply(202, { ok: true });
+  }
+  reply(405, { error: `${req.method} is not supported here.` });
+});
+
+server.listen(PORT, () => {
+  console.log(`Webhook stub on http://localhost:${PORT}/hooks/<name>`);
+});
@@ -0,0 +1,198 @@
+// Stand-in OpenID Connect provider for trying single sign-on locally. No dependencies.
+//
+//   npm run oidc-mock                   # listens on PORT (default 8790)
+//   VITE_OOO_OIDC_ISSUER=http://localhost:8790 npm run dev
+//
+//   GET  /.well-known/openid-configuration
+//   GET  /authorize     a page to pick who to sign in as (no passwords), then redirects back
+//   POST /token         authorization code + PKCE verifier -> ID token
+//
+// Users come from OIDC_USERS (a JSON file of [{ sub, name, email }]) or the list below.
+// The one registered client is OIDC_CLIENT_ID (default "ooo-calendar"); it may only be sent back
+// to OIDC_REDIRECT_URIS (comma-separated, default the Vite dev and preview servers).
+// Tokens are signed with a throwaway HS256 key; the app doesn't check signatures.
+import { createHash, createHmac, randomBytes } from "node:crypto";
+import { readFile } from "node:fs/promises";
+import { createServer } from "node:http";
+
+const PORT = Number(process.env.PORT) || 8790;
+const ISSUER = process.env.OIDC_ISSUER || `http://localhost:${PORT}`;
+const KEY = randomBytes(32);
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_S = 8 * 60 * 60;
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || "ooo-calendar";
+const REDIRECT_URIS = (process.env.OIDC_REDIRECT_URIS || "http://localhost:5173/,http://localhost:4173/")
+  .split(",")
+  .map((u) => u.trim())
+  .filter(Boolean);
+
+const DEFAULT_USERS = [
+  { sub: "u-alex", name: "Alex", email: "alex@example.com" },
+  { sub: "u-priya", name: "Priya", email: "priya@example.com" },
+  { sub: "u-mike", name: "Mike", email: "mike@example.com" },
+];
+
+const codes = new Map(); // code -> { user, clientId, redirectUri, nonce, challenge, expires }
+
+class OidcError extends Error {
+  constructor(status, code, description) {
+    super(description);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+async function users() {
+  if (!process.env.OIDC_USERS) return DEFAULT_USERS;
+  try {
+    const list = JSON.parse(await readFile(process.env.OIDC_USERS, "utf8"));
+    if (Array.isArray(list)) return list;
+  } catch {}
+  throw new OidcError(500, "server_error", `OIDC_USERS (${process.env.OIDC_USERS}) isn't a JSON list of users.`);
+}
+
+// The client and where it asked to be sent back must be registered
+function checkClient(params) {
+  if (params.get("client_id") !== CLIENT_ID) throw new OidcError(400, "invalid_request", "Unknown client_id.");
+  if (!REDIRECT_URIS.includes(params.get("redirect_uri"))) {
+    throw new OidcError(400, "invalid_request", "redirect_uri isn't registered for this client.");
+  }
+}
+
+const base64url = (buf) => Buffer.from(buf).toString("base64url");
+
+function signJwt(claims) {
+  const head = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const body = base64url(JSON.stringify(claims));
+  const sig = createHmac("sha256", KEY).update(`${head}.${body}`).digest("base64url");
+  return `${head}.${body}.${sig}`;
+}
+
+const escapeHtml = (s) => String(s).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+function loginPage(params, list) {
+  const buttons = list
+    .map((u) => {
+      const query = new URLSearchParams({ ...Object.fromEntries(params), user: u.sub });
+      return `<li><a href="/authorize/approve?${escapeHtml(query)}">${escapeHtml(u.name)}</a> <small>${escapeHtml(u.email)}</small></li>`;
+    })
+    .join("");
+  return `<!doctype html><meta charset="utf-8"><title>Mock sign-in</title>
+<body style="font-family: system-ui; max-width: 28rem; margin: 4rem auto">
+<h1>Sign in as…</h1><p>Mock provider for local development; no password needed.</p><ul>${buttons}</ul></body>`;
+}
+
+async function readForm(req) {
+  let text = "";
+  for await (const chunk of req) text += chunk;
+  return new URLSearchParams(text);
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, "http://localhost");
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  const reply = (status, payload) => {
+    res.writeHead(status, { "Content-Type": "application/json", "Cache-Control": "no-store" });
+    res.end(JSON.stringify(payload));
+  };
+  const fail = (status, error, description) => reply(status, { error, error_description: description });
+  if (req.method === "OPTIONS") {
+    res.writeHead(204).end();
+    return;
+  }
+
+  if (req.method === "GET" && url.pathname === "/.well-known/openid-configuration") {
+    return reply(200, {
+      issuer: ISSUER,
+      authorization_endpoint: `${ISSUER}/authorize`,
+      token_endpoint: `${ISSUER}/token`,
+      response_types_supported: ["code"],
+      grant_types_supported: ["authorization_code"],
+      subject_types_supported: ["public"],
+      id_token_signing_alg_values_supported: ["HS256"],
+      code_challenge_methods_supported: ["S256"],
+      scopes_supported: ["openid", "profile", "email"],
+    });
+  }
+
+  if (req.method === "GET" && url.pathname === "/authorize") {
+    const p = url.searchParams;
+    if (p.get("response_type") !== "code" || !p.get("client_id") || !p.get("redirect_uri")) {
+      return fail(400, "invalid_request", "response_type=code, client_id and redirect_uri are required.");
+    }
+    checkClient(p);
+    if (p.get("code_challenge_method") !== "S256" || !p.get("code_challenge")) {
+      return fail(400, "invalid_request", "A PKCE S256 code_challenge is required.");
+    }
+    const page = loginPage(p, await users());
+    res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+    res.end(page);
+    return;
+  }
+
+  if (req.method === "GET" && url.pathname === "/authorize/approve") {
+    const p = url.searchParams;
+    checkClient(p);
+    const user = (await users()).find((u) => u.sub === p.get("user"));
+    if (!user) return fail(400, "invalid_request", "Unknown user.");
+    const code = base64url(randomBytes(24));
+    codes.set(code, {
+      user,
+      clientId: p.get("client_id"),
+      redirectUri: p.get("redirect_uri"),
+      nonce: p.get("nonce"),
+      challenge: p.get("code_challenge"),
+      expires: Date.now() + CODE_TTL_MS,
+    });
+    const back = new URL(p.get("redirect_uri"));
+    back.searchParams.set("code", code);
+    if (p.get("state")) back.searchParams.set("state", p.get("state"));
+    res.writeHead(302, { Location: back.toString() }).end();
+    return;
+  }
+
+  if (req.method === "POST" && url.pathname === "/token") {
+    const form = await readForm(req);
+    const grant = codes.get(form.get("code"));
+    codes.delete(form.get("code")); // single use
+    if (form.get("grant_type") !== "authorization_code") {
+      return fail(400, "unsupported_grant_type", "Only authorization_code is supported.");
+    }
+    if (!grant || grant.expires < Date.now()) return fail(400, "invalid_grant", "The code is unknown or expired.");
+    if (grant.clientId !== form.get("client_id") || grant.redirectUri !== form.get("redirect_uri")) {
+      return fail(400, "invalid_grant", "client_id or redirect_uri doesn't match the authorization request.");
+    }
+    const verifier = form.get("code_verifier") || "";
+    if (createHash("sha256").update(verifier).digest("base64url") !== grant.challenge) {
+      return fail(400, "invalid_grant", "The PKCE code_verifier doesn't match.");
+    }
+    const now = Math.floor(Date.now() / 1000);
+    const { sub, name, email } = grant.user;
+    const claims = { iss: ISSUER, aud: grant.clientId, sub, name, email, iat: now, exp: now + TOKEN_TTL_S };
+    return reply(200, {
+      token_type: "Bearer",
+      access_token: base64url(randomBytes(24)),
+      expires_in: TOKEN_TTL_S,
+      id_token: signJwt(grant.nonce ? { ...claims, nonce: grant.nonce } : claims),
+    });
+  }
+
+  fail(404, "not_found", "Not found.");
+}
+
+const server = createServer(async (req, res) => {
+  try {
+    await handle(req, res);
+  } catch (err) {
+    if (!(err instanceof OidcError)) console.error(err);
+    if (res.headersSent) return res.end();
+    res.writeHead(err.status || 500, { "Content-Type": "application/json", "Cache-Control": "no-store" });
+    res.end(JSON.stringify({ error: err.code || "server_error", error_description: err.message }));
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`OIDC mock provider at ${ISSUER}`);
+});
@@ -1,23 +1,106 @@
-# Create a finalized App.jsx file for the user to download
-from textwrap import dedent
+import React, { useEffect, useMemo, useReducer, useRef, useState } from "react";
+import ApprovalQueue from "./components/ApprovalQueue.jsx";
+import BalancesPanel from "./components/BalancesPanel.jsx";
+import CoverageEditor from "./components/CoverageEditor.jsx";
+import HistoryDrawer from "./components/HistoryDrawer.jsx";
+import HistoryPanel from "./components/HistoryPanel.jsx";
+import HolidaysPanel from "./components/HolidaysPanel.jsx";
+import ImportWizard from "./components/ImportWizard.jsx";
+import MiniCalendar from "./components/MiniCalendar.jsx";
+import PeopleDirectory from "./components/PeopleDirectory.jsx";
+import RemindersPanel from "./components/RemindersPanel.jsx";
+import SignIn from "./components/SignIn.jsx";
+import ReportsPanel from "./components/ReportsPanel.jsx";
+import StaffingPanel from "./components/StaffingPanel.jsx";
+import StatusBadge from "./components/StatusBadge.jsx";
+import TeamTimeline from "./components/TeamTimeline.jsx";
+import TemplatesPanel from "./components/TemplatesPanel.jsx";
+import TypesPanel from "./components/TypesPanel.jsx";
+import { auditRecords } from "./lib/audit.js";
+import { createAuth } from "./lib/auth.js";
+import { DEFAULT_POLICIES, checkBalance } from "./lib/balances.js";
+import { closesWhileOut, createCRM, enrichCoverage } from "./lib/crm.js";
+import { shiftAnchor } from "./lib/calendar.js";
+import { cx } from "./lib/cx.js";
+import { addDays, daysBetween, todayIn } from "./lib/dates.js";
+import { COVERAGE_STATUSES, assigneeConflicts, assignmentsFor, normalizeCoverage } from "./lib/coverage.js";
+import { downloadFile } from "./lib/download.js";
+import { DEFAULT_HOLIDAY_CONFIG, allHolidayLabels, workingCalendar } from "./lib/holidays.js";
+import {
+  DAY_PARTS,
+  HOURS_PER_DAY,
+  canTransition,
+  dayPartLabel,
+  entryStatus,
+  formatDays,
+  isActive,
+  mergeEntries,
+  personKey,
+  transitionEntry,
+  validateDayPart,
+} from "./lib/entries.js";
+import { parseICS, toICS } from "./lib/ics.js";
+import { DEFAULT_REMINDER_SETTINGS } from "./lib/reminders.js";
+import {
+  byDisplayName,
+  canManage,
+  directoryChangeAllowed,
+  linkEntries,
+  makePerson,
+  personForUser,
+  reportsOf,
+} from "./lib/people.js";
+import {
+  REPEAT_OPTIONS,
+  describeRecurrence,
+  expandEntries,
+  occurrences,
+  repeatOptionOf,
+  validateRecurrence,
+} from "./lib/recurrence.js";
+import { parseRecordLink, recordTypeLabel, safeHref } from "./lib/salesforce.js";
+import { DEFAULT_FILTER, filterFromSearch, filterToSearch, matchesQuery, parseQuery, searchContext } from "./lib/search.js";
+import { SHARED_SETTINGS, createStorage, diffEntries } from "./lib/storage.js";
+import { entriesReducer, withBundledImports } from "./lib/store.js";
+import { DEFAULT_TEAMS, overlapping, staffingImpact, teamsOf, withMembers } from "./lib/staffing.js";
+import {
+  DEFAULT_TEMPLATES,
+  fillCoverage,
+  instantiateTemplate,
+  templateVars,
+  templatesFor,
+} from "./lib/templates.js";
+import { DEFAULT_TYPES, balancePolicies, sharedNotes, typeNames, typeOf } from "./lib/types.js";
+import { useAuth } from "./lib/useAuth.js";
+import { useReminders } from "./lib/useReminders.js";
+// The browser's own calendar date; toISOString() would give UTC's, which is a day off
+// for much of the evening (or morning) depending on where you are
+const todayISO = todayIn();
+const storage = createStorage();
+const crm = createCRM();
+const auth = createAuth();
+// Emails of directory admins, e.g. VITE_OOO_ADMINS=dana@example.com; admins can make others admins
+const adminEmails = (import.meta.env.VITE_OOO_ADMINS || "")
+  .split(",")
+  .map((e) => e.trim().toLowerCase())
+  .filter(Boolean);
 
-code = dedent("""\
-import React, { useEffect, useMemo, useState } from "react";
-import importedOOO from "./data/ooo_import_october_2025.json";
-
-const cx = (...a) => a.filter(Boolean).join(" ");
-const todayISO = new Date().toISOString().slice(0, 10);
-
-function isoNDaysFromNow(n) {
-  const d = new Date();
-  d.setDate(d.getDate() + n);
-  return d.toISOString().slice(0, 10);
+// Form fields -> entry.recurrence (null when the request doesn't repeat)
+function recurrenceOf(form) {
+  const rule = REPEAT_OPTIONS.find((o) => o.id === form.repeat)?.rule;
+  if (!rule) return null;
+  return {
+    ...rule,
+    ...(form.repeatEnds === "count" ? { count: Number(form.count) } : { until: form.until }),
+    exceptions: [...form.exceptions].sort(),
+  };
 }
 
 // 👉 Optional starter data (you can delete or edit these)
+// Fixed ids so the seed is recognized as the same entries on every load.
 const seed = [
   {
-    id: crypto.randomUUID(),
+    id: "seed-alex-vacation",
     name: "Alex",
     start: todayISO,
     end: todayISO,
@@ -25,25 +108,25 @@ const seed = [
     notes: "Day off",
   },
   {
-    id: crypto.randomUUID(),
+    id: "seed-priya-sick",
     name: "Priya",
-    start: isoNDaysFromNow(1),
-    end: isoNDaysFromNow(3),
+    start: addDays(todayISO, 1),
+    end: addDays(todayISO, 3),
     type: "Sick Leave",
     notes: "Handover to Mike",
     coverage: [
       {
-        id: crypto.randomUUID(),
+        id: "seed-priya-acme",
         title: "Deal: ACME Q4 renewals",
-        link: "https://yourinstance.lightning.force.com/lightning/r/Opportunity/006XXXXXXXXXXXX/view",
+        link: "https://yourinstance.lightning.force.com/lightning/r/Opportunity/0065g00000AcMeQAAV/view",
         notes: "Renewal due EOM. Confirm pricing w/ finance.",
         tasks: [
-          { id: crypto.randomUUID(), text: "Email decision-maker", done: false },
-          { id: crypto.randomUUID(), text: "Update next steps", done: true },
+          { id: "seed-priya-acme-task-1", text: "Email decision-maker", done: false },
+          { id: "seed-priya-acme-task-2", text: "Update next steps", done: true },
         ],
       },
       {
-        id: crypto.randomUUID(),
+        id: "seed-priya-tier2",
         title: "Support: Tier-2 backlog triage",
         link: "",
         notes: "",
@@ -55,94 +138,661 @@ const seed = [
 
 export default function App() {
   // -------- state
-  const [entries, setEntries] = useState(seed);
+  const session = useAuth(auth);
+  const [entries, dispatchEntries] = useReducer(entriesReducer, []);
+  // Shared settings (see SHARED_SETTINGS) start from this browser's copy until storage has
+  // loaded them, see applySettings
+  const [people, setPeople] = useState(() => {
+    try {
+      const saved = JSON.parse(localStorage.getItem("ooo_people"));
+      if (Array.isArray(saved)) return saved;
+    } catch {}
+    return [];
+  });
   const [form, setForm] = useState({
-    name: "",
+    personId: "",
     start: todayISO,
     end: todayISO,
     type: "Vacation",
+    dayPart: "full", // "full" | "am" | "pm" | "hours"
+    hours: 4,
     notes: "",
+    coverage: [],
+    repeat: "none", // REPEAT_OPTIONS id
+    repeatEnds: "until", // "until" | "count"
+    until: "",
+    count: 6,
+    exceptions: [],
   });
-  const [filter, setFilter] = useState({ query: "", type: "All" });
-  const [tab, setTab] = useState("calendar"); // "calendar" | "requests" | "coverage"
-
-  // ---- month navigation (restricted to 2025)
-  const now = new Date();
-  const [viewYear, setViewYear] = useState(2025);
-  const [viewMonth, setViewMonth] = useState(
-    now.getFullYear() === 2025 ? now.getMonth() : 0 // current month if 2025, else Jan 2025
-  );
-  function prevMonth() {
-    if (viewYear !== 2025) return;
-    if (viewMonth > 0) setViewMonth(viewMonth - 1);
+  const [editingId, setEditingId] = useState(null);
+  const formRef = useRef(null);
+  const [undo, setUndo] = useState(null); // { label, action } — action reverses the change
+  const [historyFor, setHistoryFor] = useState(null); // entry id whose history drawer is open
+  // Starts from the URL so a shared link opens on the same view
+  const [filter, setFilter] = useState(() => filterFromSearch(window.location.search));
+  const [savedFilters, setSavedFilters] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem("ooo_saved_filters")) || [];
+    } catch {
+      return [];
+    }
+  });
+  const [tab, setTab] = useState("calendar"); // "calendar" | "timeline" | "reports" | "requests" | "approvals" | "balances" | "people" | "holidays" | "staffing" | "coverage" | "reminders" | "types" | "templates" | "history" | "import"
+  const [policies, setPolicies] = useState(() => {
+    try {
+      const saved = JSON.parse(localStorage.getItem("ooo_policies"));
+      if (saved) return { ...DEFAULT_POLICIES, ...saved };
+    } catch {}
+    return DEFAULT_POLICIES;
+  });
+  const [holidayConfig, setHolidayConfig] = useState(() => {
+    try {
+      const saved = JSON.parse(localStorage.getItem("ooo_holidays"));
+      if (saved) return { ...DEFAULT_HOLIDAY_CONFIG, ...saved };
+    } catch {}
+    return DEFAULT_HOLIDAY_CONFIG;
+  });
+  const [reminderSettings, setReminderSettings] = useState(() => {
+    try {
+      const saved = JSON.parse(localStorage.getItem("ooo_reminders"));
+      if (saved) return { ...DEFAULT_REMINDER_SETTINGS, ...saved };
+    } catch {}
+    return DEFAULT_REMINDER_SETTINGS;
+  });
+  const [teams, setTeams] = useState(() => {
+    try {
+      const saved = JSON.parse(localStorage.getItem("ooo_teams"));
+      if (Array.isArray(saved)) return saved;
+    } catch {}
+    return DEFAULT_TEAMS;
+  });
+  const [types, setTypes] = useState(() => {
+    try {
+      const saved = JSON.parse(localStorage.getItem("ooo_types"));
+      if (Array.isArray(saved) && saved.length) return saved;
+    } catch {}
+    return DEFAULT_TYPES;
+  });
+  const [templates, setTemplates] = useState(() => {
+    try {
+      const saved = JSON.parse(localStorage.getItem("ooo_templates"));
+      if (Array.isArray(saved)) return saved;
+    } catch {}
+    return DEFAULT_TEMPLATES;
+  });
+
+  // ---- calendar navigation (any year; view is "week" | "month" | "quarter")
+  const [calView, setCalView] = useState("month");
+  const [viewDate, setViewDate] = useState(todayISO);
+  const prevPeriod = () => setViewDate((d) => shiftAnchor(calView, d, -1));
+  const nextPeriod = () => setViewDate((d) => shiftAnchor(calView, d, 1));
+  function jumpTo(iso, view) {
+    setViewDate(iso);
+    if (view) setCalView(view);
+  }
+
+  // Incoming rows are matched to people (by name or alias) before the duplicate check
+  function linkIncoming(rows) {
+    const linked = linkEntries(people, rows);
+    if (linked.people.length !== people.length) setPeople(linked.people);
+    return linked.entries;
+  }
+
+  // ---- persistence
+  // Entries go through the storage adapter optimistically: the UI updates first, changes are
+  // sent in order, and a failed save rolls back to the last state the backend accepted.
+  const [storageReady, setStorageReady] = useState(false);
+  const [storageError, setStorageError] = useState(null); // { message, retry? }
+  const [saving, setSaving] = useState(0);
+  const synced = useRef(null); // last state handed to storage
+  const confirmed = useRef(null); // last state storage accepted
+  const syncQueue = useRef(Promise.resolve());
+  const syncEpoch = useRef(0);
+  const [audit, setAudit] = useState([]); // history records, oldest first
+  const pendingAudit = useRef([]); // records for changes not yet handed to storage
+
+  function loadAudit() {
+    storage.loadAudit().then(setAudit, (err) =>
+      setStorageError({ message: `Couldn't load the change history: ${err.message}`, retry: loadAudit })
+    );
+  }
+
+  // Shared settings as storage has them; one it hasn't saved yet keeps this browser's value
+  const savedSettings = useRef({}); // JSON of each shared setting as storage last had it
+  const settingsQueue = useRef(Promise.resolve());
+  function applySettings(settings) {
+    if (Array.isArray(settings.people)) setPeople(settings.people);
+    if (Array.isArray(settings.teams)) setTeams(settings.teams);
+    if (Array.isArray(settings.types) && settings.types.length) setTypes(settings.types);
+    if (settings.policies) setPolicies({ ...DEFAULT_POLICIES, ...settings.policies });
+    if (settings.holidays) setHolidayConfig({ ...DEFAULT_HOLIDAY_CONFIG, ...settings.holidays });
+    if (Array.isArray(settings.templates)) setTemplates(settings.templates);
+    for (const [name, value] of Object.entries(settings)) savedSettings.current[name] = JSON.stringify(value);
   }
-  function nextMonth() {
-    if (viewYear !== 2025) return;
-    if (viewMonth < 11) setViewMonth(viewMonth + 1);
+
+  function loadEntries() {
+    setStorageError(null);
+    loadAudit();
+    Promise.all([storage.loadSettings(), storage.load()]).then(
+      ([settings, saved]) => {
+        applySettings(settings);
+        // First run starts from the seed; bundled spreadsheets are merged on top either way
+        dispatch({ type: "replace", entries: withBundledImports(saved || seed) });
+        synced.current = confirmed.current = saved || [];
+        setStorageReady(true);
+      },
+      (err) => setStorageError({ message: `Couldn't load entries and settings: ${err.message}`, retry: loadEntries })
+    );
   }
+  useEffect(loadEntries, []);
+
+  // Every entry points at a person, and its name follows the person's display name. Waits for
+  // storage so entries are linked against the shared directory, not this browser's old copy.
+  useEffect(() => {
+    if (!storageReady) return;
+    const byId = new Map(people.map((p) => [p.id, p]));
+    if (entries.every((e) => byId.get(e.personId)?.displayName === e.name)) return;
+    const linked = linkEntries(people, entries);
+    if (linked.people.length !== people.length) setPeople(linked.people);
+    if (linked.changed) dispatch({ type: "replace", entries: linked.entries });
+  }, [entries, people, storageReady]);
 
-  // ---- merge imported OOO once
   useEffect(() => {
-    setEntries((prev) => {
-      const exists = (a, b) =>
-        a.name === b.name &&
-        a.start === b.start &&
-        a.end === b.end &&
-        a.type === b.type;
-      const merged = [...prev];
-      for (const n of importedOOO) {
-        if (!merged.some((m) => exists(m, n))) merged.push(n);
+    if (!storageReady) return;
+    const ops = diffEntries(synced.current, entries);
+    if (ops.length === 0) {
+      pendingAudit.current = []; // changed and changed back before it was saved
+      return;
+    }
+    const next = entries;
+    const records = pendingAudit.current.splice(0);
+    const epoch = syncEpoch.current;
+    synced.current = next;
+    setSaving((n) => n + 1);
+    syncQueue.current = syncQueue.current.then(async () => {
+      if (epoch !== syncEpoch.current) return; // built on a change that was rolled back
+      try {
+        await storage.apply(ops, next);
+        confirmed.current = next;
+        if (records.length) await recordHistory(records);
+      } catch (err) {
+        // The change's history records are dropped with it
+        syncEpoch.current++;
+        synced.current = confirmed.current;
+        dispatch({ type: "replace", entries: confirmed.current });
+        setStorageError({ message: `Couldn't save your change, so it was undone: ${err.message}` });
+      } finally {
+        setSaving((n) => n - 1);
       }
-      return merged;
     });
-  }, []);
+  }, [entries, storageReady]);
 
-  // ---- persistence
+  // A change that saved stays saved even if its history can't be written
+  async function recordHistory(records) {
+    try {
+      await storage.appendAudit(records);
+      setAudit((prev) => [...prev, ...records]);
+    } catch (err) {
+      setStorageError({ message: `Your change was saved, but not recorded in its history: ${err.message}` });
+    }
+  }
+
+  // Pick up teammates' changes when coming back to the tab
   useEffect(() => {
-    const saved = localStorage.getItem("ooo_entries");
-    if (saved) {
-      try {
-        setEntries(JSON.parse(saved));
-      } catch {}
+    function refresh() {
+      if (!storageReady || synced.current !== confirmed.current) return;
+      storage.loadSettings().then(applySettings, () => {});
+      storage.load().then(
+        (saved) => {
+          if (!saved || synced.current !== confirmed.current) return;
+          synced.current = confirmed.current = saved;
+          dispatch({ type: "replace", entries: saved });
+        },
+        () => {}
+      );
+      storage.loadAudit().then(setAudit, () => {});
+    }
+    window.addEventListener("focus", refresh);
+    return () => window.removeEventListener("focus", refresh);
+  }, [storageReady]);
+
+  // Shared settings go through the storage adapter (the team server, if there is one), in order
+  // and only once loaded, so this browser's old copy never overwrites what the team has
+  useEffect(() => {
+    if (!storageReady) return;
+    const current = { people, teams, types, policies, holidays: holidayConfig, templates };
+    for (const name of SHARED_SETTINGS) {
+      const json = JSON.stringify(current[name]);
+      if (savedSettings.current[name] === json) continue;
+      savedSettings.current[name] = json;
+      settingsQueue.current = settingsQueue.current.then(() =>
+        storage
+          .saveSetting(name, current[name])
+          .catch((err) => setStorageError({ message: `Couldn't save ${name}: ${err.message}` }))
+      );
     }
-  }, []);
+  }, [storageReady, people, teams, types, policies, holidayConfig, templates]);
   useEffect(() => {
-    localStorage.setItem("ooo_entries", JSON.stringify(entries));
-  }, [entries]);
+    localStorage.setItem("ooo_saved_filters", JSON.stringify(savedFilters));
+  }, [savedFilters]);
+  useEffect(() => {
+    localStorage.setItem("ooo_reminders", JSON.stringify(reminderSettings));
+  }, [reminderSettings]);
+  // Anything that leaves the app (exports, reminders) carries notes only where the type allows it
+  const sharedEntries = useMemo(() => entries.map((e) => ({ ...e, notes: sharedNotes(types, e) })), [entries, types]);
+  const reminders = useReminders({ storage, settings: reminderSettings, entries: sharedEntries, people, ready: storageReady });
+  // replaceState rather than pushState: typing in the search box shouldn't flood the back button
+  useEffect(() => {
+    const search = filterToSearch(filter, window.location.search);
+    if (search !== window.location.search) {
+      window.history.replaceState(null, "", window.location.pathname + search + window.location.hash);
+    }
+  }, [filter]);
 
   // -------- computed
+  const peopleById = useMemo(() => new Map(people.map((p) => [p.id, p])), [people]);
+  const sortedPeople = useMemo(() => [...people].sort(byDisplayName), [people]);
+  const teamsWithMembers = useMemo(() => withMembers(teams, people), [teams, people]);
+
+  const query = useMemo(() => parseQuery(filter.query), [filter.query]);
   const filtered = useMemo(() => {
+    const reports = filter.manager === "All" ? null : reportsOf(people, filter.manager);
     return entries.filter((e) => {
-      const text = [e.name, e.type, e.notes, ...(e.coverage || [])]
-        .join(" ")
-        .toLowerCase();
-      const q = (filter.query || "").toLowerCase();
-      const matchesText = !q || text.includes(q);
+      const context = searchContext(e, peopleById, teams);
+      const person = context.person;
+      const matchesText = matchesQuery({ ...e, notes: sharedNotes(types, e) }, query, context);
       const matchesType = filter.type === "All" || e.type === filter.type;
-      return matchesText && matchesType;
+      const matchesTeam = filter.team === "All" || person?.team === filter.team;
+      const matchesManager = !reports || reports.has(personKey(e));
+      return matchesText && matchesType && matchesTeam && matchesManager;
     });
-  }, [entries, filter]);
+  }, [entries, filter, query, people, peopleById, teams, types]);
 
-  const todaysOOO = useMemo(() => {
-    const t = new Date(todayISO);
-    return entries.filter((e) => new Date(e.start) <= t && t <= new Date(e.end));
-  }, [entries]);
+  // Working-day math (weekends + each person's regional holidays)
+  const workCal = useMemo(
+    () => workingCalendar(holidayConfig, entries, peopleById),
+    [holidayConfig, entries, peopleById]
+  );
+  const holidayLabels = useMemo(() => allHolidayLabels(holidayConfig), [holidayConfig]);
+  // Only types that count against the balance are tracked, whatever the saved policies say
+  const effectivePolicies = useMemo(() => balancePolicies(policies, types), [policies, types]);
+  const managers = useMemo(
+    () => sortedPeople.filter((p) => people.some((r) => r.managerId === p.id)),
+    [sortedPeople, people]
+  );
+
+  // Rejected and cancelled requests stay in the lists but not on the calendar
+  const activeEntries = useMemo(() => entries.filter(isActive), [entries]);
+
+  // The signed-in user's directory entry, and who they may submit and edit requests for
+  const me = useMemo(() => personForUser(people, session.user, { byName: auth.kind === "dev" }), [people, session.user]);
+  const directoryEditor = useMemo(
+    () => me && { ...me, admin: Boolean(me.admin || adminEmails.includes((me.email || "").toLowerCase())) },
+    [me]
+  );
+  const mayManage = (personId) => canManage(people, me?.id, personId);
+  const mayEdit = (entry) => mayManage(personKey(entry));
+  const managedPeople = useMemo(
+    () => sortedPeople.filter((p) => canManage(people, me?.id, p.id)),
+    [sortedPeople, people, me]
+  );
+  const myEntries = useMemo(() => entries.filter((e) => me && personKey(e) === me.id), [entries, me]);
+  // Approving and rejecting is for managers, never for the person asking
+  const mayDecide = (entry) => Boolean(me) && personKey(entry) !== me.id && mayManage(personKey(entry));
+  const decidable = useMemo(() => entries.filter(mayDecide), [entries, people, me]);
+  const pendingCount = decidable.filter((e) => entryStatus(e) === "pending").length;
+
+  // Every entries action goes through here, so each change is diffed into history records
+  // (audit.js) by whoever made it; they're stored once the change itself is saved. "replace"
+  // is the app itself (loads, rollbacks, relinking names) and isn't recorded.
+  const latestEntries = useRef(entries);
+  function dispatch(action) {
+    const next = entriesReducer(latestEntries.current, action);
+    if (action.type !== "replace") {
+      const actor = me
+        ? { id: me.id, name: me.displayName }
+        : { id: session.user?.id ?? null, name: session.user?.name || "Unknown" };
+      pendingAudit.current.push(...auditRecords(latestEntries.current, next, actor, action.audit));
+    }
+    latestEntries.current = next;
+    dispatchEntries(action);
+  }
+
+  function changePeople(next) {
+    if (!directoryChangeAllowed(people, next, directoryEditor)) {
+      alert("Only admins, or the person's managers for team and reporting line, can make that change.");
+      return;
+    }
+    setPeople(next);
+  }
+
+  // The absence type catalog is maintained by admins
+  function changeTypes(next) {
+    if (!directoryEditor?.admin) {
+      alert("Only admins can change absence types.");
+      return;
+    }
+    setTypes(next);
+  }
+
+  // Someone signing in for the first time is added to the directory so their requests have an owner
+  useEffect(() => {
+    if (!storageReady || !session.user || me) return;
+    const { id: userId, name, email } = session.user;
+    const byName = auth.kind === "dev";
+    setPeople((prev) =>
+      personForUser(prev, session.user, { byName }) ? prev : [...prev, makePerson(name, prev, { email, userId })]
+    );
+  }, [storageReady, session.user, me]);
+  // The request form starts out for whoever is signed in
+  useEffect(() => {
+    if (me) setForm((f) => (f.personId && mayManage(f.personId) ? f : { ...f, personId: me.id }));
+  }, [me?.id]);
+
+  // Live conflict check for the submission form: who else is out, and which teams dip below minimum
+  const formConflicts = useMemo(() => {
+    if (!form.start || !form.end || form.end < form.start) return { overlaps: [], impact: [] };
+    const candidate = {
+      ...form,
+      id: editingId,
+      name: peopleById.get(form.personId)?.displayName,
+      hours: Number(form.hours),
+      recurrence: recurrenceOf(form),
+    };
+    if (validateRecurrence(candidate)) candidate.recurrence = null;
+    const teammates = new Set(teamsOf(teamsWithMembers, form.personId).flatMap((t) => t.members));
+    const isTeammate = (e) => teammates.has(personKey(e));
+    const overlaps = overlapping(entries, candidate).sort(
+      (a, b) => isTeammate(b) - isTeammate(a) || a.start.localeCompare(b.start)
+    );
+    return {
+      overlaps: overlaps.map((e) => ({ ...e, teammate: isTeammate(e) })),
+      impact: form.personId ? staffingImpact(teamsWithMembers, entries, candidate, workCal.isOff) : [],
+    };
+  }, [form, editingId, entries, peopleById, teamsWithMembers, workCal]);
+
+  // Occurrences of the repeat being entered, ignoring skipped dates so they can be toggled back
+  const repeatPreview = useMemo(() => {
+    const recurrence = recurrenceOf(form);
+    if (!recurrence || form.end < form.start || validateRecurrence({ ...form, recurrence })) return [];
+    return occurrences({ ...form, recurrence: { ...recurrence, exceptions: [] } }).slice(0, 24);
+  }, [form]);
+
+  const todaysOOO = useMemo(
+    // "Today" is each person's own: someone in Tokyo may already be on tomorrow's leave
+    () =>
+      expandEntries(activeEntries, addDays(todayISO, -1), addDays(todayISO, 1)).filter((e) => {
+        const theirToday = todayIn(peopleById.get(personKey(e))?.timeZone);
+        return e.start <= theirToday && theirToday <= e.end;
+      }),
+    [activeEntries, peopleById]
+  );
 
   // -------- actions
+  // What's wrong with a candidate entry, or null when it can be saved
+  function entryError(candidate) {
+    if (candidate.end < candidate.start) return "End date cannot be before start date.";
+    if (!peopleById.get(candidate.personId)) return "Choose who the request is for.";
+    if (!mayManage(candidate.personId)) return "You can only request time off for yourself or people who report to you.";
+    return validateDayPart(candidate) || validateRecurrence(candidate);
+  }
+
+  // Shared by new requests and edits; returns the entry fields or null after telling the user why not
+  function validateForm() {
+    const recurrence = recurrenceOf(form);
+    const error = entryError({ ...form, recurrence });
+    if (error) {
+      alert(error);
+      return null;
+    }
+    const broken = form.coverage.find((c) => parseRecordLink(c.link)?.malformed);
+    if (broken) {
+      alert(`Fix the link on “${broken.title || "Untitled"}”: ${parseRecordLink(broken.link).error}`);
+      return null;
+    }
+    const person = peopleById.get(form.personId);
+    const { hours, coverage, repeat, repeatEnds, until, count, exceptions, ...fields } = form;
+    return {
+      ...fields,
+      name: person.displayName,
+      ...(form.dayPart === "hours" && { hours: Number(hours) }),
+      ...(recurrence && { recurrence }),
+      // Items added from a template still carry their {{variables}}
+      coverage: fillCoverage(
+        coverage.filter((c) => c.title.trim() || c.link.trim()),
+        templateVars({ owner: person.displayName, start: form.start, end: form.end, type: form.type })
+      ),
+    };
+  }
+
+  // Balance check against everything except the entry being replaced
+  function confirmBalance(candidate, others) {
+    const overdraw = checkBalance({
+      entries: others,
+      policies: effectivePolicies,
+      candidate,
+      today: todayISO,
+      calendar: workCal,
+    });
+    if (overdraw?.block) {
+      alert(`Not enough ${candidate.type} balance.\n${overdraw.message}`);
+      return false;
+    }
+    return !overdraw || confirm(`This request exceeds the remaining balance.\n${overdraw.message}\n\nSubmit anyway?`);
+  }
+
   function addEntry(ev) {
     ev.preventDefault();
-    const s = new Date(form.start),
-      e = new Date(form.end);
-    if (e < s) {
-      alert("End date cannot be before start date.");
+    if (editingId) {
+      saveEdit();
       return;
     }
-    setEntries((prev) => [...prev, { id: crypto.randomUUID(), ...form }]);
-    setForm((f) => ({ ...f, notes: "" }));
+    const fields = validateForm();
+    if (!fields) return;
+    // Types that don't need sign-off (e.g. sick leave) go straight onto the calendar
+    const entry = {
+      id: crypto.randomUUID(),
+      ...fields,
+      status: typeOf(types, fields.type).requiresApproval ? "pending" : "approved",
+      requestedAt: new Date().toISOString(),
+    };
+    if (!confirmBalance(entry, entries)) return;
+    dispatch({ type: "add", entry });
+    resetForm();
+    setTab("calendar");
+  }
+
+  // Days picked by dragging on the calendar or timeline start a new request
+  function prefillRange(start, end, personId) {
+    setEditingId(null);
+    setForm((f) => ({
+      ...f,
+      ...(personId && mayManage(personId) && { personId }),
+      start,
+      end,
+      notes: "",
+      coverage: [],
+      repeat: "none",
+      exceptions: [],
+    }));
     setTab("calendar");
+    setTimeout(() => formRef.current?.scrollIntoView({ behavior: "smooth", block: "start" }));
+  }
+
+  function resetForm() {
+    setForm((f) => ({ ...f, notes: "", coverage: [], repeat: "none", exceptions: [] }));
+    setEditingId(null);
+  }
+
+  function startEdit(entry) {
+    if (!mayEdit(entry)) return;
+    setForm({
+      personId: entry.personId || "",
+      start: entry.start,
+      end: entry.end,
+      type: entry.type,
+      dayPart: entry.dayPart || "full",
+      hours: entry.hours ?? 4,
+      notes: entry.notes || "",
+      coverage: normalizeCoverage(entry),
+      repeat: repeatOptionOf(entry.recurrence),
+      repeatEnds: entry.recurrence?.count ? "count" : "until",
+      until: entry.recurrence?.until || "",
+      count: entry.recurrence?.count || 6,
+      exceptions: entry.recurrence?.exceptions || [],
+    });
+    setEditingId(entry.id);
+    setTab("calendar");
+  }
+
+  // Changing what was approved sends the request back to the approval queue, unless it is
+  // now a type that doesn't need approval
+  function saveEdit() {
+    const before = entries.find((e) => e.id === editingId);
+    if (!before) {
+      resetForm();
+      return;
+    }
+    const fields = validateForm();
+    if (!fields) return;
+    const { hours: _, recurrence: _r, ...kept } = before;
+    if (commitEdit(before, { ...kept, ...fields })) resetForm();
+  }
+
+  // Saves an edited entry after the balance check; false when the user backs out
+  function commitEdit(before, edited) {
+    if (!mayEdit(before)) return false;
+    let entry = edited;
+    const reapprove =
+      entryStatus(before) === "approved" &&
+      typeOf(types, entry.type).requiresApproval &&
+      (["personId", "start", "end", "type", "dayPart", "hours"].some((k) => before[k] !== entry[k]) ||
+        JSON.stringify(before.recurrence) !== JSON.stringify(entry.recurrence));
+    if (reapprove) {
+      const { approver: _a, decidedAt: _d, decisionComment: _c, ...rest } = entry;
+      entry = { ...rest, status: "pending", requestedAt: new Date().toISOString() };
+    }
+    if (!confirmBalance(entry, entries.filter((e) => e.id !== before.id))) return false;
+    dispatch({ type: "update", entry });
+    setUndo({
+      label: reapprove ? `Edited ${entry.name}’s request — sent back for approval.` : `Edited ${entry.name}’s request.`,
+      action: { type: "update", entry: before, audit: "restored" },
+    });
+    return true;
+  }
+
+  // Dragged edges of a bar. For a recurring entry the bar is one occurrence, and every
+  // occurrence moves by the same number of days.
+  function resizeEntry(bar, start, end) {
+    const before = entries.find((e) => e.id === (bar.seriesId || bar.id));
+    if (!before) return;
+    const entry = {
+      ...before,
+      start: addDays(before.start, daysBetween(bar.start, start)),
+      end: addDays(before.end, daysBetween(bar.end, end)),
+    };
+    const error = entryError(entry);
+    if (error) {
+      alert(error);
+      return;
+    }
+    if (commitEdit(before, entry) && editingId === before.id) resetForm();
+  }
+
+  function removeEntry(id) {
+    const index = entries.findIndex((e) => e.id === id);
+    if (index < 0 || !mayEdit(entries[index])) return;
+    const removed = entries[index];
+    dispatch({ type: "remove", id });
+    if (editingId === id) resetForm();
+    setUndo({
+      label: `Removed ${removed.name}’s ${removed.type}.`,
+      action: { type: "insert", index, entry: removed, audit: "restored" },
+    });
+  }
+
+  // Brings back an earlier version from the history, or an entry that was removed
+  function restoreVersion(version) {
+    const current = entries.find((e) => e.id === version.id);
+    if (!mayEdit(version) || (current && !mayEdit(current))) return;
+    if (current) dispatch({ type: "update", entry: version, audit: "restored" });
+    else dispatch({ type: "add", entry: version, audit: "restored" });
+  }
+
+  function undoLast() {
+    if (!undo) return;
+    dispatch(undo.action);
+    setUndo(null);
+  }
+
+  // The undo toast goes away on its own after a while
+  useEffect(() => {
+    if (!undo) return;
+    const timer = setTimeout(() => setUndo(null), 10000);
+    return () => clearTimeout(timer);
+  }, [undo]);
+
+  // ---- approval workflow
+  // Owners (and their managers) may cancel; only a manager may approve or reject
+  function changeStatus(id, status, { comment = "" } = {}) {
+    const entry = entries.find((e) => e.id === id);
+    if (!entry || !(status === "cancelled" ? mayEdit(entry) : mayDecide(entry))) return;
+    let next;
+    try {
+      next = transitionEntry(entry, status, { approver: me.displayName, comment });
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    dispatch({ type: "update", entry: next });
+  }
+
+  // ---- ICS import / export
+  async function importICS(ev) {
+    const file = ev.target.files?.[0];
+    ev.target.value = ""; // allow re-selecting the same file
+    if (!file) return;
+    const { entries: parsed, skipped } = parseICS(await file.text(), typeNames(types));
+    const incoming = linkIncoming(parsed);
+    const { added } = mergeEntries(entries, incoming);
+    dispatch({ type: "merge", entries: incoming, audit: "imported" });
+    const dupes = parsed.length - added;
+    alert(
+      `Imported ${added} ${added === 1 ? "entry" : "entries"} from ${file.name}.` +
+        (dupes ? ` ${dupes} duplicate(s) skipped.` : "") +
+        (skipped ? ` ${skipped} event(s) without usable dates ignored.` : "")
+    );
+  }
+  function exportICS() {
+    const shared = filtered.map((e) => ({ ...e, notes: sharedNotes(types, e) }));
+    downloadFile("team-ooo.ics", toICS(shared), "text/calendar;charset=utf-8");
+  }
+
+  // Saving under an existing name replaces that filter
+  function saveFilter() {
+    const name = prompt("Name this filter:")?.trim();
+    if (!name) return;
+    const saved = { id: crypto.randomUUID(), name, filter };
+    setSavedFilters((list) => [...list.filter((f) => f.name !== name), saved]);
+  }
+  function deleteSavedFilter(id) {
+    setSavedFilters((list) => list.filter((f) => f.id !== id));
+  }
+  async function copyFilterLink() {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+    } catch {
+      prompt("Copy this link:", window.location.href);
+    }
+  }
+
+  if (!session.user) {
+    return (
+      <div className="min-h-screen text-gray-900">
+        {session.ready && <SignIn auth={auth} people={people} error={session.error} onSignIn={session.signIn} />}
+      </div>
+    );
   }
-  const removeEntry = (id) =>
-    setEntries((prev) => prev.filter((e) => e.id !== id));
 
   return (
     <div className="min-h-screen text-gray-900">
@@ -160,19 +810,82 @@ export default function App() {
             <h1 className="text-2xl sm:text-3xl font-extrabold tracking-tight text-indigo-700">
               Team OOO Tracker
             </h1>
+            <span className="ml-auto text-xs text-gray-500" title="Where entries are stored">
+              {!storageReady ? "Loading…" : saving > 0 ? "Saving…" : `Saved · ${storage.name}`}
+            </span>
+            <span className="text-sm text-gray-600" title={`${session.user.email || session.user.id} · ${auth.name}`}>
+              {me?.displayName || session.user.name}
+            </span>
+            <button type="button" className="text-sm text-indigo-700 hover:underline" onClick={session.signOut}>
+              Sign out
+            </button>
           </div>
+          {storageError && (
+            <div role="alert" className="mt-3 flex items-center gap-3 rounded-lg border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-800">
+              {storageError.message}
+              {storageError.retry && (
+                <button type="button" className="font-medium underline" onClick={storageError.retry}>
+                  Retry
+                </button>
+              )}
+              <button type="button" className="ml-auto text-red-600" aria-label="Dismiss" onClick={() => setStorageError(null)}>
+                ✕
+              </button>
+            </div>
+          )}
 
           {/* Tabs */}
           <div className="mt-4 flex gap-6 text-sm">
             <TabButton active={tab === "calendar"} onClick={() => setTab("calendar")}>
               Calendar View
             </TabButton>
+            <TabButton active={tab === "timeline"} onClick={() => setTab("timeline")}>
+              Timeline
+            </TabButton>
+            <TabButton active={tab === "reports"} onClick={() => setTab("reports")}>
+              Reports
+            </TabButton>
             <TabButton active={tab === "requests"} onClick={() => setTab("requests")}>
               My Requests & Coverage
             </TabButton>
+            <TabButton active={tab === "approvals"} onClick={() => setTab("approvals")}>
+              Approvals
+              {pendingCount > 0 && (
+                <span className="ml-1.5 inline-block px-1.5 rounded-full bg-amber-100 text-amber-800 text-xs">
+                  {pendingCount}
+                </span>
+              )}
+            </TabButton>
+            <TabButton active={tab === "balances"} onClick={() => setTab("balances")}>
+              Balances
+            </TabButton>
+            <TabButton active={tab === "people"} onClick={() => setTab("people")}>
+              People
+            </TabButton>
+            <TabButton active={tab === "holidays"} onClick={() => setTab("holidays")}>
+              Holidays
+            </TabButton>
+            <TabButton active={tab === "staffing"} onClick={() => setTab("staffing")}>
+              Staffing
+            </TabButton>
             <TabButton active={tab === "coverage"} onClick={() => setTab("coverage")}>
               Coverage Needed
             </TabButton>
+            <TabButton active={tab === "reminders"} onClick={() => setTab("reminders")}>
+              Reminders
+            </TabButton>
+            <TabButton active={tab === "types"} onClick={() => setTab("types")}>
+              Absence Types
+            </TabButton>
+            <TabButton active={tab === "templates"} onClick={() => setTab("templates")}>
+              Handoff Templates
+            </TabButton>
+            <TabButton active={tab === "history"} onClick={() => setTab("history")}>
+              Change History
+            </TabButton>
+            <TabButton active={tab === "import"} onClick={() => setTab("import")}>
+              Import Spreadsheet
+            </TabButton>
           </div>
         </div>
       </header>
@@ -182,29 +895,45 @@ export default function App() {
         <main className="mx-auto max-w-6xl px-4 py-6 grid gap-6 md:grid-cols-2">
           {/* Left card: form + connect */}
           <section className="bg-white rounded-2xl shadow p-5">
-            <h2 className="text-lg font-semibold mb-2">Google Calendar Integration</h2>
+            <h2 className="text-lg font-semibold mb-2">Calendar Import & Export</h2>
             <p className="text-sm text-gray-600 mb-4">
-              The app is set up for manual entry. Connect for automatic sync (mock).
+              Round-trip with Google Calendar or Outlook using .ics files. Export includes the
+              entries matching the current filter.
             </p>
-            <button
-              className="inline-flex items-center gap-2 rounded-xl border px-4 py-2 text-sm hover:bg-gray-50"
-              type="button"
-              onClick={() => alert("Mock connect")}
-            >
-              Connect & Sync from Google Calendar (Mock)
-            </button>
+            <div className="flex flex-wrap gap-2">
+              <label className="inline-flex items-center gap-2 rounded-xl border px-4 py-2 text-sm hover:bg-gray-50 cursor-pointer">
+                Import .ics
+                <input type="file" accept=".ics,text/calendar" className="hidden" onChange={importICS} />
+              </label>
+              <button
+                className="inline-flex items-center gap-2 rounded-xl border px-4 py-2 text-sm hover:bg-gray-50 disabled:opacity-40"
+                type="button"
+                onClick={exportICS}
+                disabled={filtered.length === 0}
+              >
+                Download .ics ({filtered.length})
+              </button>
+            </div>
 
-            <h2 className="text-lg font-semibold mt-6 mb-2">Submit Time Off Request</h2>
-            <form className="grid gap-4" onSubmit={addEntry}>
+            <h2 className="text-lg font-semibold mt-6 mb-2">
+              {editingId ? "Edit Time Off Request" : "Submit Time Off Request"}
+            </h2>
+            <form ref={formRef} className="grid gap-4" onSubmit={addEntry}>
               <div className="grid gap-1">
-                <label className="text-sm font-medium">Your Name</label>
-                <input
+                <label className="text-sm font-medium">Who</label>
+                <select
                   className="border rounded-lg px-3 py-2 outline-none focus:ring-2 ring-indigo-500"
-                  value={form.name}
-                  onChange={(e) => setForm({ ...form, name: e.target.value })}
-                  placeholder="e.g., Nikhil"
+                  value={form.personId}
+                  onChange={(e) => setForm({ ...form, personId: e.target.value })}
                   required
-                />
+                >
+                  <option value="">Select a person…</option>
+                  {managedPeople.map((p) => (
+                    <option key={p.id} value={p.id}>
+                      {p.id === me?.id ? `${p.displayName} (you)` : p.displayName}
+                    </option>
+                  ))}
+                </select>
               </div>
 
               <div className="grid grid-cols-2 gap-4">
@@ -230,6 +959,154 @@ export default function App() {
                 </div>
               </div>
 
+              <div className="grid grid-cols-2 gap-4">
+                <div className="grid gap-1">
+                  <label className="text-sm font-medium">Each Day</label>
+                  <select
+                    className="border rounded-lg px-3 py-2 outline-none focus:ring-2 ring-indigo-500"
+                    value={form.dayPart}
+                    onChange={(e) => setForm({ ...form, dayPart: e.target.value })}
+                  >
+                    {DAY_PARTS.map((p) => (
+                      <option key={p.id} value={p.id}>
+                        {p.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                {form.dayPart === "hours" && (
+                  <div className="grid gap-1">
+                    <label className="text-sm font-medium">Hours Off per Day</label>
+                    <input
+                      type="number"
+                      min="0.5"
+                      max={HOURS_PER_DAY - 0.5}
+                      step="0.5"
+                      className="border rounded-lg px-3 py-2 outline-none focus:ring-2 ring-indigo-500"
+                      value={form.hours}
+                      onChange={(e) => setForm({ ...form, hours: e.target.value })}
+                      required
+                    />
+                  </div>
+                )}
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <div className="grid gap-1">
+                  <label className="text-sm font-medium">Repeat</label>
+                  <select
+                    className="border rounded-lg px-3 py-2 outline-none focus:ring-2 ring-indigo-500"
+                    value={form.repeat}
+                    onChange={(e) => setForm({ ...form, repeat: e.target.value })}
+                  >
+                    {REPEAT_OPTIONS.map((o) => (
+                      <option key={o.id} value={o.id}>
+                        {o.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                {form.repeat !== "none" && (
+                  <div className="grid gap-1">
+                    <label className="text-sm font-medium">Ends</label>
+                    <div className="flex gap-2">
+                      <select
+                        className="border rounded-lg px-2 py-2 outline-none focus:ring-2 ring-indigo-500"
+                        value={form.repeatEnds}
+                        onChange={(e) => setForm({ ...form, repeatEnds: e.target.value })}
+                      >
+                        <option value="until">On</option>
+                        <option value="count">After</option>
+                      </select>
+                      {form.repeatEnds === "until" ? (
+                        <input
+                          type="date"
+                          className="border rounded-lg px-3 py-2 outline-none focus:ring-2 ring-indigo-500 min-w-0 flex-1"
+                          value={form.until}
+                          min={form.start}
+                          onChange={(e) => setForm({ ...form, until: e.target.value })}
+                          required
+                        />
+                      ) : (
+                        <input
+                          type="number"
+                          min="1"
+                          className="border rounded-lg px-3 py-2 outline-none focus:ring-2 ring-indigo-500 w-20"
+                          value={form.count}
+                          onChange={(e) => setForm({ ...form, count: e.target.value })}
+                          aria-label="Number of occurrences"
+                          required
+                        />
+                      )}
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              {repeatPreview.length > 0 && (
+                <div className="grid gap-1">
+                  <label className="text-sm font-medium">
+                    Occurrences <span className="font-normal text-gray-500">(click a date to skip it)</span>
+                  </label>
+                  <div className="flex flex-wrap gap-1.5">
+                    {repeatPreview.map((o) => {
+                      const skipped = form.exceptions.includes(o.start);
+                      return (
+                        <button
+                          key={o.start}
+                          type="button"
+                          aria-pressed={skipped}
+                          className={cx(
+                            "px-2 py-0.5 rounded-full border text-xs",
+                            skipped ? "line-through text-gray-400 bg-gray-50" : "bg-white hover:bg-gray-50"
+                          )}
+                          onClick={() =>
+                            setForm({
+                              ...form,
+                              exceptions: skipped
+                                ? form.exceptions.filter((d) => d !== o.start)
+                                : [...form.exceptions, o.start],
+                            })
+                          }
+                        >
+                          {o.start}
+                        </button>
+                      );
+                    })}
+                  </div>
+                </div>
+              )}
+
+              {(formConflicts.overlaps.length > 0 || formConflicts.impact.length > 0) && (
+                <div className="rounded-lg border border-amber-300 bg-amber-50 px-3 py-2 text-sm text-amber-900">
+                  {formConflicts.overlaps.length > 0 && (
+                    <>
+                      <div className="font-medium">Overlaps with {formConflicts.overlaps.length} other absence(s):</div>
+                      <ul className="list-disc pl-5">
+                        {formConflicts.overlaps.slice(0, 6).map((e) => (
+                          <li key={e.id} className={cx(e.teammate && "font-semibold")}>
+                            {e.name} — {e.type}, {e.start} → {e.end}
+                            {e.teammate && " (teammate)"}
+                            {entryStatus(e) === "pending" && " (pending)"}
+                          </li>
+                        ))}
+                        {formConflicts.overlaps.length > 6 && <li>…and {formConflicts.overlaps.length - 6} more</li>}
+                      </ul>
+                    </>
+                  )}
+                  {formConflicts.impact.length > 0 && (
+                    <div className="mt-1 text-red-700">
+                      ⚠ Below minimum staffing on {formConflicts.impact.length} day(s):{" "}
+                      {formConflicts.impact
+                        .slice(0, 5)
+                        .map(({ date, list }) => `${date} (${list.map((r) => r.team.name).join(", ")})`)
+                        .join(", ")}
+                      {formConflicts.impact.length > 5 && "…"}
+                    </div>
+                  )}
+                </div>
+              )}
+
               <div className="grid gap-1">
                 <label className="text-sm font-medium">Type</label>
                 <select
@@ -237,12 +1114,17 @@ export default function App() {
                   value={form.type}
                   onChange={(e) => setForm({ ...form, type: e.target.value })}
                 >
-                  <option>Vacation</option>
-                  <option>Sick Leave</option>
-                  <option>Public Holiday</option>
-                  <option>Training</option>
-                  <option>Other</option>
+                  {types.map((t) => (
+                    <option key={t.name} value={t.name}>
+                      {t.icon} {t.name}
+                    </option>
+                  ))}
+                  {/* An entry being edited may use a type since removed from the catalog */}
+                  {!types.some((t) => t.name === form.type) && <option value={form.type}>{form.type}</option>}
                 </select>
+                {typeOf(types, form.type).privateNotes && (
+                  <span className="text-xs text-gray-500">🔒 Notes stay private to you and approvers.</span>
+                )}
               </div>
 
               <div className="grid gap-1">
@@ -256,12 +1138,28 @@ export default function App() {
                 />
               </div>
 
-              <button
-                className="rounded-xl bg-indigo-600 text-white px-4 py-2 font-medium hover:bg-indigo-700 active:bg-indigo-800"
-                type="submit"
-              >
-                Submit Request
-              </button>
+              <div className="grid gap-1">
+                <label className="text-sm font-medium">Coverage Items</label>
+                <CoverageEditor
+                  items={form.coverage}
+                  onChange={(coverage) => setForm({ ...form, coverage })}
+                  templates={templatesFor(templates, { team: peopleById.get(form.personId)?.team, type: form.type })}
+                />
+              </div>
+
+              <div className="flex gap-2">
+                <button
+                  className="flex-1 rounded-xl bg-indigo-600 text-white px-4 py-2 font-medium hover:bg-indigo-700 active:bg-indigo-800"
+                  type="submit"
+                >
+                  {editingId ? "Save Changes" : "Submit Request"}
+                </button>
+                {editingId && (
+                  <button className="rounded-xl border px-4 py-2 hover:bg-gray-50" type="button" onClick={resetForm}>
+                    Cancel
+                  </button>
+                )}
+              </div>
             </form>
           </section>
 
@@ -270,25 +1168,92 @@ export default function App() {
             <h2 className="text-lg font-semibold mb-4">Search & Filter</h2>
             <input
               className="border rounded-lg px-3 py-2 outline-none focus:ring-2 ring-indigo-500 w-full"
-              placeholder="Search by name, note, or type…"
+              placeholder="Search… e.g. name:priya type:sick from:2025-10-01 to:2025-10-31"
               value={filter.query}
               onChange={(e) => setFilter({ ...filter, query: e.target.value })}
             />
+            {query.errors.length > 0 ? (
+              <div className="text-xs text-red-600 mt-1">{query.errors.join(" · ")}</div>
+            ) : (
+              <div className="text-xs text-gray-500 mt-1">
+                Filters: name: type: team: status: coverage: from: to: — quote values with spaces.
+              </div>
+            )}
             <div className="flex gap-2 flex-wrap mt-3">
-              {["All", "Vacation", "Sick Leave", "Public Holiday", "Training", "Other"].map((t) => (
+              {[{ name: "All" }, ...types].map((t) => (
                 <button
-                  key={t}
+                  key={t.name}
                   type="button"
                   className={cx(
-                    "px-3 py-1.5 rounded-full border text-sm",
-                    filter.type === t ? "bg-gray-900 text-white border-gray-900" : "bg-white hover:bg-gray-50"
+                    "inline-flex items-center gap-1.5 px-3 py-1.5 rounded-full border text-sm",
+                    filter.type === t.name ? "bg-gray-900 text-white border-gray-900" : "bg-white hover:bg-gray-50"
                   )}
-                  onClick={() => setFilter({ ...filter, type: t })}
+                  onClick={() => setFilter({ ...filter, type: t.name })}
                 >
-                  {t}
+                  {t.color && <span className="inline-block w-2 h-2 rounded-full" style={{ background: t.color }} />}
+                  {t.icon}
+                  {t.name}
                 </button>
               ))}
             </div>
+            <div className="grid grid-cols-2 gap-3 mt-3">
+              <select
+                className="border rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 ring-indigo-500"
+                value={filter.team}
+                onChange={(e) => setFilter({ ...filter, team: e.target.value })}
+              >
+                <option value="All">All teams</option>
+                {teams.map((t) => (
+                  <option key={t.id} value={t.id}>
+                    {t.name}
+                  </option>
+                ))}
+              </select>
+              <select
+                className="border rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 ring-indigo-500"
+                value={filter.manager}
+                onChange={(e) => setFilter({ ...filter, manager: e.target.value })}
+              >
+                <option value="All">All managers</option>
+                {managers.map((m) => (
+                  <option key={m.id} value={m.id}>
+                    Reports to {m.displayName}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="flex gap-2 flex-wrap items-center mt-3 text-sm">
+              {savedFilters.map((f) => (
+                <span key={f.id} className="inline-flex items-center rounded-full border bg-indigo-50 border-indigo-200">
+                  <button
+                    type="button"
+                    className="pl-3 pr-1 py-1 text-indigo-800 hover:underline"
+                    onClick={() => setFilter({ ...DEFAULT_FILTER, ...f.filter })}
+                  >
+                    {f.name}
+                  </button>
+                  <button
+                    type="button"
+                    className="pr-2 pl-1 py-1 text-indigo-400 hover:text-red-600"
+                    title={`Delete "${f.name}"`}
+                    onClick={() => deleteSavedFilter(f.id)}
+                  >
+                    ×
+                  </button>
+                </span>
+              ))}
+              <button type="button" className="text-indigo-600 hover:underline" onClick={saveFilter}>
+                Save filter
+              </button>
+              <button type="button" className="text-indigo-600 hover:underline" onClick={copyFilterLink}>
+                Copy link
+              </button>
+              {JSON.stringify(filter) !== JSON.stringify(DEFAULT_FILTER) && (
+                <button type="button" className="text-gray-500 hover:underline" onClick={() => setFilter(DEFAULT_FILTER)}>
+                  Clear
+                </button>
+              )}
+            </div>
 
             {/* Today's OOO summary */}
             <div className="mt-6">
@@ -297,31 +1262,50 @@ export default function App() {
                 <div className="text-sm text-gray-500">No one is OOO today.</div>
               )}
               <div className="flex flex-wrap gap-2">
-                {todaysOOO.map((e) => (
-                  <span
-                    key={e.id}
-                    className="inline-flex items-center gap-2 px-3 py-1.5 rounded-full bg-red-50 text-red-700 border border-red-200 text-sm"
-                  >
-                    <Dot className="text-red-500" /> {e.name}{" "}
-                    <span className="text-gray-500">({e.type})</span>
-                  </span>
-                ))}
+                {todaysOOO.map((e) => {
+                  const pending = entryStatus(e) === "pending";
+                  return (
+                    <span
+                      key={e.id}
+                      title={pending ? "Pending approval" : undefined}
+                      className={cx(
+                        "inline-flex items-center gap-2 px-3 py-1.5 rounded-full border text-sm",
+                        pending
+                          ? "bg-amber-50 text-amber-800 border-amber-300 border-dashed"
+                          : "bg-red-50 text-red-700 border-red-200"
+                      )}
+                    >
+                      <Dot className={pending ? "text-amber-500" : "text-red-500"} /> {e.name}{" "}
+                      <span className="text-gray-500">
+                        ({e.type}
+                        {dayPartLabel(e) && `, ${dayPartLabel(e)}`}
+                        {pending && ", pending"})
+                      </span>
+                    </span>
+                  );
+                })}
               </div>
             </div>
 
             <h3 className="font-semibold mt-6 mb-2">Team Calendar View</h3>
             <ul className="divide-y">
               {filtered.length === 0 && (
-                <li className="py-6 text-gray-500 text-sm">No entries yet.</li>
+                <li className="py-6 text-gray-500 text-sm">
+                  {entries.length === 0 ? "No entries yet." : "No entries match the filter."}
+                </li>
               )}
               {filtered.map((e) => (
                 <li key={e.id} className="py-4 flex items-start justify-between gap-4">
                   <div>
-                    <div className="font-medium">{e.name}</div>
+                    <div className="font-medium flex items-center gap-2">
+                      {e.name} <StatusBadge entry={e} />
+                    </div>
                     <div className="text-sm text-gray-600">
-                      {e.type} • {e.start} → {e.end}
+                      {e.type} • {e.start} → {e.end} • {formatDays(workCal.days(e), "working day")}
+                      {dayPartLabel(e) && ` (${dayPartLabel(e)})`}
                     </div>
-                    {e.notes && <div className="text-sm mt-1">{e.notes}</div>}
+                    {e.recurrence && <div className="text-xs text-gray-500">↻ {describeRecurrence(e.recurrence)}</div>}
+                    {sharedNotes(types, e) && <div className="text-sm mt-1">{e.notes}</div>}
                     {Array.isArray(e.coverage) && e.coverage.length > 0 && (
                       <ul className="mt-2 text-sm list-disc pl-5 text-indigo-700">
                         {e.coverage.map((c, i) => (
@@ -330,25 +1314,85 @@ export default function App() {
                       </ul>
                     )}
                   </div>
-                  <button
-                    className="text-red-600 hover:text-red-700 text-sm"
-                    onClick={() => removeEntry(e.id)}
-                  >
-                    Remove
-                  </button>
+                  <div className="flex gap-3 shrink-0">
+                    <button className="text-gray-600 hover:text-indigo-700 text-sm" onClick={() => setHistoryFor(e.id)}>
+                      History
+                    </button>
+                    {mayEdit(e) && isActive(e) && (
+                      <button className="text-indigo-700 hover:underline text-sm" onClick={() => startEdit(e)}>
+                        Edit
+                      </button>
+                    )}
+                    {mayEdit(e) && (
+                      <button
+                        className="text-red-600 hover:text-red-700 text-sm"
+                        onClick={() => removeEntry(e.id)}
+                      >
+                        Remove
+                      </button>
+                    )}
+                  </div>
                 </li>
               ))}
             </ul>
           </section>
 
-          {/* Mini calendar with month nav */}
+          {/* Mini calendar with week / month / quarter nav */}
           <section className="md:col-span-2 bg-white rounded-2xl shadow p-5">
             <MiniCalendar
-              year={viewYear}
-              month={viewMonth}
-              entries={entries}
-              onPrev={prevMonth}
-              onNext={nextMonth}
+              view={calView}
+              anchor={viewDate}
+              entries={activeEntries}
+              holidays={holidayLabels}
+              isOff={workCal.isOff}
+              teams={teamsWithMembers}
+              types={types}
+              colorOf={(key) => peopleById.get(key)?.color}
+              onPrev={prevPeriod}
+              onNext={nextPeriod}
+              onToday={() => setViewDate(todayISO)}
+              onJump={jumpTo}
+              onViewChange={setCalView}
+              onSelectRange={prefillRange}
+            />
+          </section>
+        </main>
+      )}
+
+      {tab === "timeline" && (
+        <main className="mx-auto max-w-6xl px-4 py-6">
+          <section className="bg-white rounded-2xl shadow p-5">
+            <TeamTimeline
+              entries={activeEntries}
+              allEntries={entries}
+              people={people}
+              teams={teams}
+              types={types}
+              today={todayISO}
+              canEdit={mayEdit}
+              onEdit={startEdit}
+              onSelectRange={prefillRange}
+              onResize={resizeEntry}
+            />
+          </section>
+        </main>
+      )}
+
+      {tab === "reports" && (
+        <main className="mx-auto max-w-6xl px-4 py-6">
+          <section className="bg-white rounded-2xl shadow p-5">
+            <h2 className="text-lg font-semibold mb-4">Reports</h2>
+            {/* A from:/to: range in the search box becomes the report window; otherwise this year */}
+            <ReportsPanel
+              key={`${query.from}|${query.to}`}
+              entries={filtered}
+              people={people}
+              teams={teamsWithMembers}
+              types={types}
+              isOff={workCal.isOff}
+              today={todayISO}
+              range={{ from: query.from || `${todayISO.slice(0, 4)}-01-01`, to: query.to || `${todayISO.slice(0, 4)}-12-31` }}
+              filtered={JSON.stringify(filter) !== JSON.stringify(DEFAULT_FILTER)}
             />
           </section>
         </main>
@@ -359,17 +1403,55 @@ export default function App() {
           <section className="bg-white rounded-2xl shadow p-5">
             <h2 className="text-lg font-semibold mb-4">My Requests & Coverage</h2>
             <p className="text-sm text-gray-600 mb-4">
-              A simple list of your submissions. (In a real app, we’d filter by the signed-in user.)
+              Your own requests and the coverage you’ve handed off.
             </p>
             <ul className="divide-y">
-              {entries.map((e) => (
+              {myEntries.length === 0 && (
+                <li className="py-6 text-gray-500 text-sm">You haven’t requested any time off yet.</li>
+              )}
+              {myEntries.map((e) => (
                 <li key={e.id} className="py-4">
-                  <div className="font-medium">
-                    {e.name} — {e.type}
+                  <div className="flex items-start justify-between gap-4">
+                    <div className="font-medium flex items-center gap-2">
+                      {e.name} — {e.type} <StatusBadge entry={e} />
+                    </div>
+                    <div className="flex gap-3 shrink-0">
+                      <button type="button" className="text-sm text-gray-600 hover:text-indigo-700" onClick={() => setHistoryFor(e.id)}>
+                        History
+                      </button>
+                      {isActive(e) && (
+                        <button type="button" className="text-sm text-indigo-700 hover:underline" onClick={() => startEdit(e)}>
+                          Edit
+                        </button>
+                      )}
+                      {canTransition(e, "cancelled") && (
+                        <button
+                          type="button"
+                          className="text-sm text-gray-600 hover:text-red-700"
+                          onClick={() => changeStatus(e.id, "cancelled")}
+                        >
+                          Cancel request
+                        </button>
+                      )}
+                    </div>
                   </div>
                   <div className="text-sm text-gray-600">
-                    {e.start} → {e.end}
+                    {e.start} → {e.end} • {formatDays(workCal.days(e), "working day")}
+                    {dayPartLabel(e) && ` (${dayPartLabel(e)})`}
                   </div>
+                  {e.recurrence && <div className="text-xs text-gray-500">↻ {describeRecurrence(e.recurrence)}</div>}
+                  {e.decidedAt && (
+                    <div className="text-xs text-gray-500 mt-1">
+                      <span className="capitalize">{entryStatus(e)}</span> by {e.approver} on{" "}
+                      {new Date(e.decidedAt).toLocaleString()}
+                      {e.decisionComment && <> — “{e.decisionComment}”</>}
+                    </div>
+                  )}
+                  {e.cancelledAt && (
+                    <div className="text-xs text-gray-500 mt-1">
+                      Cancelled on {new Date(e.cancelledAt).toLocaleString()}
+                    </div>
+                  )}
                   {e.notes && <div className="text-sm mt-1">{e.notes}</div>}
                   {Array.isArray(e.coverage) && e.coverage.length > 0 && (
                     <ul className="mt-2 text-sm list-disc pl-5 text-indigo-700">
@@ -385,17 +1467,235 @@ export default function App() {
         </main>
       )}
 
+      {tab === "approvals" && (
+        <main className="mx-auto max-w-6xl px-4 py-6">
+          <section className="bg-white rounded-2xl shadow p-5">
+            <h2 className="text-lg font-semibold mb-4">Approval Queue</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Pending time-off requests. Approved requests show as confirmed on the calendar; rejected ones are
+              removed from it.
+            </p>
+            <ApprovalQueue
+              entries={decidable}
+              types={types}
+              approverName={me?.displayName}
+              onDecide={changeStatus}
+              countDays={workCal.days}
+            />
+          </section>
+        </main>
+      )}
+
+      {tab === "balances" && (
+        <main className="mx-auto max-w-6xl px-4 py-6">
+          <section className="bg-white rounded-2xl shadow p-5">
+            <h2 className="text-lg font-semibold mb-4">Leave Balances</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Used days are approved absences up to today; planned days are future approved and pending
+              requests. Set a per-person allowance to override the type default.
+            </p>
+            {/* Allowances of types switched off are kept, in case they're switched back on */}
+            <BalancesPanel
+              entries={entries}
+              people={people}
+              policies={effectivePolicies}
+              onPoliciesChange={(next) => setPolicies((prev) => ({ ...next, types: { ...prev.types, ...next.types } }))}
+              today={todayISO}
+              calendar={workCal}
+            />
+          </section>
+        </main>
+      )}
+
+      {tab === "people" && (
+        <main className="mx-auto max-w-6xl px-4 py-6">
+          <section className="bg-white rounded-2xl shadow p-5">
+            <h2 className="text-lg font-semibold mb-4">People Directory</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Requests reference people by ID, so renaming someone updates all of their entries. Add aliases
+              for other spellings used in imports. Teams and reporting lines are changed by admins and the
+              person’s managers; emails and admin rights by admins only.
+            </p>
+            <PeopleDirectory
+              people={people}
+              editor={directoryEditor}
+              onChange={changePeople}
+              teams={teams}
+              regions={holidayConfig.regions}
+              entries={entries}
+            />
+          </section>
+        </main>
+      )}
+
+      {tab === "holidays" && (
+        <main className="mx-auto max-w-6xl px-4 py-6">
+          <section className="bg-white rounded-2xl shadow p-5">
+            <h2 className="text-lg font-semibold mb-4">Public Holiday Calendars</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Holidays are shaded on the calendar and excluded, along with weekends, when counting each
+              person’s days off. People use the default region unless assigned another one in the People tab.
+            </p>
+            <HolidaysPanel config={holidayConfig} onChange={setHolidayConfig} today={todayISO} />
+          </section>
+        </main>
+      )}
+
+      {tab === "staffing" && (
+        <main className="mx-auto max-w-6xl px-4 py-6">
+          <section className="bg-white rounded-2xl shadow p-5">
+            <h2 className="text-lg font-semibold mb-4">Team Coverage & Staffing</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Set a minimum number of people on duty per team. Pending requests count as absences so risks
+              show up before they’re approved.
+            </p>
+            <StaffingPanel
+              teams={teamsWithMembers}
+              onTeamsChange={(next) => setTeams(next.map(({ members: _, ...team }) => team))}
+              people={people}
+              editor={directoryEditor}
+              onPeopleChange={changePeople}
+              entries={activeEntries}
+              isOff={workCal.isOff}
+              today={todayISO}
+            />
+          </section>
+        </main>
+      )}
+
       {tab === "coverage" && (
         <main className="mx-auto max-w-6xl px-4 py-6">
           <section className="bg-white rounded-2xl shadow p-5">
             <h2 className="text-lg font-semibold mb-4">Coverage Needed</h2>
             <p className="text-sm text-gray-600 mb-4">
-              Aggregated items from everyone’s requests (e.g., deals, support queues, approvals).
+              Aggregated items from everyone’s requests (e.g., deals, support queues, approvals). Assign each
+              item or checklist task to a backup with a due date and track its status.
             </p>
-            <CoverageBoard entries={entries} />
+            <CoverageBoard
+              entries={entries}
+              people={people}
+              me={me?.id}
+              crm={crm}
+              templates={templates}
+              today={todayISO}
+              onChange={(entryId, coverage) => dispatch({ type: "setCoverage", entryId, coverage })}
+              onRecords={(records) => dispatch({ type: "setRecords", records })}
+            />
           </section>
         </main>
       )}
+
+      {tab === "reminders" && (
+        <main className="mx-auto max-w-6xl px-4 py-6">
+          <section className="bg-white rounded-2xl shadow p-5">
+            <h2 className="text-lg font-semibold mb-4">Reminders</h2>
+            <RemindersPanel
+              settings={reminderSettings}
+              onChange={setReminderSettings}
+              log={reminders.log}
+              onRunNow={reminders.runNow}
+            />
+          </section>
+        </main>
+      )}
+
+      {tab === "types" && (
+        <main className="mx-auto max-w-6xl px-4 py-6">
+          <section className="bg-white rounded-2xl shadow p-5">
+            <h2 className="text-lg font-semibold mb-4">Absence Types</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Admins maintain the list of types, which drives the form, filter chips and calendar colors. Types that skip approval are confirmed as
+              soon as they’re requested; private notes are only shown to the requester and approvers.
+            </p>
+            <TypesPanel types={types} onChange={changeTypes} entries={entries} readOnly={!directoryEditor?.admin} />
+          </section>
+        </main>
+      )}
+
+      {tab === "templates" && (
+        <main className="mx-auto max-w-6xl px-4 py-6">
+          <section className="bg-white rounded-2xl shadow p-5">
+            <h2 className="text-lg font-semibold mb-4">Handoff Templates</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Ready-made coverage items and checklists, offered on the request form and the Coverage board
+              for the team and absence type they’re set up for.
+            </p>
+            <TemplatesPanel templates={templates} onChange={setTemplates} teams={teams} types={types} />
+          </section>
+        </main>
+      )}
+
+      {tab === "history" && (
+        <main className="mx-auto max-w-6xl px-4 py-6">
+          <section className="bg-white rounded-2xl shadow p-5">
+            <h2 className="text-lg font-semibold mb-4">Change History</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Every request and coverage change, who made it and when. Nothing here can be edited or deleted;
+              removed entries and earlier versions can be restored.
+            </p>
+            <HistoryPanel
+              records={audit}
+              entries={entries}
+              canRestore={mayEdit}
+              onRestore={restoreVersion}
+              onOpen={setHistoryFor}
+            />
+          </section>
+        </main>
+      )}
+
+      {tab === "import" && (
+        <main className="mx-auto max-w-6xl px-4 py-6">
+          <section className="bg-white rounded-2xl shadow p-5">
+            <h2 className="text-lg font-semibold mb-4">Import from Spreadsheet</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Paste cells copied from a spreadsheet or upload a CSV/TSV export. Nothing is saved until you
+              confirm the preview.
+            </p>
+            <ImportWizard
+              existing={entries}
+              people={people}
+              types={typeNames(types)}
+              onImport={(rows) => {
+                const incoming = linkIncoming(rows);
+                dispatch({ type: "merge", entries: incoming, audit: "imported" });
+                return mergeEntries(entries, incoming).added;
+              }}
+            />
+          </section>
+        </main>
+      )}
+
+      {historyFor && (
+        <HistoryDrawer
+          entryId={historyFor}
+          records={audit}
+          current={entries.find((e) => e.id === historyFor)}
+          nameOf={(id) => peopleById.get(id)?.displayName || id}
+          showNotes={(version) => !typeOf(types, version.type).privateNotes || mayEdit(version)}
+          canRestore={(version) => {
+            const current = entries.find((e) => e.id === version.id);
+            return mayEdit(version) && (!current || mayEdit(current));
+          }}
+          onRestore={restoreVersion}
+          onClose={() => setHistoryFor(null)}
+        />
+      )}
+
+      {undo && (
+        <div
+          role="status"
+          className="fixed bottom-4 left-1/2 -translate-x-1/2 z-30 flex items-center gap-4 rounded-xl bg-gray-900 text-white px-4 py-3 text-sm shadow-lg"
+        >
+          {undo.label}
+          <button type="button" className="font-semibold text-indigo-300 hover:underline" onClick={undoLast}>
+            Undo
+          </button>
+          <button type="button" className="text-gray-400 hover:text-white" aria-label="Dismiss" onClick={() => setUndo(null)}>
+            ✕
+          </button>
+        </div>
+      )}
     </div>
   );
 }
@@ -422,297 +1722,512 @@ function Dot({ className }) {
   return <span className={cx("inline-block w-2 h-2 rounded-full bg-current", className)} />;
 }
 
-function MiniCalendar({ year, month, entries, onPrev, onNext }) {
-  const monthName = new Date(year, month, 1).toLocaleString(undefined, {
-    month: "long",
-    year: "numeric",
-  });
-  const first = new Date(year, month, 1);
-  const last = new Date(year, month + 1, 0);
-  const startWeekday = first.getDay(); // 0=Sun
-  const daysInMonth = last.getDate();
-  const todayIso = new Date().toISOString().slice(0, 10);
-
-  // Map ISO date -> unique people OOO (for the shown month)
-  const byDate = new Map();
-  for (const e of entries) {
-    const s = new Date(e.start);
-    const ed = new Date(e.end);
-    const start = new Date(Math.max(+s, +first));
-    const end = new Date(Math.min(+ed, +last));
-    if (end < first || start > last) continue;
-    for (const d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
-      const iso = d.toISOString().slice(0, 10);
-      if (!byDate.has(iso)) byDate.set(iso, new Set());
-      byDate.get(iso).add(e.name);
-    }
-  }
-
-  const cells = [];
-  for (let i = 0; i < startWeekday; i++) cells.push(null);
-  for (let d = 1; d <= daysInMonth; d++) cells.push(d);
-
-  const isAtStart = year === 2025 && month === 0;
-  const isAtEnd = year === 2025 && month === 11;
-
-  return (
-    <>
-      <div className="flex items-center justify-between mb-4">
-        <div className="flex items-center gap-2">
-          <button
-            type="button"
-            onClick={onPrev}
-            disabled={isAtStart}
-            className="px-2 py-1 rounded-lg border text-sm disabled:opacity-40"
-            title="Previous month"
-          >
-            ‹
-          </button>
-          <h2 className="text-lg font-semibold min-w-[12ch] text-center">{monthName}</h2>
-          <button
-            type="button"
-            onClick={onNext}
-            disabled={isAtEnd}
-            className="px-2 py-1 rounded-lg border text-sm disabled:opacity-40"
-            title="Next month"
-          >
-            ›
-          </button>
-        </div>
-
-        <div className="flex items-center gap-3 text-xs text-gray-500">
-          <div className="flex items-center gap-1.5">
-            <span className="inline-block w-3 h-3 rounded bg-indigo-100 border border-indigo-300" />
-            <span>OOO day</span>
-          </div>
-          <div className="flex items-center gap-1.5">
-            <span className="inline-block w-3 h-3 rounded ring-2 ring-indigo-500" />
-            <span>Today</span>
-          </div>
-        </div>
-      </div>
-
-      <div className="grid grid-cols-7 gap-2">
-        {["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].map((w) => (
-          <div key={w} className="text-center text-xs font-semibold text-gray-600">
-            {w}
-          </div>
-        ))}
-
-        {cells.map((d, idx) => {
-          const iso = d ? new Date(year, month, d).toISOString().slice(0, 10) : "";
-          const peopleSet = d ? byDate.get(iso) : null;
-          const people = peopleSet ? Array.from(peopleSet) : [];
-          const isOOO = people.length > 0;
-          const isToday = iso === todayIso;
-
-          const visible = people.slice(0, 3);
-          const more = Math.max(people.length - visible.length, 0);
-
-          return (
-            <div
-              key={idx}
-              title={isOOO ? `${iso}: ${people.join(", ")}` : iso}
-              className={cx(
-                "aspect-square rounded-xl border p-2 flex flex-col text-sm relative",
-                d ? "bg-white" : "bg-transparent border-transparent",
-                isOOO && "bg-indigo-50 border-indigo-300",
-                isToday && "ring-2 ring-indigo-500"
-              )}
-            >
-              <div className="text-xs text-gray-500">{d ?? ""}</div>
-
-              {isOOO && (
-                <div className="mt-1 flex flex-wrap gap-1 overflow-hidden">
-                  {visible.map((name) => (
-                    <span
-                      key={name}
-                      className="px-2 py-0.5 rounded-full bg-white border text-[11px] leading-4 text-indigo-700"
-                    >
-                      {name}
-                    </span>
-                  ))}
-                  {more > 0 && (
-                    <span className="px-2 py-0.5 rounded-full bg-white border text-[11px] leading-4 text-indigo-700">
-                      +{more}
-                    </span>
-                  )}
-                </div>
-              )}
-            </div>
-          );
-        })}
-      </div>
-    </>
-  );
-}
-
-function CoverageBoard({ entries }) {
-  const [localEntries, setLocalEntries] = useState(entries);
-
-  // Keep in sync with parent state (and persist via parent's effect)
-  useEffect(() => setLocalEntries(entries), [entries]);
+// Edits go straight to the parent's store via onChange(entryId, coverage). `me` is the
+// signed-in person's id; "My coverage assignments" is what they're covering.
+function CoverageBoard({ entries, people, me, crm, templates, today, onChange, onRecords }) {
+  const [mode, setMode] = useState("all"); // "all" | "mine"
+  const [crmStatus, setCrmStatus] = useState(null); // { busy } | { message, error }
 
-  // Normalize coverage array to objects
-  function normalizedCoverageArray(entry) {
-    const list = Array.isArray(entry.coverage) ? entry.coverage : [];
-    return list.map((c) => {
-      if (typeof c === "string") {
-        return { id: crypto.randomUUID(), title: c, link: "", notes: "", tasks: [] };
-      }
-      return {
-        id: c.id || crypto.randomUUID(),
-        title: c.title || "",
-        link: c.link || "",
-        notes: c.notes || "",
-        tasks: Array.isArray(c.tasks)
-          ? c.tasks.map((t) => ({ id: t.id || crypto.randomUUID(), text: t.text || "", done: !!t.done }))
-          : [],
-      };
-    });
-  }
+  const peopleById = useMemo(() => new Map(people.map((p) => [p.id, p])), [people]);
+  const sortedPeople = useMemo(() => [...people].sort(byDisplayName), [people]);
+  const nameOf = (id) => peopleById.get(id)?.displayName || "Unassigned";
 
   // Flatten coverage items for display
   const items = [];
-  for (const e of localEntries) {
-    const cov = normalizedCoverageArray(e);
+  for (const e of entries) {
+    const cov = normalizeCoverage(e);
     for (const c of cov) {
       items.push({
         entryId: e.id,
+        ownerId: personKey(e),
         by: e.name,
+        start: e.start,
+        end: e.end,
         range: `${e.start} → ${e.end}`,
         ...c,
+        ref: parseRecordLink(c.link),
       });
     }
   }
 
+  // Grouped by the linked record's type; links that aren't records, then items without one, go last
+  const groupOf = (x) => (x.ref && !x.ref.error ? recordTypeLabel(x.ref.type) : x.link ? "Other links" : "No link");
+  const groups = new Map();
+  for (const x of items) groups.set(groupOf(x), [...(groups.get(groupOf(x)) || []), x]);
+  const groupOrder = (name) => (name === "No link" ? 2 : name === "Other links" ? 1 : 0);
+  const sortedGroups = [...groups].sort(([a], [b]) => groupOrder(a) - groupOrder(b) || a.localeCompare(b));
+
   // Update helpers
   function updateCoverage(entryId, coverageId, patch) {
-    const next = localEntries.map((e) => {
-      if (e.id !== entryId) return e;
-      const cov = normalizedCoverageArray(e).map((c) => (c.id === coverageId ? { ...c, ...patch } : c));
-      return { ...e, coverage: cov };
-    });
-    setLocalEntries(next);
+    const entry = entries.find((e) => e.id === entryId);
+    if (!entry) return;
+    onChange(
+      entryId,
+      normalizeCoverage(entry).map((c) => (c.id === coverageId ? { ...c, ...patch } : c))
+    );
   }
 
-  function addTask(entryId, coverageId, text) {
-    const entry = localEntries.find((e) => e.id === entryId);
-    if (!entry) return;
-    const cov = normalizedCoverageArray(entry);
-    const c = cov.find((x) => x.id === coverageId);
-    if (!c) return;
-    const updatedTasks = [...c.tasks, { id: crypto.randomUUID(), text, done: false }];
-    updateCoverage(entryId, coverageId, { tasks: updatedTasks });
+  function applyTemplate(entry, template) {
+    const vars = templateVars({ owner: entry.name, start: entry.start, end: entry.end, type: entry.type });
+    onChange(entry.id, [...normalizeCoverage(entry), ...fillCoverage(instantiateTemplate(template), vars)]);
+  }
+
+  // A record fetched for the old link no longer applies once the link points elsewhere
+  function updateLink(x, link) {
+    const ref = parseRecordLink(link);
+    if (ref?.malformed) {
+      alert(`Fix the link on “${x.title || "Untitled"}”: ${ref.error}`);
+      return;
+    }
+    const keep = x.record && ref && !ref.error && ref.id === x.record.id;
+    updateCoverage(x.entryId, x.id, { link, record: keep ? x.record : null });
+  }
+
+  async function fetchRecords() {
+    setCrmStatus({ busy: true });
+    try {
+      const results = await enrichCoverage(crm, items);
+      const records = {};
+      for (const r of results) records[r.entryId] = { ...records[r.entryId], [r.itemId]: r.record };
+      onRecords(records);
+      const missing = results.filter((r) => !r.record).length;
+      setCrmStatus({
+        message:
+          `Updated ${results.length - missing} of ${results.length} linked ${results.length === 1 ? "item" : "items"}` +
+          (missing ? `; ${missing} not found in ${crm.name}.` : "."),
+      });
+    } catch (err) {
+      setCrmStatus({ message: err.message, error: true });
+    }
   }
 
-  function toggleTask(entryId, coverageId, taskId) {
-    const entry = localEntries.find((e) => e.id === entryId);
+  function updateTasks(entryId, coverageId, fn) {
+    const entry = entries.find((e) => e.id === entryId);
     if (!entry) return;
-    const cov = normalizedCoverageArray(entry);
-    const c = cov.find((x) => x.id === coverageId);
+    const c = normalizeCoverage(entry).find((x) => x.id === coverageId);
     if (!c) return;
-    const updatedTasks = c.tasks.map((t) => (t.id === taskId ? { ...t, done: !t.done } : t));
-    updateCoverage(entryId, coverageId, { tasks: updatedTasks });
+    updateCoverage(entryId, coverageId, { tasks: fn(c.tasks) });
+  }
+
+  function addTask(entryId, coverageId, text) {
+    updateTasks(entryId, coverageId, (tasks) => [
+      ...tasks,
+      { id: crypto.randomUUID(), text, assigneeId: null, due: "", status: "open", done: false },
+    ]);
+  }
+
+  function updateTask(entryId, coverageId, taskId, patch) {
+    updateTasks(entryId, coverageId, (tasks) =>
+      tasks.map((t) => {
+        if (t.id !== taskId) return t;
+        const next = { ...t, ...patch };
+        return { ...next, done: next.status === "done" };
+      })
+    );
+  }
+
+  function toggleTask(entryId, coverageId, task) {
+    updateTask(entryId, coverageId, task.id, { status: task.done ? "open" : "done" });
   }
 
   function removeTask(entryId, coverageId, taskId) {
-    const entry = localEntries.find((e) => e.id === entryId);
-    if (!entry) return;
-    const cov = normalizedCoverageArray(entry);
-    const c = cov.find((x) => x.id === coverageId);
-    if (!c) return;
-    const updatedTasks = c.tasks.filter((t) => t.id !== taskId);
-    updateCoverage(entryId, coverageId, { tasks: updatedTasks });
+    updateTasks(entryId, coverageId, (tasks) => tasks.filter((t) => t.id !== taskId));
   }
 
-  // Persist to localStorage so parent picks it up
-  useEffect(() => {
-    if (JSON.stringify(localEntries) !== JSON.stringify(entries)) {
-      localStorage.setItem("ooo_entries", JSON.stringify(localEntries));
-    }
-  }, [localEntries, entries]);
+  // Warn when the backup is out during the owner's absence
+  function conflictNote(assigneeId, from, to) {
+    const clashes = assigneeConflicts(entries, assigneeId, from, to);
+    if (clashes.length === 0) return null;
+    return (
+      <div className="mt-1 text-xs text-red-700">
+        ⚠ {nameOf(assigneeId)} is also out {clashes.map((e) => `${e.start} → ${e.end}`).join(", ")}
+      </div>
+    );
+  }
+
+  const modeSwitch = (
+    <div className="flex flex-wrap items-center gap-2 mb-4">
+      {[
+        ["all", "All coverage"],
+        ["mine", "My coverage assignments"],
+      ].map(([id, label]) => (
+        <button
+          key={id}
+          type="button"
+          className={cx(
+            "px-3 py-1.5 rounded-full border text-sm",
+            mode === id ? "bg-gray-900 text-white border-gray-900" : "bg-white hover:bg-gray-50"
+          )}
+          onClick={() => setMode(id)}
+        >
+          {label}
+        </button>
+      ))}
+      {crm && (
+        <div className="ml-auto flex items-center gap-2 text-sm">
+          {crmStatus?.message && (
+            <span className={crmStatus.error ? "text-red-600" : "text-gray-500"}>{crmStatus.message}</span>
+          )}
+          <button
+            type="button"
+            className="px-3 py-1.5 rounded-lg border hover:bg-gray-50 disabled:opacity-50"
+            disabled={crmStatus?.busy}
+            onClick={fetchRecords}
+          >
+            {crmStatus?.busy ? "Fetching…" : "Fetch CRM details"}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+
+  const templateRow = (
+    <ApplyTemplateRow
+      entries={entries.filter((e) => isActive(e) && e.end >= today)}
+      teamOf={(e) => peopleById.get(personKey(e))?.team}
+      templates={templates}
+      onApply={applyTemplate}
+    />
+  );
+
+  if (mode === "mine") {
+    const mine = me ? assignmentsFor(entries, me) : [];
+    return (
+      <div>
+        {modeSwitch}
+        {!me ? (
+          <div className="text-sm text-gray-500">You aren’t in the people directory yet.</div>
+        ) : mine.length === 0 ? (
+          <div className="text-sm text-gray-500">You aren’t covering anything right now.</div>
+        ) : (
+          <ul className="divide-y border rounded-xl">
+            {mine.map(({ entry, item, tasks, whole }) => (
+              <li key={item.id} className="px-4 py-3 text-sm">
+                <div className="flex flex-wrap items-center gap-x-3 gap-y-1">
+                  <span className="font-medium">
+                    {safeHref(item.link) ? (
+                      <a href={safeHref(item.link)} target="_blank" rel="noreferrer" className="text-indigo-700 hover:underline">
+                        {item.title || "Untitled"}
+                      </a>
+                    ) : (
+                      item.title || "Untitled"
+                    )}
+                  </span>
+                  <span className="text-gray-500">
+                    for {entry.name}, {entry.start} → {entry.end}
+                  </span>
+                  {item.due && <DueLabel due={item.due} done={item.status === "done"} today={today} />}
+                  {closesWhileOut(item.record, entry) && (
+                    <span className="text-xs text-red-700 font-medium">closes {item.record.closeDate}</span>
+                  )}
+                  {whole && (
+                    <select
+                      className="ml-auto border rounded-lg px-2 py-1 text-xs"
+                      value={item.status}
+                      onChange={(e) => updateCoverage(entry.id, item.id, { status: e.target.value })}
+                    >
+                      {COVERAGE_STATUSES.map((st) => (
+                        <option key={st.id} value={st.id}>
+                          {st.label}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                </div>
+                {whole && conflictNote(me, entry.start, entry.end)}
+                {tasks.length > 0 && (
+                  <ul className="mt-2 grid gap-1">
+                    {tasks.map((t) => (
+                      <li key={t.id} className="flex items-center gap-2">
+                        <input type="checkbox" checked={t.done} onChange={() => toggleTask(entry.id, item.id, t)} />
+                        <span className={t.done ? "line-through text-gray-500" : ""}>{t.text}</span>
+                        {t.due && <DueLabel due={t.due} done={t.done} today={today} />}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    );
+  }
 
   if (items.length === 0) {
-    return <div className="text-sm text-gray-500">No coverage items yet.</div>;
+    return (
+      <div>
+        {modeSwitch}
+        <div className="text-sm text-gray-500 mb-4">No coverage items yet.</div>
+        {templateRow}
+      </div>
+    );
   }
 
   return (
-    <div className="grid sm:grid-cols-2 lg:grid-cols-3 gap-4">
-      {items.map((x) => (
-        <div key={x.id} className="border rounded-xl p-4 bg-white shadow-sm">
-          <div className="text-sm text-gray-500 mb-1">
-            Owner OOO: <span className="font-medium text-gray-800">{x.by}</span>
-          </div>
+    <div>
+      {modeSwitch}
+      {templateRow}
+      {sortedGroups.map(([group, groupItems]) => (
+        <section key={group} className="mb-6">
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">
+            {group} <span className="font-normal text-gray-500">({groupItems.length})</span>
+          </h3>
+          <div className="grid sm:grid-cols-2 lg:grid-cols-3 gap-4">
+            {groupItems.map((x) => (
+              <div key={x.id} className="border rounded-xl p-4 bg-white shadow-sm">
+                <div className="text-sm text-gray-500 mb-1">
+                  Owner OOO: <span className="font-medium text-gray-800">{x.by}</span>
+                </div>
 
-          {/* Title + link */}
-          <div className="text-lg font-semibold mb-2">
-            {x.link ? (
-              <a href={x.link} target="_blank" rel="noreferrer" className="text-indigo-700 hover:underline">
-                {x.title || "Untitled"}
-              </a>
-            ) : (
-              x.title || "Untitled"
-            )}
-          </div>
+                {/* Title + link */}
+                <div className="text-lg font-semibold mb-2">
+                  {safeHref(x.link) ? (
+                    <a href={safeHref(x.link)} target="_blank" rel="noreferrer" className="text-indigo-700 hover:underline">
+                      {x.title || "Untitled"}
+                    </a>
+                  ) : (
+                    x.title || "Untitled"
+                  )}
+                </div>
 
-          <div className="text-xs text-gray-500 mb-3">{x.range}</div>
+                {x.record && <RecordSummary record={x.record} />}
+                {closesWhileOut(x.record, x) && (
+                  <div className="text-xs text-red-700 font-medium mb-1">
+                    ⚠ Closes {x.record.closeDate}, while {x.by} is out
+                  </div>
+                )}
 
-          {/* Link editor */}
-          <div className="grid gap-1 mb-3">
-            <label className="text-xs font-medium text-gray-600">Salesforce / Deal Link</label>
-            <input
-              className="border rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 ring-indigo-500"
-              placeholder="https://yourinstance.lightning.force.com/..."
-              value={x.link}
-              onChange={(e) => updateCoverage(x.entryId, x.id, { link: e.target.value })}
-            />
-          </div>
+                <div className="text-xs text-gray-500 mb-3">{x.range}</div>
 
-          {/* Notes */}
-          <div className="grid gap-1 mb-3">
-            <label className="text-xs font-medium text-gray-600">Notes</label>
-            <textarea
-              rows={3}
-              className="border rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 ring-indigo-500"
-              placeholder="What needs to be done on this deal?"
-              value={x.notes}
-              onChange={(e) => updateCoverage(x.entryId, x.id, { notes: e.target.value })}
-            />
-          </div>
+                {/* Handoff: who covers it, by when, and where it stands */}
+                <div className="grid grid-cols-2 gap-2 mb-1">
+                  <label className="grid gap-1 col-span-2">
+                    <span className="text-xs font-medium text-gray-600">Covered by</span>
+                    <select
+                      className="border rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 ring-indigo-500"
+                      value={x.assigneeId || ""}
+                      onChange={(e) => updateCoverage(x.entryId, x.id, { assigneeId: e.target.value || null })}
+                    >
+                      <option value="">Unassigned</option>
+                      {sortedPeople
+                        .filter((p) => p.id !== x.ownerId)
+                        .map((p) => (
+                          <option key={p.id} value={p.id}>
+                            {p.displayName}
+                          </option>
+                        ))}
+                    </select>
+                  </label>
+                  <label className="grid gap-1">
+                    <span className="text-xs font-medium text-gray-600">Due</span>
+                    <input
+                      type="date"
+                      className="border rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 ring-indigo-500"
+                      value={x.due}
+                      onChange={(e) => updateCoverage(x.entryId, x.id, { due: e.target.value })}
+                    />
+                  </label>
+                  <label className="grid gap-1">
+                    <span className="text-xs font-medium text-gray-600">Status</span>
+                    <select
+                      className="border rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 ring-indigo-500"
+                      value={x.status}
+                      onChange={(e) => updateCoverage(x.entryId, x.id, { status: e.target.value })}
+                    >
+                      {COVERAGE_STATUSES.map((st) => (
+                        <option key={st.id} value={st.id}>
+                          {st.label}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+                {conflictNote(x.assigneeId, x.start, x.end)}
 
-          {/* Checklist */}
-          <div className="grid gap-2">
-            <div className="text-sm font-medium">Checklist</div>
-            <div className="flex flex-col gap-2">
-              {(x.tasks || []).map((t) => (
-                <label key={t.id} className="flex items-center gap-2 text-sm">
+                {/* Link editor; text fields are saved on blur so typing isn't a change per keystroke */}
+                <div className="grid gap-1 my-3">
+                  <label className="text-xs font-medium text-gray-600">Salesforce / Deal Link</label>
                   <input
-                    type="checkbox"
-                    checked={!!t.done}
-                    onChange={() => toggleTask(x.entryId, x.id, t.id)}
+                    key={x.link}
+                    className="border rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 ring-indigo-500"
+                    placeholder="https://yourinstance.lightning.force.com/..."
+                    defaultValue={x.link}
+                    onBlur={(e) => e.target.value !== x.link && updateLink(x, e.target.value)}
                   />
-                  <span className={t.done ? "line-through text-gray-500" : ""}>{t.text}</span>
-                  <button
-                    type="button"
-                    className="ml-auto text-xs text-red-600 hover:underline"
-                    onClick={() => removeTask(x.entryId, x.id, t.id)}
-                  >
-                    remove
-                  </button>
-                </label>
-              ))}
-            </div>
+                  {x.ref?.error ? (
+                    <span className="text-xs text-red-600">{x.ref.error}</span>
+                  ) : (
+                    x.ref && (
+                      <span className="text-xs text-gray-500">
+                        {recordTypeLabel(x.ref.type)} · {x.ref.id}
+                      </span>
+                    )
+                  )}
+                </div>
+
+                {/* Notes */}
+                <div className="grid gap-1 mb-3">
+                  <label className="text-xs font-medium text-gray-600">Notes</label>
+                  <textarea
+                    key={x.notes}
+                    rows={3}
+                    className="border rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 ring-indigo-500"
+                    placeholder="What needs to be done on this deal?"
+                    defaultValue={x.notes}
+                    onBlur={(e) => e.target.value !== x.notes && updateCoverage(x.entryId, x.id, { notes: e.target.value })}
+                  />
+                </div>
+
+                {/* Checklist */}
+                <div className="grid gap-2">
+                  <div className="text-sm font-medium">Checklist</div>
+                  <div className="flex flex-col gap-2">
+                    {(x.tasks || []).map((t) => (
+                      <div key={t.id} className="text-sm">
+                        <div className="flex items-center gap-2">
+                          <input type="checkbox" checked={!!t.done} onChange={() => toggleTask(x.entryId, x.id, t)} />
+                          <span className={t.done ? "line-through text-gray-500" : ""}>{t.text}</span>
+                          <button
+                            type="button"
+                            className="ml-auto text-xs text-red-600 hover:underline"
+                            onClick={() => removeTask(x.entryId, x.id, t.id)}
+                          >
+                            remove
+                          </button>
+                        </div>
+                        <div className="flex items-center gap-2 pl-6 mt-1">
+                          <select
+                            className="border rounded px-1 py-0.5 text-xs"
+                            title="Task assignee (defaults to whoever covers the item)"
+                            value={t.assigneeId || ""}
+                            onChange={(e) => updateTask(x.entryId, x.id, t.id, { assigneeId: e.target.value || null })}
+                          >
+                            <option value="">{x.assigneeId ? `${nameOf(x.assigneeId)} (item)` : "Unassigned"}</option>
+                            {sortedPeople
+                              .filter((p) => p.id !== x.ownerId)
+                              .map((p) => (
+                                <option key={p.id} value={p.id}>
+                                  {p.displayName}
+                                </option>
+                              ))}
+                          </select>
+                          <input
+                            type="date"
+                            className="border rounded px-1 py-0.5 text-xs"
+                            value={t.due}
+                            onChange={(e) => updateTask(x.entryId, x.id, t.id, { due: e.target.value })}
+                          />
+                          <select
+                            className="border rounded px-1 py-0.5 text-xs"
+                            value={t.status}
+                            onChange={(e) => updateTask(x.entryId, x.id, t.id, { status: e.target.value })}
+                          >
+                            {COVERAGE_STATUSES.map((st) => (
+                              <option key={st.id} value={st.id}>
+                                {st.label}
+                              </option>
+                            ))}
+                          </select>
+                        </div>
+                        {t.assigneeId && conflictNote(t.assigneeId, x.start, x.end)}
+                      </div>
+                    ))}
+                  </div>
 
-            {/* Add new task */}
-            <AddTaskRow onAdd={(text) => text && addTask(x.entryId, x.id, text)} />
+                  {/* Add new task */}
+                  <AddTaskRow onAdd={(text) => text && addTask(x.entryId, x.id, text)} />
+                </div>
+              </div>
+            ))}
           </div>
-        </div>
+        </section>
       ))}
     </div>
   );
 }
 
+// Name, stage, amount and close date of a linked CRM record, as last fetched
+function RecordSummary({ record }) {
+  const amount =
+    record.amount != null &&
+    new Intl.NumberFormat(undefined, {
+      style: record.currency ? "currency" : "decimal",
+      currency: record.currency || undefined,
+      maximumFractionDigits: 0,
+    }).format(record.amount);
+  return (
+    <div className="text-xs text-gray-600 mb-1" title={`Fetched ${new Date(record.syncedAt).toLocaleString()}`}>
+      <div className="font-medium text-gray-800">{record.name}</div>
+      {[record.stage, amount, record.closeDate && `closes ${record.closeDate}`].filter(Boolean).join(" · ")}
+    </div>
+  );
+}
+
+function DueLabel({ due, done, today }) {
+  const overdue = !done && due < today;
+  return (
+    <span className={cx("text-xs", overdue ? "text-red-700 font-medium" : "text-gray-500")}>
+      {overdue ? "overdue" : "due"} {due}
+    </span>
+  );
+}
+
+// Adds a template's items to an upcoming absence, filled in with its owner and dates
+function ApplyTemplateRow({ entries, teamOf, templates, onApply }) {
+  const [entryId, setEntryId] = useState("");
+  const [templateId, setTemplateId] = useState("");
+  const entry = entries.find((e) => e.id === entryId);
+  const offered = entry ? templatesFor(templates, { team: teamOf(entry), type: entry.type }) : [];
+  const template = offered.find((t) => t.id === templateId);
+  const selectCls = "border rounded-lg px-3 py-1.5 text-sm outline-none focus:ring-2 ring-indigo-500";
+
+  if (entries.length === 0 || templates.length === 0) return null;
+  return (
+    <form
+      className="flex flex-wrap items-center gap-2 mb-4 text-sm"
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (!entry || !template) return;
+        onApply(entry, template);
+        setTemplateId("");
+      }}
+    >
+      <span className="font-medium">Apply a handoff template to</span>
+      <select className={selectCls} value={entryId} onChange={(e) => setEntryId(e.target.value)}>
+        <option value="">Choose an absence…</option>
+        {[...entries]
+          .sort((a, b) => a.start.localeCompare(b.start))
+          .map((e) => (
+            <option key={e.id} value={e.id}>
+              {e.name} — {e.type}, {e.start} → {e.end}
+            </option>
+          ))}
+      </select>
+      <select
+        className={selectCls}
+        value={templateId}
+        disabled={!entry}
+        onChange={(e) => setTemplateId(e.target.value)}
+      >
+        <option value="">{entry && offered.length === 0 ? "No templates for this absence" : "Template…"}</option>
+        {offered.map((t) => (
+          <option key={t.id} value={t.id}>
+            {t.name}
+          </option>
+        ))}
+      </select>
+      <button
+        type="submit"
+        className="px-3 py-1.5 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+        disabled={!template}
+      >
+        Apply
+      </button>
+    </form>
+  );
+}
+
 function AddTaskRow({ onAdd }) {
   const [text, setText] = useState("");
   return (
@@ -736,10 +2251,3 @@ function AddTaskRow({ onAdd }) {
     </form>
   );
 }
-""")
-
-out_path = "/mnt/data/App.jsx"
-with open(out_path, "w") as f:
-  f.write(code)
-
-out_path
@@ -0,0 +1,92 @@
+import React, { useState } from "react";
+import { dayPartLabel, entryStatus, formatDays } from "../lib/entries.js";
+import { describeRecurrence } from "../lib/recurrence.js";
+import { sharedNotes } from "../lib/types.js";
+
+// Manager view: pending requests, oldest first, with approve / reject + comment.
+// `entries` are only the requests the signed-in user (`approverName`) may decide.
+export default function ApprovalQueue({ entries, types, approverName, onDecide, countDays }) {
+  const [comments, setComments] = useState({});
+
+  const pending = entries
+    .filter((e) => entryStatus(e) === "pending")
+    .sort((a, b) => (a.requestedAt || "").localeCompare(b.requestedAt || ""));
+  const recent = entries
+    .filter((e) => e.decidedAt)
+    .sort((a, b) => b.decidedAt.localeCompare(a.decidedAt))
+    .slice(0, 5);
+
+  function decide(e, status) {
+    onDecide(e.id, status, { comment: (comments[e.id] || "").trim() });
+    setComments(({ [e.id]: _, ...rest }) => rest);
+  }
+
+  return (
+    <div className="grid gap-6">
+      <p className="text-sm text-gray-600">
+        Deciding as <span className="font-medium">{approverName}</span>, for the people who report to you.
+      </p>
+
+      <ul className="divide-y">
+        {pending.length === 0 && <li className="py-6 text-gray-500 text-sm">No pending requests.</li>}
+        {pending.map((e) => (
+          <li key={e.id} className="py-4 grid gap-2">
+            <div className="flex items-start justify-between gap-4">
+              <div>
+                <div className="font-medium">
+                  {e.name} — {e.type}
+                </div>
+                <div className="text-sm text-gray-600">
+                  {e.start} → {e.end} • {formatDays(countDays(e), "working day")}
+                  {dayPartLabel(e) && ` (${dayPartLabel(e)})`}
+                  {e.requestedAt && (
+                    <span className="text-gray-400"> • requested {new Date(e.requestedAt).toLocaleString()}</span>
+                  )}
+                </div>
+                {e.recurrence && <div className="text-xs text-gray-500">↻ {describeRecurrence(e.recurrence)}</div>}
+                {sharedNotes(types, e) && <div className="text-sm mt-1">{e.notes}</div>}
+              </div>
+              <div className="flex gap-2 shrink-0">
+                <button
+                  type="button"
+                  className="rounded-lg bg-green-600 text-white px-3 py-1.5 text-sm hover:bg-green-700"
+                  onClick={() => decide(e, "approved")}
+                >
+                  Approve
+                </button>
+                <button
+                  type="button"
+                  className="rounded-lg border border-red-300 text-red-700 px-3 py-1.5 text-sm hover:bg-red-50"
+                  onClick={() => decide(e, "rejected")}
+                >
+                  Reject
+                </button>
+              </div>
+            </div>
+            <input
+              className="border rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 ring-indigo-500"
+              placeholder="Decision comment (optional)"
+              value={comments[e.id] || ""}
+              onChange={(ev) => setComments({ ...comments, [e.id]: ev.target.value })}
+            />
+          </li>
+        ))}
+      </ul>
+
+      {recent.length > 0 && (
+        <div>
+          <h3 className="font-semibold mb-2">Recently decided</h3>
+          <ul className="text-sm text-gray-600 grid gap-1">
+            {recent.map((e) => (
+              <li key={e.id}>
+                <span className="capitalize">{entryStatus(e)}</span>: {e.name} ({e.start} → {e.end}) by{" "}
+                {e.approver} on {new Date(e.decidedAt).toLocaleDateString()}
+                {e.decisionComment && <span className="italic"> — “{e.decisionComment}”</span>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,188 @@
+import React, { useMemo, useState } from "react";
+import { cx } from "../lib/cx.js";
+import { ACCRUAL_METHODS, computeBalance } from "../lib/balances.js";
+import { byDisplayName } from "../lib/people.js";
+
+const inputCls = "border rounded-lg px-2 py-1 text-sm outline-none focus:ring-2 ring-indigo-500";
+
+export default function BalancesPanel({ entries, people, policies, onPoliciesChange, today, calendar }) {
+  const thisYear = Number(today.slice(0, 4));
+  const [year, setYear] = useState(thisYear);
+  const types = Object.keys(policies.types);
+
+  const rows = useMemo(
+    () =>
+      [...people].sort(byDisplayName).flatMap((person) =>
+        Object.keys(policies.types).map((type) => ({
+          personId: person.id,
+          name: person.displayName,
+          type,
+          override: policies.people[person.id]?.[type]?.allowance,
+          ...computeBalance({ entries, policies, personId: person.id, type, year, today, calendar }),
+        }))
+      ),
+    [people, entries, policies, year, today, calendar]
+  );
+
+  function setTypePolicy(type, patch) {
+    onPoliciesChange({
+      ...policies,
+      types: { ...policies.types, [type]: { ...policies.types[type], ...patch } },
+    });
+  }
+
+  // Blank input clears the per-person override and falls back to the type default
+  function setOverride(personId, type, value) {
+    const person = { ...(policies.people[personId] || {}) };
+    if (value === "") delete person[type];
+    else person[type] = { allowance: Number(value) };
+    onPoliciesChange({ ...policies, people: { ...policies.people, [personId]: person } });
+  }
+
+  return (
+    <div className="grid gap-8">
+      <div>
+        <div className="flex items-center gap-3 mb-3">
+          <label className="text-sm font-medium" htmlFor="balance-year">
+            Year
+          </label>
+          <select id="balance-year" className={inputCls} value={year} onChange={(e) => setYear(Number(e.target.value))}>
+            {[thisYear - 2, thisYear - 1, thisYear, thisYear + 1].map((y) => (
+              <option key={y}>{y}</option>
+            ))}
+          </select>
+          <span className="text-xs text-gray-500">
+            Working days only — weekends and each person’s regional holidays aren’t deducted.
+          </span>
+        </div>
+
+        <div className="overflow-x-auto border rounded-xl">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50 text-left text-gray-600">
+              <tr>
+                <th className="px-3 py-2">Person</th>
+                <th className="px-3 py-2">Type</th>
+                <th className="px-3 py-2">Allowance</th>
+                <th className="px-3 py-2">Carried over</th>
+                <th className="px-3 py-2">Accrued</th>
+                <th className="px-3 py-2">Used</th>
+                <th className="px-3 py-2">Planned</th>
+                <th className="px-3 py-2">Remaining</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {rows.length === 0 && (
+                <tr>
+                  <td colSpan={8} className="px-3 py-6 text-gray-500">
+                    No people yet.
+                  </td>
+                </tr>
+              )}
+              {rows.map((r) => (
+                <tr key={`${r.personId}|${r.type}`}>
+                  <td className="px-3 py-2 font-medium">{r.name}</td>
+                  <td className="px-3 py-2">{r.type}</td>
+                  <td className="px-3 py-2">
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.5"
+                      className={cx(inputCls, "w-20")}
+                      placeholder={String(policies.types[r.type].allowance)}
+                      title="Leave blank to use the default for this type"
+                      value={r.override ?? ""}
+                      onChange={(e) => setOverride(r.personId, r.type, e.target.value)}
+                    />
+                  </td>
+                  <td className="px-3 py-2">{r.carried}</td>
+                  <td className="px-3 py-2">{r.accrued}</td>
+                  <td className="px-3 py-2">{r.used}</td>
+                  <td className="px-3 py-2">{r.planned}</td>
+                  <td
+                    className={cx(
+                      "px-3 py-2 font-semibold",
+                      r.remaining < 0 ? "text-red-700" : r.available < 0 ? "text-amber-700" : "text-gray-900"
+                    )}
+                    title={`Available from accrual to date: ${r.available}`}
+                  >
+                    {r.remaining}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div>
+        <h3 className="font-semibold mb-2">Policies per type</h3>
+        <div className="overflow-x-auto border rounded-xl">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50 text-left text-gray-600">
+              <tr>
+                <th className="px-3 py-2">Type</th>
+                <th className="px-3 py-2">Days / year</th>
+                <th className="px-3 py-2">Accrual</th>
+                <th className="px-3 py-2">Max carry-over</th>
+                <th className="px-3 py-2">Over balance</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {types.map((type) => {
+                const p = policies.types[type];
+                return (
+                  <tr key={type}>
+                    <td className="px-3 py-2 font-medium">{type}</td>
+                    <td className="px-3 py-2">
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.5"
+                        className={cx(inputCls, "w-20")}
+                        value={p.allowance}
+                        onChange={(e) => setTypePolicy(type, { allowance: Number(e.target.value) })}
+                      />
+                    </td>
+                    <td className="px-3 py-2">
+                      <select
+                        className={inputCls}
+                        value={p.accrual}
+                        onChange={(e) => setTypePolicy(type, { accrual: e.target.value })}
+                      >
+                        {ACCRUAL_METHODS.map((m) => (
+                          <option key={m.id} value={m.id}>
+                            {m.label}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="px-3 py-2">
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.5"
+                        className={cx(inputCls, "w-20")}
+                        value={p.carryOver}
+                        onChange={(e) => setTypePolicy(type, { carryOver: Number(e.target.value) })}
+                      />
+                    </td>
+                    <td className="px-3 py-2">
+                      <select
+                        className={inputCls}
+                        value={p.enforce}
+                        onChange={(e) => setTypePolicy(type, { enforce: e.target.value })}
+                      >
+                        <option value="warn">Warn</option>
+                        <option value="block">Block</option>
+                      </select>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
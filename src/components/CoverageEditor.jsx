@@ -0,0 +1,135 @@
+import React from "react";
+import { parseRecordLink, recordTypeLabel } from "../lib/salesforce.js";
+import { instantiateTemplate } from "../lib/templates.js";
+
+const inputCls = "border rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 ring-indigo-500";
+
+const blankItem = () => ({
+  id: crypto.randomUUID(),
+  title: "",
+  link: "",
+  notes: "",
+  assigneeId: null,
+  due: "",
+  status: "open",
+  record: null,
+  tasks: [],
+});
+
+// Coverage items on the request form. Handoff details (assignee, checklist) are kept
+// as-is here and edited on the Coverage board. `templates` are the handoff templates on
+// offer; their {{variables}} stay as typed until the request is submitted.
+export default function CoverageEditor({ items, onChange, templates = [] }) {
+  function update(id, patch) {
+    onChange(items.map((c) => (c.id === id ? { ...c, ...patch } : c)));
+  }
+
+  function move(index, delta) {
+    const next = [...items];
+    const [item] = next.splice(index, 1);
+    next.splice(index + delta, 0, item);
+    onChange(next);
+  }
+
+  return (
+    <div className="grid gap-2">
+      {items.map((c, i) => (
+        <div key={c.id} className="border rounded-lg p-3 grid gap-2">
+          <div className="flex items-center gap-2">
+            <input
+              className={`${inputCls} flex-1`}
+              placeholder="e.g., Deal: ACME Q4 renewals"
+              value={c.title}
+              onChange={(e) => update(c.id, { title: e.target.value })}
+            />
+            <button
+              type="button"
+              className="px-2 py-1 text-sm rounded border hover:bg-gray-50 disabled:opacity-40"
+              aria-label="Move up"
+              disabled={i === 0}
+              onClick={() => move(i, -1)}
+            >
+              ↑
+            </button>
+            <button
+              type="button"
+              className="px-2 py-1 text-sm rounded border hover:bg-gray-50 disabled:opacity-40"
+              aria-label="Move down"
+              disabled={i === items.length - 1}
+              onClick={() => move(i, 1)}
+            >
+              ↓
+            </button>
+            <button
+              type="button"
+              className="text-xs text-red-600 hover:underline"
+              onClick={() => onChange(items.filter((x) => x.id !== c.id))}
+            >
+              remove
+            </button>
+          </div>
+          <input
+            className={inputCls}
+            placeholder="Salesforce / deal link (optional)"
+            value={c.link}
+            onChange={(e) => update(c.id, { link: e.target.value })}
+          />
+          <LinkHint link={c.link} />
+          <input
+            className={inputCls}
+            placeholder="Notes for whoever covers this"
+            value={c.notes}
+            onChange={(e) => update(c.id, { notes: e.target.value })}
+          />
+          {c.tasks.length > 0 && (
+            <div className="text-xs text-gray-500">{c.tasks.length} checklist item(s) — edit on the Coverage board</div>
+          )}
+        </div>
+      ))}
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          type="button"
+          className="rounded-lg border px-3 py-1.5 text-sm hover:bg-gray-50"
+          onClick={() => onChange([...items, blankItem()])}
+        >
+          + Add coverage item
+        </button>
+        {templates.length > 0 && (
+          <select
+            className="border rounded-lg px-3 py-1.5 text-sm outline-none focus:ring-2 ring-indigo-500"
+            aria-label="Add items from a handoff template"
+            value=""
+            onChange={(e) => {
+              const template = templates.find((t) => t.id === e.target.value);
+              if (template) onChange([...items, ...instantiateTemplate(template)]);
+            }}
+          >
+            <option value="">+ From template…</option>
+            {templates.map((t) => (
+              <option key={t.id} value={t.id}>
+                {t.name}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+      {items.some((c) => c.title.includes("{{") || c.notes.includes("{{")) && (
+        <div className="text-xs text-gray-500">
+          {"{{owner}}"}, {"{{range}}"} and other placeholders are filled in when you submit.
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Same check as the Coverage board; a link that isn't a Salesforce record is still allowed
+function LinkHint({ link }) {
+  const ref = parseRecordLink(link);
+  if (!ref) return null;
+  if (ref.error) return <span className="text-xs text-red-600">{ref.error}</span>;
+  return (
+    <span className="text-xs text-gray-500">
+      {recordTypeLabel(ref.type)} · {ref.id}
+    </span>
+  );
+}
@@ -0,0 +1,95 @@
+import React from "react";
+import { AUDIT_ACTIONS } from "../lib/audit.js";
+
+const FIELD_LABELS = {
+  personId: "person",
+  assigneeId: "assignee",
+  dayPart: "day part",
+  requestedAt: "requested",
+  decidedAt: "decided",
+  decisionComment: "decision comment",
+  cancelledAt: "cancelled",
+};
+
+const fieldLabel = (field) => field.replace(/[A-Za-z]+$/, (last) => FIELD_LABELS[last] || last);
+
+function formatValue(field, value, nameOf) {
+  if (value === null || value === undefined || value === "") return "—";
+  if (/(personId|assigneeId)$/.test(field)) return nameOf(value);
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// One entry's history, newest first, in a panel over the right edge of the page. Each record
+// can be restored: the version it produced, or for a removal the entry as it was before.
+// showNotes(version) is false for private notes the viewer may not read.
+export default function HistoryDrawer({ entryId, records, current, nameOf, showNotes, canRestore, onRestore, onClose }) {
+  const history = records.filter((r) => r.entryId === entryId).reverse();
+  const title = current?.name || history[0]?.entryName || "Entry";
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end bg-black/20" onClick={onClose}>
+      <aside
+        role="dialog"
+        aria-label={`History of ${title}’s entry`}
+        className="h-full w-full max-w-md overflow-y-auto bg-white shadow-xl p-5"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center gap-3 mb-4">
+          <h2 className="text-lg font-semibold">History · {title}</h2>
+          <button type="button" className="ml-auto text-gray-500 hover:text-gray-900" aria-label="Close" onClick={onClose}>
+            ✕
+          </button>
+        </div>
+        {!current && history.length > 0 && (
+          <p className="mb-4 rounded-lg bg-gray-50 px-3 py-2 text-sm text-gray-600">This entry has been removed.</p>
+        )}
+        {history.length === 0 && <div className="text-sm text-gray-500">No changes recorded yet.</div>}
+
+        <ol className="grid gap-4">
+          {history.map((r) => {
+            const version = r.action === "removed" ? r.before : r.after;
+            const restorable = version && !same(version, current) && canRestore(version);
+            return (
+              <li key={r.id} className="border-l-2 border-indigo-200 pl-3">
+                <div className="text-sm">
+                  <span className="font-medium">{AUDIT_ACTIONS[r.action] || r.action}</span> by{" "}
+                  {r.actor?.name || "Unknown"}
+                </div>
+                <div className="text-xs text-gray-500">{new Date(r.at).toLocaleString()}</div>
+                {r.changes.length > 0 && (
+                  <ul className="mt-1 grid gap-0.5 text-xs text-gray-700">
+                    {r.changes.map((c, i) => (
+                      <li key={i}>
+                        <span className="text-gray-500">{fieldLabel(c.field)}:</span>{" "}
+                        {c.field === "notes" && !showNotes(r.after || r.before) ? (
+                          <span className="italic text-gray-400">private</span>
+                        ) : (
+                          <>
+                            <span className="line-through text-gray-400">{formatValue(c.field, c.before, nameOf)}</span> →{" "}
+                            {formatValue(c.field, c.after, nameOf)}
+                          </>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {restorable && (
+                  <button
+                    type="button"
+                    className="mt-1 text-xs text-indigo-700 hover:underline"
+                    onClick={() => onRestore(version)}
+                  >
+                    {current ? "Restore this version" : "Restore entry"}
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ol>
+      </aside>
+    </div>
+  );
+}
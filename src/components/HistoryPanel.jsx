@@ -0,0 +1,94 @@
+import React, { useState } from "react";
+import { AUDIT_ACTIONS, removedEntries } from "../lib/audit.js";
+
+const PAGE = 50;
+
+// The whole change log, newest first, plus removed entries that can be brought back
+export default function HistoryPanel({ records, entries, canRestore, onRestore, onOpen }) {
+  const [action, setAction] = useState("");
+  const [shown, setShown] = useState(PAGE);
+  const removed = removedEntries(records, entries);
+  const log = records.filter((r) => !action || r.action === action).reverse();
+
+  return (
+    <div className="grid gap-6">
+      {removed.length > 0 && (
+        <div>
+          <h3 className="font-medium mb-2">Removed entries</h3>
+          <ul className="divide-y border rounded-xl">
+            {removed.map((r) => (
+              <li key={r.id} className="flex flex-wrap items-center gap-3 px-3 py-2 text-sm">
+                <span className="font-medium">{r.entryName}</span>
+                <span className="text-gray-600">
+                  {r.before.type} · {r.before.start} → {r.before.end}
+                </span>
+                <span className="text-xs text-gray-500">
+                  removed by {r.actor?.name || "Unknown"} {new Date(r.at).toLocaleString()}
+                </span>
+                <span className="ml-auto flex gap-3">
+                  <button type="button" className="text-indigo-700 hover:underline" onClick={() => onOpen(r.entryId)}>
+                    History
+                  </button>
+                  {canRestore(r.before) && (
+                    <button type="button" className="text-indigo-700 hover:underline" onClick={() => onRestore(r.before)}>
+                      Restore
+                    </button>
+                  )}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div>
+        <div className="flex items-center gap-3 mb-2">
+          <h3 className="font-medium">All changes</h3>
+          <select
+            className="ml-auto border rounded-lg px-2 py-1 text-sm"
+            aria-label="Action"
+            value={action}
+            onChange={(e) => {
+              setAction(e.target.value);
+              setShown(PAGE);
+            }}
+          >
+            <option value="">Any action</option>
+            {Object.entries(AUDIT_ACTIONS).map(([id, label]) => (
+              <option key={id} value={id}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+        {log.length === 0 && <div className="text-sm text-gray-500">Nothing recorded yet.</div>}
+        <ul className="divide-y">
+          {log.slice(0, shown).map((r) => (
+            <li key={r.id} className="flex flex-wrap items-baseline gap-x-3 py-2 text-sm">
+              <span className="text-xs text-gray-500 w-40 shrink-0">{new Date(r.at).toLocaleString()}</span>
+              <span>
+                <span className="font-medium">{r.actor?.name || "Unknown"}</span> —{" "}
+                {(AUDIT_ACTIONS[r.action] || r.action).toLowerCase()} {r.entryName}’s{" "}
+                {(r.after || r.before).type}
+                {r.changes.length > 0 && (
+                  <span className="text-gray-500">
+                    {" "}
+                    ({r.changes.length} {r.changes.length === 1 ? "change" : "changes"})
+                  </span>
+                )}
+              </span>
+              <button type="button" className="ml-auto text-indigo-700 hover:underline" onClick={() => onOpen(r.entryId)}>
+                Details
+              </button>
+            </li>
+          ))}
+        </ul>
+        {log.length > shown && (
+          <button type="button" className="mt-2 text-sm text-indigo-700 hover:underline" onClick={() => setShown((n) => n + PAGE)}>
+            Show more
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
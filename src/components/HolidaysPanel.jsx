@@ -0,0 +1,127 @@
+import React, { useState } from "react";
+import { parseHolidayJSON } from "../lib/holidays.js";
+import { parseHolidaysICS } from "../lib/ics.js";
+
+const inputCls = "border rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 ring-indigo-500";
+
+export default function HolidaysPanel({ config, onChange, today }) {
+  const [regionId, setRegionId] = useState("");
+  const [regionName, setRegionName] = useState("");
+  const regions = Object.entries(config.regions);
+
+  // JSON files may carry their own region id/name; the form fields win when filled in
+  async function loadFile(ev) {
+    const file = ev.target.files?.[0];
+    ev.target.value = "";
+    if (!file) return;
+    let parsed;
+    try {
+      const text = await file.text();
+      parsed = /\.ics$/i.test(file.name) || text.includes("BEGIN:VCALENDAR")
+        ? { holidays: parseHolidaysICS(text) }
+        : parseHolidayJSON(text);
+    } catch (err) {
+      alert(`Couldn't read ${file.name}: ${err.message}`);
+      return;
+    }
+    const id = (regionId || parsed.region || "").trim().toUpperCase();
+    if (!id) {
+      alert("Enter a region code (e.g. US, UK, IN) for this calendar.");
+      return;
+    }
+    if (parsed.holidays.length === 0) {
+      alert(`No holidays found in ${file.name}.`);
+      return;
+    }
+    const holidays = [...parsed.holidays].sort((a, b) => a.date.localeCompare(b.date));
+    onChange({
+      ...config,
+      regions: { ...config.regions, [id]: { name: regionName || parsed.name || id, holidays } },
+      defaultRegion: config.defaultRegion || id,
+    });
+    setRegionId("");
+    setRegionName("");
+  }
+
+  function removeRegion(id) {
+    const { [id]: _, ...rest } = config.regions;
+    onChange({
+      ...config,
+      regions: rest,
+      defaultRegion: config.defaultRegion === id ? Object.keys(rest)[0] || null : config.defaultRegion,
+    });
+  }
+
+  return (
+    <div className="grid gap-8">
+      <div>
+        <h3 className="font-semibold mb-2">Regions</h3>
+        <ul className="divide-y border rounded-xl">
+          {regions.length === 0 && <li className="px-3 py-4 text-sm text-gray-500">No holiday calendars loaded.</li>}
+          {regions.map(([id, r]) => {
+            const upcoming = r.holidays.filter((h) => h.date >= today).slice(0, 3);
+            return (
+              <li key={id} className="px-3 py-3 flex items-start justify-between gap-4 text-sm">
+                <div>
+                  <div className="font-medium">
+                    {r.name} <span className="text-gray-500">({id})</span>
+                    {config.defaultRegion === id && (
+                      <span className="ml-2 px-2 py-0.5 rounded-full bg-indigo-50 text-indigo-700 text-xs">default</span>
+                    )}
+                  </div>
+                  <div className="text-gray-600">
+                    {r.holidays.length} holidays
+                    {upcoming.length > 0 && <> • next: {upcoming.map((h) => `${h.name} (${h.date})`).join(", ")}</>}
+                  </div>
+                </div>
+                <div className="flex gap-3 shrink-0">
+                  {config.defaultRegion !== id && (
+                    <button
+                      type="button"
+                      className="text-indigo-700 hover:underline"
+                      onClick={() => onChange({ ...config, defaultRegion: id })}
+                    >
+                      Make default
+                    </button>
+                  )}
+                  <button type="button" className="text-red-600 hover:underline" onClick={() => removeRegion(id)}>
+                    Remove
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+
+        <div className="mt-4 flex flex-wrap items-end gap-3">
+          <label className="grid gap-1 text-sm">
+            <span className="font-medium">Region code</span>
+            <input
+              className={inputCls}
+              placeholder="e.g., UK"
+              value={regionId}
+              onChange={(e) => setRegionId(e.target.value)}
+            />
+          </label>
+          <label className="grid gap-1 text-sm">
+            <span className="font-medium">Display name</span>
+            <input
+              className={inputCls}
+              placeholder="e.g., United Kingdom"
+              value={regionName}
+              onChange={(e) => setRegionName(e.target.value)}
+            />
+          </label>
+          <label className="inline-flex items-center gap-2 rounded-xl border px-4 py-2 text-sm hover:bg-gray-50 cursor-pointer">
+            Load .json / .ics
+            <input type="file" accept=".json,.ics,application/json,text/calendar" className="hidden" onChange={loadFile} />
+          </label>
+        </div>
+        <p className="mt-2 text-xs text-gray-500">
+          JSON format: {'{ "region": "UK", "name": "United Kingdom", "holidays": [{ "date": "2025-12-25", "name": "Christmas Day" }] }'}.
+          Loading a code that already exists replaces that calendar.
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,292 @@
+import React, { useMemo, useState } from "react";
+import { cx } from "../lib/cx.js";
+import {
+  DATE_FORMATS,
+  IMPORT_FIELDS,
+  buildPreview,
+  detectDelimiter,
+  guessMapping,
+  parseDelimited,
+} from "../lib/csv.js";
+
+const DELIMITERS = [
+  { id: "auto", label: "Auto-detect" },
+  { id: ",", label: "Comma (CSV)" },
+  { id: "\t", label: "Tab (TSV / pasted cells)" },
+  { id: ";", label: "Semicolon" },
+];
+
+const FIELD_LABELS = {
+  name: "Name",
+  start: "Start date",
+  end: "End date",
+  type: "Type",
+  notes: "Notes",
+};
+
+const inputCls = "border rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 ring-indigo-500";
+
+// Three steps: paste/upload -> map columns -> preview & commit
+// `types` are the catalog's type names
+// onImport(rows) returns how many entries were actually added
+export default function ImportWizard({ existing, people, types, onImport }) {
+  const [step, setStep] = useState("source"); // "source" | "map" | "preview"
+  const [text, setText] = useState("");
+  const [delimiter, setDelimiter] = useState("auto");
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState({});
+  const [dateFormat, setDateFormat] = useState("auto");
+  const [defaultType, setDefaultType] = useState(() => (types.includes("Vacation") ? "Vacation" : types[0]));
+  const [result, setResult] = useState("");
+
+  const rows = useMemo(
+    () => (text.trim() ? parseDelimited(text, delimiter === "auto" ? detectDelimiter(text) : delimiter) : []),
+    [text, delimiter]
+  );
+  const width = rows.reduce((n, r) => Math.max(n, r.length), 0);
+  const headers = hasHeader && rows[0] ? rows[0] : Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+  const dataRows = useMemo(() => (hasHeader ? rows.slice(1) : rows), [rows, hasHeader]);
+
+  const preview = useMemo(
+    () =>
+      step === "preview"
+        ? buildPreview(dataRows, { mapping, dateFormat, defaultType, types, people, firstLine: hasHeader ? 2 : 1 }, existing)
+        : [],
+    [step, dataRows, mapping, dateFormat, defaultType, types, people, hasHeader, existing]
+  );
+  const ready = preview.filter((p) => p.errors.length === 0 && !p.duplicate);
+  const invalid = preview.filter((p) => p.errors.length > 0).length;
+  const dupes = preview.filter((p) => p.duplicate).length;
+
+  async function loadFile(ev) {
+    const file = ev.target.files?.[0];
+    ev.target.value = "";
+    if (file) setText(await file.text());
+  }
+
+  function toMapping() {
+    if (dataRows.length === 0) {
+      alert("Nothing to import — paste or upload at least one data row.");
+      return;
+    }
+    setMapping(hasHeader ? guessMapping(headers) : Object.fromEntries(IMPORT_FIELDS.map((f) => [f, null])));
+    setResult("");
+    setStep("map");
+  }
+
+  function toPreview() {
+    if (mapping.name == null || mapping.start == null) {
+      alert("Map at least the Name and Start date columns.");
+      return;
+    }
+    setStep("preview");
+  }
+
+  function commit() {
+    const added = onImport(ready.map((p) => ({ id: crypto.randomUUID(), ...p.entry })));
+    const skipped = dupes + ready.length - added;
+    setResult(
+      `Imported ${added} ${added === 1 ? "entry" : "entries"}.` +
+        (invalid ? ` ${invalid} invalid row(s) skipped.` : "") +
+        (skipped ? ` ${skipped} duplicate(s) skipped.` : "")
+    );
+    setText("");
+    setStep("source");
+  }
+
+  return (
+    <div className="grid gap-4">
+      <ol className="flex gap-4 text-sm">
+        {[
+          ["source", "1. Paste or upload"],
+          ["map", "2. Map columns"],
+          ["preview", "3. Preview & import"],
+        ].map(([id, label]) => (
+          <li key={id} className={cx(step === id ? "font-semibold text-indigo-700" : "text-gray-500")}>
+            {label}
+          </li>
+        ))}
+      </ol>
+
+      {result && (
+        <div className="rounded-lg border border-green-200 bg-green-50 text-green-800 text-sm px-3 py-2">
+          {result}
+        </div>
+      )}
+
+      {step === "source" && (
+        <>
+          <textarea
+            className={cx(inputCls, "font-mono")}
+            rows={10}
+            placeholder={"Name,Start,End,Type,Notes\nAJ,10/01/2025,10/03/2025,Vacation,Back Monday"}
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+          />
+          <div className="flex flex-wrap items-center gap-4 text-sm">
+            <label className="inline-flex items-center gap-2 rounded-xl border px-4 py-2 hover:bg-gray-50 cursor-pointer">
+              Upload .csv / .tsv
+              <input
+                type="file"
+                accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values"
+                className="hidden"
+                onChange={loadFile}
+              />
+            </label>
+            <label className="flex items-center gap-2">
+              Delimiter
+              <select className={inputCls} value={delimiter} onChange={(e) => setDelimiter(e.target.value)}>
+                {DELIMITERS.map((d) => (
+                  <option key={d.label} value={d.id}>
+                    {d.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={hasHeader} onChange={(e) => setHasHeader(e.target.checked)} />
+              First row is a header
+            </label>
+            <span className="text-gray-500">
+              {dataRows.length} data row{dataRows.length === 1 ? "" : "s"}
+            </span>
+          </div>
+          <div>
+            <button
+              type="button"
+              className="rounded-xl bg-indigo-600 text-white px-4 py-2 font-medium hover:bg-indigo-700"
+              onClick={toMapping}
+            >
+              Next: map columns
+            </button>
+          </div>
+        </>
+      )}
+
+      {step === "map" && (
+        <>
+          <div className="grid sm:grid-cols-2 lg:grid-cols-3 gap-4">
+            {IMPORT_FIELDS.map((field) => (
+              <label key={field} className="grid gap-1 text-sm">
+                <span className="font-medium">
+                  {FIELD_LABELS[field]}
+                  {(field === "name" || field === "start") && <span className="text-red-600"> *</span>}
+                </span>
+                <select
+                  className={inputCls}
+                  value={mapping[field] ?? ""}
+                  onChange={(e) =>
+                    setMapping({ ...mapping, [field]: e.target.value === "" ? null : Number(e.target.value) })
+                  }
+                >
+                  <option value="">— not in file —</option>
+                  {headers.map((h, i) => (
+                    <option key={i} value={i}>
+                      {h || `Column ${i + 1}`}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+            <label className="grid gap-1 text-sm">
+              <span className="font-medium">Date format</span>
+              <select className={inputCls} value={dateFormat} onChange={(e) => setDateFormat(e.target.value)}>
+                {DATE_FORMATS.map((f) => (
+                  <option key={f.id} value={f.id}>
+                    {f.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="grid gap-1 text-sm">
+              <span className="font-medium">Type when column is empty</span>
+              <select className={inputCls} value={defaultType} onChange={(e) => setDefaultType(e.target.value)}>
+                {types.map((t) => (
+                  <option key={t}>{t}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <p className="text-xs text-gray-500">
+            Rows without an end date are treated as single-day absences. Auto-detect reads ISO, Excel serial
+            numbers, month names, and slash dates as MM/DD unless the first part is above 12.
+          </p>
+          <div className="flex gap-2">
+            <button type="button" className="rounded-xl border px-4 py-2 text-sm hover:bg-gray-50" onClick={() => setStep("source")}>
+              Back
+            </button>
+            <button
+              type="button"
+              className="rounded-xl bg-indigo-600 text-white px-4 py-2 font-medium hover:bg-indigo-700"
+              onClick={toPreview}
+            >
+              Next: preview
+            </button>
+          </div>
+        </>
+      )}
+
+      {step === "preview" && (
+        <>
+          <div className="text-sm text-gray-600">
+            {ready.length} ready • {invalid} with errors • {dupes} duplicate{dupes === 1 ? "" : "s"}
+          </div>
+          <div className="overflow-x-auto border rounded-xl">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-50 text-left text-gray-600">
+                <tr>
+                  <th className="px-3 py-2">Row</th>
+                  <th className="px-3 py-2">Name</th>
+                  <th className="px-3 py-2">Start</th>
+                  <th className="px-3 py-2">End</th>
+                  <th className="px-3 py-2">Type</th>
+                  <th className="px-3 py-2">Notes</th>
+                  <th className="px-3 py-2">Status</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y">
+                {preview.map((p) => (
+                  <tr
+                    key={p.line}
+                    className={cx(p.errors.length ? "bg-red-50" : p.duplicate ? "bg-amber-50" : "bg-white")}
+                  >
+                    <td className="px-3 py-2 text-gray-500">{p.line}</td>
+                    <td className="px-3 py-2">{p.entry.name}</td>
+                    <td className="px-3 py-2">{p.entry.start}</td>
+                    <td className="px-3 py-2">{p.entry.end}</td>
+                    <td className="px-3 py-2">{p.entry.type}</td>
+                    <td className="px-3 py-2 max-w-xs truncate" title={p.entry.notes}>
+                      {p.entry.notes}
+                    </td>
+                    <td className="px-3 py-2">
+                      {p.errors.length > 0 ? (
+                        <span className="text-red-700">{p.errors.join("; ")}</span>
+                      ) : p.duplicate ? (
+                        <span className="text-amber-700">Duplicate: {p.duplicate}</span>
+                      ) : (
+                        <span className="text-green-700">OK</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="flex gap-2">
+            <button type="button" className="rounded-xl border px-4 py-2 text-sm hover:bg-gray-50" onClick={() => setStep("map")}>
+              Back
+            </button>
+            <button
+              type="button"
+              disabled={ready.length === 0}
+              className="rounded-xl bg-indigo-600 text-white px-4 py-2 font-medium hover:bg-indigo-700 disabled:opacity-40"
+              onClick={commit}
+            >
+              Import {ready.length} {ready.length === 1 ? "entry" : "entries"}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
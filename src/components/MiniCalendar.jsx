@@ -0,0 +1,400 @@
+import React, { useMemo, useRef } from "react";
+import { cx } from "../lib/cx.js";
+import { addDays, addMonths, eachDay, todayIn } from "../lib/dates.js";
+import { formatDays } from "../lib/entries.js";
+import { understaffedDays } from "../lib/staffing.js";
+import { typeOf } from "../lib/types.js";
+import { useRangeSelection } from "../lib/useRangeSelection.js";
+import {
+  CALENDAR_VIEWS,
+  buildOccupancy,
+  monthCells,
+  viewRange,
+  viewTitle,
+} from "../lib/calendar.js";
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const ARROW_STEPS = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 };
+
+export default function MiniCalendar({
+  view,
+  anchor,
+  entries,
+  holidays,
+  isOff,
+  teams = [],
+  types = [],
+  colorOf,
+  onPrev,
+  onNext,
+  onToday,
+  onJump,
+  onViewChange,
+  onSelectRange,
+}) {
+  const { from, to } = viewRange(view, anchor);
+  const todayIso = todayIn();
+  const grid = useRef(null);
+  const selection = useRangeSelection((start, end) => onSelectRange(start, end));
+
+  // Week/month day cells: drag across days, or Enter on the first and last day, to pick a
+  // range for a new request. Arrow keys move between days; Escape drops the selection.
+  const selectProps = (iso) =>
+    onSelectRange && {
+      "data-iso": iso,
+      tabIndex: 0,
+      "aria-selected": selection.includes(null, iso),
+      onPointerDown(e) {
+        if (e.button !== 0) return;
+        e.preventDefault();
+        // Touch pointers are captured by the first cell, which would hide the others from pointerenter
+        if (e.currentTarget.hasPointerCapture?.(e.pointerId)) e.currentTarget.releasePointerCapture(e.pointerId);
+        selection.begin(null, iso, { pointer: true });
+      },
+      onPointerEnter: () => selection.extend(null, iso),
+      onFocus: () => selection.extend(null, iso),
+      onKeyDown(e) {
+        if (e.key === "Enter" || e.key === " ") {
+          e.preventDefault();
+          if (selection.active) selection.finish();
+          else selection.begin(null, iso);
+        } else if (e.key === "Escape") {
+          selection.cancel();
+        } else if (ARROW_STEPS[e.key]) {
+          e.preventDefault();
+          grid.current?.querySelector(`[data-iso="${addDays(iso, ARROW_STEPS[e.key])}"]`)?.focus();
+        }
+      },
+    };
+
+  // One occupancy map for the whole visible range, shared by every view
+  const byDate = useMemo(() => buildOccupancy(entries, from, to, isOff), [entries, from, to, isOff]);
+  const holidayOn = (iso) => holidays?.get(iso) || [];
+  const risks = useMemo(() => understaffedDays(teams, byDate, from, to), [teams, byDate, from, to]);
+  const riskOn = (iso) => risks.get(iso) || [];
+  // [{ key, name, color, type, pending, label }] for a day, confirmed absences first
+  const peopleOn = (iso) =>
+    Array.from(byDate.get(iso) || [], ([key, o]) => ({
+      key,
+      name: o.name,
+      color: colorOf?.(key),
+      type: typeOf(types, o.type),
+      pending: o.status === "pending",
+      label: o.label,
+    })).sort((a, b) => a.pending - b.pending);
+
+  // Per-person days off in the visible range, counting half/partial days fractionally
+  const totals = useMemo(() => {
+    const sum = new Map();
+    for (const day of byDate.values()) {
+      for (const [key, o] of day) {
+        const prev = sum.get(key);
+        sum.set(key, { key, name: o.name, days: (prev?.days || 0) + o.amount });
+      }
+    }
+    return Array.from(sum.values()).sort((a, b) => b.days - a.days || a.name.localeCompare(b.name));
+  }, [byDate]);
+
+  const title = viewTitle(view, anchor);
+  const unit = view === "week" ? "week" : view === "quarter" ? "quarter" : "month";
+
+  return (
+    <>
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={onPrev}
+            className="px-2 py-1 rounded-lg border text-sm"
+            title={`Previous ${unit}`}
+          >
+            ‹
+          </button>
+          <h2 className="text-lg font-semibold min-w-[12ch] text-center">{title}</h2>
+          <button
+            type="button"
+            onClick={onNext}
+            className="px-2 py-1 rounded-lg border text-sm"
+            title={`Next ${unit}`}
+          >
+            ›
+          </button>
+          <button
+            type="button"
+            onClick={onToday}
+            className="px-2 py-1 rounded-lg border text-sm hover:bg-gray-50"
+          >
+            Today
+          </button>
+          <input
+            type="date"
+            aria-label="Jump to date"
+            title="Jump to date"
+            className="border rounded-lg px-2 py-1 text-sm outline-none focus:ring-2 ring-indigo-500"
+            value={anchor}
+            onChange={(e) => e.target.value && onJump(e.target.value)}
+          />
+        </div>
+
+        <div className="flex items-center gap-1 text-sm">
+          {CALENDAR_VIEWS.map((v) => (
+            <button
+              key={v}
+              type="button"
+              onClick={() => onViewChange(v)}
+              className={cx(
+                "px-3 py-1 rounded-full border capitalize",
+                view === v ? "bg-gray-900 text-white border-gray-900" : "bg-white hover:bg-gray-50"
+              )}
+            >
+              {v}
+            </button>
+          ))}
+        </div>
+
+        <div className="flex items-center gap-3 text-xs text-gray-500">
+          <div className="flex items-center gap-1.5">
+            <span className="inline-block w-3 h-3 rounded bg-indigo-100 border border-indigo-300" />
+            <span>OOO day</span>
+          </div>
+          <div className="flex items-center gap-1.5">
+            <span className="inline-block w-3 h-3 rounded bg-amber-50 border border-dashed border-amber-400" />
+            <span>Pending only</span>
+          </div>
+          <div className="flex items-center gap-1.5">
+            <span className="inline-block w-3 h-3 rounded bg-gray-100 border border-gray-300" />
+            <span>Holiday</span>
+          </div>
+          <div className="flex items-center gap-1.5">
+            <span className="text-[11px] text-gray-500">AM / PM / 4h</span>
+            <span>Partial day</span>
+          </div>
+          {types.map((t) => (
+            <div key={t.name} className="flex items-center gap-1.5">
+              <span className="inline-block w-3 h-3 rounded-full bg-white border-2" style={{ borderColor: t.color }} />
+              <span>
+                {t.icon} {t.name}
+              </span>
+            </div>
+          ))}
+          {teams.length > 0 && (
+            <div className="flex items-center gap-1.5">
+              <span className="inline-block w-3 h-3 rounded border-2 border-red-500" />
+              <span>Below min staffing</span>
+            </div>
+          )}
+          <div className="flex items-center gap-1.5">
+            <span className="inline-block w-3 h-3 rounded ring-2 ring-indigo-500" />
+            <span>Today</span>
+          </div>
+        </div>
+      </div>
+
+      {onSelectRange && view !== "quarter" && (
+        <p className="text-xs text-gray-500 mb-2">
+          Drag across days (or press Enter on the first and last day) to start a request for them.
+        </p>
+      )}
+
+      {view === "week" && (
+        <div ref={grid} className="grid grid-cols-7 gap-2 select-none">
+          <WeekdayHeader />
+          {eachDay(from, to).map((iso) => (
+            <DayCell
+              key={iso}
+              iso={iso}
+              label={String(Number(iso.slice(8)))}
+              people={peopleOn(iso)}
+              holiday={holidayOn(iso)}
+              risk={riskOn(iso)}
+              isToday={iso === todayIso}
+              selected={selection.includes(null, iso)}
+              selectProps={selectProps(iso)}
+              className="min-h-[8rem]"
+            />
+          ))}
+        </div>
+      )}
+
+      {view === "month" && (
+        <div ref={grid} className="grid grid-cols-7 gap-2 select-none">
+          <WeekdayHeader />
+          {monthCells(from).map((iso, idx) =>
+            iso ? (
+              <DayCell
+                key={iso}
+                iso={iso}
+                label={String(Number(iso.slice(8)))}
+                people={peopleOn(iso)}
+                holiday={holidayOn(iso)}
+                risk={riskOn(iso)}
+                isToday={iso === todayIso}
+                selected={selection.includes(null, iso)}
+                selectProps={selectProps(iso)}
+                max={3}
+                className="aspect-square"
+              />
+            ) : (
+              <div key={`pad-${idx}`} />
+            )
+          )}
+        </div>
+      )}
+
+      {view === "quarter" && (
+        <div className="grid gap-6 md:grid-cols-3">
+          {[0, 1, 2].map((i) => {
+            const monthStart = addMonths(from, i);
+            return (
+              <div key={monthStart}>
+                <h3 className="text-sm font-semibold mb-2">
+                  {viewTitle("month", monthStart)}
+                </h3>
+                <div className="grid grid-cols-7 gap-1">
+                  <WeekdayHeader short />
+                  {monthCells(monthStart).map((iso, idx) => {
+                    if (!iso) return <div key={`pad-${idx}`} />;
+                    const people = peopleOn(iso);
+                    const holiday = holidayOn(iso);
+                    const risk = riskOn(iso);
+                    const allPending = people.length > 0 && people.every((p) => p.pending);
+                    return (
+                      <button
+                        key={iso}
+                        type="button"
+                        title={cellTitle(iso, people, holiday, risk)}
+                        onClick={() => onJump(iso, "week")}
+                        className={cx(
+                          "aspect-square rounded-md border text-[11px] flex flex-col items-center justify-center",
+                          allPending
+                            ? "bg-amber-50 border-dashed border-amber-400 text-amber-800"
+                            : people.length
+                            ? "bg-indigo-50 border-indigo-300 text-indigo-700"
+                            : holiday.length
+                            ? "bg-gray-100 text-gray-500"
+                            : "bg-white",
+                          risk.length > 0 && "border-2 border-red-500",
+                          iso === todayIso && "ring-2 ring-indigo-500"
+                        )}
+                      >
+                        <span>{Number(iso.slice(8))}</span>
+                        {people.length > 0 && (
+                          <span className="font-semibold leading-3">{people.length}</span>
+                        )}
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {totals.length > 0 && (
+        <div className="mt-4 flex flex-wrap items-center gap-2 text-xs text-gray-600">
+          <span className="font-semibold">Working days off this {unit}:</span>
+          {totals.map(({ key, name, days }) => (
+            <span key={key} className="px-2 py-0.5 rounded-full bg-gray-50 border">
+              {name} {formatDays(days)}
+            </span>
+          ))}
+        </div>
+      )}
+    </>
+  );
+}
+
+function WeekdayHeader({ short }) {
+  return WEEKDAYS.map((w) => (
+    <div key={w} className="text-center text-xs font-semibold text-gray-600">
+      {short ? w[0] : w}
+    </div>
+  ));
+}
+
+const describe = (people) =>
+  people
+    .map((p) => {
+      const notes = [p.type.name, p.label, p.pending && "pending"].filter(Boolean).join(", ");
+      return notes ? `${p.name} (${notes})` : p.name;
+    })
+    .join(", ");
+
+const describeRisk = (risk) =>
+  risk.map((r) => `⚠ ${r.team.name} below minimum (${r.available}/${r.team.minStaff})`).join("; ");
+
+function cellTitle(iso, people, holiday, risk) {
+  return [iso, holiday.join(", "), people.length && describe(people), risk.length && describeRisk(risk)]
+    .filter(Boolean)
+    .join(": ");
+}
+
+function DayCell({ iso, label, people, holiday, risk, isToday, selected, selectProps, max, className }) {
+  const isOOO = people.length > 0;
+  const allPending = isOOO && people.every((p) => p.pending);
+  const visible = max ? people.slice(0, max) : people;
+  const more = people.length - visible.length;
+
+  return (
+    <div
+      {...selectProps}
+      title={cellTitle(iso, people, holiday, risk)}
+      className={cx(
+        "rounded-xl border p-2 flex flex-col text-sm relative outline-none focus-visible:ring-2 ring-indigo-300",
+        selected
+          ? "bg-indigo-100 border-indigo-500"
+          : allPending
+          ? "bg-amber-50 border-dashed border-amber-400"
+          : isOOO
+          ? "bg-indigo-50 border-indigo-300"
+          : holiday.length
+          ? "bg-gray-100"
+          : "bg-white",
+        risk.length > 0 && "border-2 border-red-500",
+        isToday && "ring-2 ring-indigo-500",
+        className
+      )}
+    >
+      <div className="flex items-center justify-between text-xs text-gray-500">
+        {label}
+        {risk.length > 0 && (
+          <span className="text-red-600 font-semibold truncate ml-1">
+            ⚠ {risk.map((r) => r.team.name).join(", ")}
+          </span>
+        )}
+      </div>
+      {holiday.length > 0 && (
+        <div className="text-[10px] leading-3 text-gray-500 truncate" title={holiday.join(", ")}>
+          {holiday[0]}
+          {holiday.length > 1 && ` +${holiday.length - 1}`}
+        </div>
+      )}
+
+      {isOOO && (
+        <div className="mt-1 flex flex-wrap gap-1 overflow-hidden">
+          {visible.map((p) => (
+            <span
+              key={p.key}
+              className={cx(
+                "inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-white border text-[11px] leading-4",
+                p.pending ? "border-dashed border-amber-400 text-amber-800 italic" : "text-indigo-700"
+              )}
+              style={p.pending ? undefined : { borderColor: p.type.color }}
+            >
+              {p.color && <span className="inline-block w-1.5 h-1.5 rounded-full" style={{ background: p.color }} />}
+              {p.type.icon && <span aria-hidden="true">{p.type.icon}</span>}
+              {p.name}
+              {p.label && <span className="ml-1 text-gray-500 not-italic">{p.label}</span>}
+            </span>
+          ))}
+          {more > 0 && (
+            <span className="px-2 py-0.5 rounded-full bg-white border text-[11px] leading-4 text-indigo-700">
+              +{more}
+            </span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,216 @@
+import React, { useMemo, useState } from "react";
+import { TIME_ZONES } from "../lib/dates.js";
+import { personKey } from "../lib/entries.js";
+import { byDisplayName, createsCycle, makePerson, mayEditField } from "../lib/people.js";
+
+const inputCls =
+  "border rounded-lg px-2 py-1 text-sm outline-none focus:ring-2 ring-indigo-500 disabled:bg-gray-50 disabled:text-gray-500";
+
+const splitAliases = (text) =>
+  text
+    .split(",")
+    .map((a) => a.trim())
+    .filter(Boolean);
+
+// `editor` is the signed-in person with `admin` resolved; what they may change follows mayEditField
+export default function PeopleDirectory({ people, editor, onChange, teams, regions, entries }) {
+  const [draft, setDraft] = useState("");
+  const sorted = useMemo(() => [...people].sort(byDisplayName), [people]);
+  const locked = (person, field) => !mayEditField(people, editor, person, field);
+
+  // People with entries can't be removed, otherwise the entries would be orphaned
+  const entryCounts = useMemo(() => {
+    const counts = new Map();
+    for (const e of entries) counts.set(personKey(e), (counts.get(personKey(e)) || 0) + 1);
+    return counts;
+  }, [entries]);
+
+  function update(id, patch) {
+    onChange(people.map((p) => (p.id === id ? { ...p, ...patch } : p)));
+  }
+
+  function remove(id) {
+    onChange(people.filter((p) => p.id !== id).map((p) => (p.managerId === id ? { ...p, managerId: null } : p)));
+  }
+
+  function addPerson(ev) {
+    ev.preventDefault();
+    const name = draft.trim();
+    if (!name) return;
+    if (people.some((p) => p.displayName.toLowerCase() === name.toLowerCase())) {
+      alert(`${name} is already in the directory.`);
+      return;
+    }
+    onChange([...people, makePerson(name, people)]);
+    setDraft("");
+  }
+
+  return (
+    <div className="grid gap-6">
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b">
+              <th className="py-2 pr-3 font-medium">Name</th>
+              <th className="py-2 pr-3 font-medium">Email</th>
+              <th className="py-2 pr-3 font-medium">Team</th>
+              <th className="py-2 pr-3 font-medium">Manager</th>
+              <th className="py-2 pr-3 font-medium">Region</th>
+              <th className="py-2 pr-3 font-medium">Time zone</th>
+              <th className="py-2 pr-3 font-medium">Also known as</th>
+              <th className="py-2 pr-3 font-medium">Admin</th>
+              <th className="py-2 font-medium"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {sorted.length === 0 && (
+              <tr>
+                <td colSpan="9" className="py-4 text-gray-500">
+                  No people yet.
+                </td>
+              </tr>
+            )}
+            {sorted.map((p) => {
+              const count = entryCounts.get(p.id) || 0;
+              return (
+                <tr key={p.id}>
+                  <td className="py-2 pr-3">
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="color"
+                        className="w-6 h-6 rounded cursor-pointer"
+                        title="Calendar color"
+                        value={p.color}
+                        onChange={(e) => update(p.id, { color: e.target.value })}
+                      />
+                      <input
+                        className={inputCls}
+                        value={p.displayName}
+                        onChange={(e) => update(p.id, { displayName: e.target.value })}
+                      />
+                    </div>
+                  </td>
+                  <td className="py-2 pr-3">
+                    <input
+                      type="email"
+                      className={inputCls}
+                      placeholder="name@company.com"
+                      disabled={locked(p, "email")}
+                      value={p.email}
+                      onChange={(e) => update(p.id, { email: e.target.value })}
+                    />
+                  </td>
+                  <td className="py-2 pr-3">
+                    <select
+                      className={inputCls}
+                      disabled={locked(p, "team")}
+                      value={p.team || ""}
+                      onChange={(e) => update(p.id, { team: e.target.value || null })}
+                    >
+                      <option value="">—</option>
+                      {teams.map((t) => (
+                        <option key={t.id} value={t.id}>
+                          {t.name}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="py-2 pr-3">
+                    <select
+                      className={inputCls}
+                      disabled={locked(p, "managerId")}
+                      value={p.managerId || ""}
+                      onChange={(e) => update(p.id, { managerId: e.target.value || null })}
+                    >
+                      <option value="">—</option>
+                      {sorted
+                        .filter((m) => !createsCycle(people, p.id, m.id))
+                        .map((m) => (
+                          <option key={m.id} value={m.id}>
+                            {m.displayName}
+                          </option>
+                        ))}
+                    </select>
+                  </td>
+                  <td className="py-2 pr-3">
+                    <select
+                      className={inputCls}
+                      value={p.region || ""}
+                      onChange={(e) => update(p.id, { region: e.target.value || null })}
+                    >
+                      <option value="">Default</option>
+                      {Object.entries(regions).map(([id, r]) => (
+                        <option key={id} value={id}>
+                          {r.name} ({id})
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="py-2 pr-3">
+                    <select
+                      className={inputCls}
+                      value={p.timeZone || ""}
+                      onChange={(e) => update(p.id, { timeZone: e.target.value || null })}
+                    >
+                      <option value="">Browser default</option>
+                      {TIME_ZONES.map((z) => (
+                        <option key={z} value={z}>
+                          {z}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="py-2 pr-3">
+                    {/* Committed on blur so typing a comma doesn't drop the alias being entered */}
+                    <input
+                      key={(p.aliases || []).join(",")}
+                      className={inputCls}
+                      placeholder="e.g., AJ, Alex J."
+                      defaultValue={(p.aliases || []).join(", ")}
+                      onBlur={(e) => update(p.id, { aliases: splitAliases(e.target.value) })}
+                    />
+                  </td>
+                  <td className="py-2 pr-3">
+                    <input
+                      type="checkbox"
+                      aria-label={`${p.displayName} is a directory admin`}
+                      disabled={locked(p, "admin")}
+                      checked={Boolean(p.admin)}
+                      onChange={(e) => update(p.id, { admin: e.target.checked })}
+                    />
+                  </td>
+                  <td className="py-2 text-right whitespace-nowrap">
+                    <button
+                      type="button"
+                      className="text-red-600 hover:underline disabled:text-gray-400 disabled:no-underline"
+                      disabled={count > 0 || !editor?.admin}
+                      title={count > 0 ? `${count} entries reference this person` : undefined}
+                      onClick={() => remove(p.id)}
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <form className="flex flex-wrap items-end gap-3" onSubmit={addPerson}>
+        <label className="grid gap-1 text-sm">
+          <span className="font-medium">New person</span>
+          <input
+            className="border rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 ring-indigo-500"
+            placeholder="Display name"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+          />
+        </label>
+        <button className="rounded-xl bg-indigo-600 text-white px-4 py-2 text-sm font-medium hover:bg-indigo-700" type="submit">
+          Add person
+        </button>
+      </form>
+    </div>
+  );
+}
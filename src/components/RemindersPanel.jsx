@@ -0,0 +1,148 @@
+import React, { useState } from "react";
+import { todayIn } from "../lib/dates.js";
+import { channelsFor, deliver } from "../lib/notify.js";
+import { REMINDER_KINDS } from "../lib/reminders.js";
+
+const inputCls = "border rounded-lg px-2 py-1 text-sm outline-none focus:ring-2 ring-indigo-500";
+
+export default function RemindersPanel({ settings, onChange, log, onRunNow }) {
+  const [testResult, setTestResult] = useState(null);
+  const [permission, setPermission] = useState(() =>
+    typeof Notification === "undefined" ? "unsupported" : Notification.permission
+  );
+
+  const updateRule = (id, patch) =>
+    onChange({ ...settings, rules: settings.rules.map((r) => (r.id === id ? { ...r, ...patch } : r)) });
+  const setChannel = (id, on) => onChange({ ...settings, channels: { ...settings.channels, [id]: on } });
+
+  async function enableBrowser(on) {
+    if (on && permission === "default") setPermission(await Notification.requestPermission());
+    setChannel("browser", on);
+  }
+
+  async function sendTest() {
+    const channels = channelsFor(settings);
+    if (channels.length === 0) {
+      setTestResult("Turn on at least one delivery channel first.");
+      return;
+    }
+    const results = await deliver(
+      {
+        key: `test:${Date.now()}`,
+        kind: "test",
+        title: "Test reminder",
+        body: "Reminders from the OOO tracker will look like this.",
+        date: todayIn(),
+        to: [],
+      },
+      channels
+    );
+    setTestResult(results.map((r) => `${r.channel}: ${r.error || "sent"}`).join(" · "));
+  }
+
+  return (
+    <div className="grid gap-6">
+      <section>
+        <h3 className="font-semibold mb-2">Rules</h3>
+        <ul className="grid gap-2">
+          {settings.rules.map((rule) => {
+            const kind = REMINDER_KINDS.find((k) => k.id === rule.kind);
+            return (
+              <li key={rule.id} className="flex flex-wrap items-center gap-3 text-sm">
+                <label className="inline-flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={rule.enabled}
+                    onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })}
+                  />
+                  {kind?.label || rule.kind}
+                </label>
+                {kind?.usesDays && (
+                  <label className="inline-flex items-center gap-2 text-gray-600">
+                    up to
+                    <input
+                      type="number"
+                      min="0"
+                      max="60"
+                      className={`${inputCls} w-16`}
+                      value={rule.days}
+                      onChange={(e) => updateRule(rule.id, { days: Number(e.target.value) })}
+                    />
+                    days ahead
+                  </label>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+        <p className="text-xs text-gray-500 mt-2">
+          Reminders cover approved absences and are checked while the app is open; each one goes out once.
+        </p>
+      </section>
+
+      <section>
+        <h3 className="font-semibold mb-2">Delivery</h3>
+        <div className="grid gap-3 text-sm">
+          <label className="inline-flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={settings.channels.browser}
+              disabled={permission === "unsupported" || permission === "denied"}
+              onChange={(e) => enableBrowser(e.target.checked)}
+            />
+            Browser notifications
+            {permission === "denied" && <span className="text-red-600">(blocked in the browser’s site settings)</span>}
+            {permission === "unsupported" && <span className="text-gray-500">(not supported by this browser)</span>}
+          </label>
+          <div className="flex flex-wrap items-center gap-2">
+            <label className="inline-flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={settings.channels.webhook}
+                onChange={(e) => setChannel("webhook", e.target.checked)}
+              />
+              Webhook / email relay
+            </label>
+            <input
+              type="url"
+              className={`${inputCls} flex-1 min-w-[16rem]`}
+              value={settings.webhookUrl}
+              onChange={(e) => onChange({ ...settings, webhookUrl: e.target.value })}
+            />
+          </div>
+          <p className="text-xs text-gray-500">
+            The webhook gets JSON with an <code>email</code> field (to, subject, text) for a mail relay. For local
+            testing run <code>npm run notify-stub</code> and keep the default URL.
+          </p>
+          <div className="flex flex-wrap items-center gap-3">
+            <button type="button" className="rounded-lg border px-3 py-1.5 hover:bg-gray-50" onClick={sendTest}>
+              Send test
+            </button>
+            <button type="button" className="rounded-lg border px-3 py-1.5 hover:bg-gray-50" onClick={onRunNow}>
+              Check now
+            </button>
+            {testResult && <span className="text-gray-600">{testResult}</span>}
+          </div>
+        </div>
+      </section>
+
+      <section>
+        <h3 className="font-semibold mb-2">Recently sent</h3>
+        {log.length === 0 && <div className="text-sm text-gray-500">Nothing sent yet.</div>}
+        <ul className="divide-y text-sm">
+          {log.map((line) => (
+            <li key={`${line.key}-${line.at}`} className="py-2">
+              <div className="flex justify-between gap-4">
+                <span>{line.title}</span>
+                <span className="text-xs text-gray-500 shrink-0">{new Date(line.at).toLocaleString()}</span>
+              </div>
+              <div className="text-xs text-gray-500">
+                {line.results.map((r) => (r.error ? `${r.channel} failed: ${r.error}` : `${r.channel} ✓`)).join(" · ")}
+              </div>
+            </li>
+          ))}
+        </ul>
+      </section>
+    </div>
+  );
+}
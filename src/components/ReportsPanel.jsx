@@ -0,0 +1,264 @@
+import React, { useMemo, useState } from "react";
+import { toCSV } from "../lib/csv.js";
+import { cx } from "../lib/cx.js";
+import { downloadFile } from "../lib/download.js";
+import { formatDays } from "../lib/entries.js";
+import { absenceTotals, availabilityHeatmap, coverageCompletion, peakWeeks } from "../lib/reports.js";
+import { typeOf } from "../lib/types.js";
+
+const inputCls = "border rounded-lg px-2 py-1 text-sm outline-none focus:ring-2 ring-indigo-500";
+const pct = (rate) => `${Math.round(rate * 100)}%`;
+
+// Green when everyone's in, through amber, to red as the team empties out
+function heatColor(rate) {
+  if (rate == null) return "#f3f4f6";
+  const hue = Math.round(rate * 120);
+  return `hsl(${hue} 70% ${85 - (1 - rate) * 25}%)`;
+}
+
+// `entries` are the ones matching the current search/filter; `range` seeds the date window
+export default function ReportsPanel({ entries, people, teams, types, isOff, today, range, filtered }) {
+  const [from, setFrom] = useState(range.from);
+  const [to, setTo] = useState(range.to);
+  const valid = from && to && from <= to;
+
+  const peopleById = useMemo(() => new Map(people.map((p) => [p.id, p])), [people]);
+  const nameOf = (id) => (id ? peopleById.get(id)?.displayName || id : "Unassigned");
+  // Without any teams set up the heatmap still shows the directory as a whole
+  const heatTeams = useMemo(
+    () => (teams.some((t) => t.members.length) ? teams : [{ id: "all", name: "Everyone", members: people.map((p) => p.id) }]),
+    [teams, people]
+  );
+
+  const totals = useMemo(() => (valid ? absenceTotals(entries, from, to, isOff) : null), [entries, from, to, isOff, valid]);
+  const heatmap = useMemo(
+    () => (valid ? availabilityHeatmap(entries, heatTeams, from, to, isOff) : null),
+    [entries, heatTeams, from, to, isOff, valid]
+  );
+  const peaks = useMemo(() => peakWeeks(entries, today, isOff), [entries, today, isOff]);
+  const coverage = useMemo(() => (valid ? coverageCompletion(entries, from, to) : []), [entries, from, to, valid]);
+
+  const typeCols = totals ? totals.types.map((t) => t.type) : [];
+  const maxMonth = Math.max(1, ...(totals?.months.map((m) => m.total) || []));
+  const maxType = Math.max(1, ...(totals?.types.map((t) => t.total) || []));
+
+  function exportCSV(name, rows) {
+    downloadFile(`ooo-${name}-${from}-to-${to}.csv`, toCSV(rows), "text/csv;charset=utf-8");
+  }
+
+  return (
+    <div className="grid gap-6">
+      <div className="flex flex-wrap items-end gap-3">
+        <label className="grid gap-1 text-sm">
+          <span className="font-medium">From</span>
+          <input type="date" className={inputCls} value={from} onChange={(e) => setFrom(e.target.value)} />
+        </label>
+        <label className="grid gap-1 text-sm">
+          <span className="font-medium">To</span>
+          <input type="date" className={inputCls} value={to} onChange={(e) => setTo(e.target.value)} />
+        </label>
+        <p className="text-xs text-gray-500 pb-1.5">
+          Working days off, counting approved and pending requests
+          {filtered && " that match the current search & filter"}.
+        </p>
+      </div>
+      {!valid && <div className="text-sm text-red-600">Choose a start date on or before the end date.</div>}
+
+      {totals && (
+        <>
+          <Section
+            title="Days off per person"
+            onExport={() =>
+              exportCSV("by-person", [
+                ["Person", "Total", ...typeCols],
+                ...totals.people.map((p) => [p.name, p.total, ...typeCols.map((t) => p.byType[t] || 0)]),
+              ])
+            }
+          >
+            {totals.people.length === 0 ? (
+              <Empty />
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-2 pr-3 font-medium">Person</th>
+                    <th className="py-2 pr-3 font-medium text-right">Total</th>
+                    {typeCols.map((t) => (
+                      <th key={t} className="py-2 pr-3 font-medium text-right">
+                        {t}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y">
+                  {totals.people.map((p) => (
+                    <tr key={p.key}>
+                      <td className="py-1.5 pr-3">{p.name}</td>
+                      <td className="py-1.5 pr-3 text-right font-medium">{p.total}</td>
+                      {typeCols.map((t) => (
+                        <td key={t} className="py-1.5 pr-3 text-right text-gray-600">
+                          {p.byType[t] || "—"}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </Section>
+
+          <div className="grid gap-6 md:grid-cols-2">
+            <Section
+              title="Days off per type"
+              onExport={() => exportCSV("by-type", [["Type", "Days"], ...totals.types.map((t) => [t.type, t.total])])}
+            >
+              {totals.types.length === 0 && <Empty />}
+              <div className="grid gap-2">
+                {totals.types.map((t) => (
+                  <Bar key={t.type} label={t.type} value={t.total} max={maxType} color={typeOf(types, t.type).color} />
+                ))}
+              </div>
+            </Section>
+
+            <Section
+              title="Days off per month"
+              onExport={() =>
+                exportCSV("by-month", [
+                  ["Month", "Total", ...typeCols],
+                  ...totals.months.map((m) => [m.month, m.total, ...typeCols.map((t) => m.byType[t] || 0)]),
+                ])
+              }
+            >
+              {totals.months.length === 0 && <Empty />}
+              <div className="grid gap-2">
+                {totals.months.map((m) => (
+                  <Bar key={m.month} label={m.month} value={m.total} max={maxMonth} />
+                ))}
+              </div>
+            </Section>
+          </div>
+        </>
+      )}
+
+      {heatmap && (
+        <Section
+          title="Team availability by week"
+          onExport={() =>
+            exportCSV("availability", [
+              ["Team", ...heatmap.weeks],
+              ...heatmap.rows.map((r) => [r.team.name, ...r.cells.map((c) => (c.rate == null ? "" : c.rate))]),
+            ])
+          }
+        >
+          <div className="overflow-x-auto">
+            <table className="text-xs border-separate border-spacing-0.5">
+              <thead>
+                <tr>
+                  <th />
+                  {heatmap.weeks.map((w) => (
+                    <th key={w} className="font-normal text-gray-500 px-0.5 whitespace-nowrap" title={`Week of ${w}`}>
+                      {w.slice(5)}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {heatmap.rows.map(({ team, cells }) => (
+                  <tr key={team.id}>
+                    <th className="text-left font-medium pr-2 whitespace-nowrap">{team.name}</th>
+                    {cells.map((c) => (
+                      <td
+                        key={c.week}
+                        className="w-9 h-7 text-center rounded"
+                        style={{ background: heatColor(c.rate) }}
+                        title={c.rate == null ? `Week of ${c.week}` : `Week of ${c.week}: ${pct(c.rate)} available`}
+                      >
+                        {c.rate != null && c.rate < 1 ? Math.round(c.rate * 100) : ""}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-gray-500 mt-2">
+            Average share of each team available on the week’s working days; blank cells are fully staffed.
+          </p>
+        </Section>
+      )}
+
+      <div className="grid gap-6 md:grid-cols-2">
+        <Section title="Upcoming peak-absence weeks">
+          {peaks.length === 0 && <div className="text-sm text-gray-500">Nobody is out in the next three months.</div>}
+          <ol className="grid gap-1 text-sm list-decimal pl-5">
+            {peaks.map((w) => (
+              <li key={w.week}>
+                Week of {w.week} — {formatDays(w.days, "working day")} off, {w.people}{" "}
+                {w.people === 1 ? "person" : "people"}
+              </li>
+            ))}
+          </ol>
+        </Section>
+
+        <Section
+          title="Coverage checklist completion"
+          onExport={() =>
+            exportCSV("coverage", [
+              ["Owner", "Done", "Total", "Completion"],
+              ...coverage.map((c) => [nameOf(c.ownerId), c.done, c.total, Math.round(c.rate * 100) / 100]),
+            ])
+          }
+        >
+          {coverage.length === 0 && <Empty />}
+          <div className="grid gap-2">
+            {coverage.map((c) => (
+              <div key={c.ownerId || "none"} className="text-sm">
+                <div className="flex justify-between">
+                  <span className={cx(!c.ownerId && "text-gray-500 italic")}>{nameOf(c.ownerId)}</span>
+                  <span className="text-gray-600">
+                    {c.done}/{c.total} · {pct(c.rate)}
+                  </span>
+                </div>
+                <div className="h-2 rounded-full bg-gray-100 overflow-hidden">
+                  <div className="h-full bg-green-500" style={{ width: pct(c.rate) }} />
+                </div>
+              </div>
+            ))}
+          </div>
+        </Section>
+      </div>
+    </div>
+  );
+}
+
+function Section({ title, onExport, children }) {
+  return (
+    <section>
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-semibold">{title}</h3>
+        {onExport && (
+          <button type="button" className="text-sm text-indigo-600 hover:underline" onClick={onExport}>
+            Export CSV
+          </button>
+        )}
+      </div>
+      {children}
+    </section>
+  );
+}
+
+function Bar({ label, value, max, color = "#6366f1" }) {
+  return (
+    <div className="grid grid-cols-[7rem_1fr_3rem] items-center gap-2 text-sm">
+      <span className="truncate">{label}</span>
+      <div className="h-3 rounded bg-gray-100 overflow-hidden">
+        <div className="h-full rounded" style={{ width: `${(value / max) * 100}%`, background: color }} />
+      </div>
+      <span className="text-right text-gray-600">{value}</span>
+    </div>
+  );
+}
+
+function Empty() {
+  return <div className="text-sm text-gray-500">No absences in this period.</div>;
+}
@@ -0,0 +1,93 @@
+import React, { useState } from "react";
+import { byDisplayName } from "../lib/people.js";
+
+const inputCls = "border rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 ring-indigo-500";
+
+// Sign-in screen. The dev login takes any name (or someone from the directory); single
+// sign-on hands over to the identity provider.
+export default function SignIn({ auth, people, error, onSignIn }) {
+  const [name, setName] = useState("");
+  const [email, setEmail] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  async function submit(details) {
+    setBusy(true);
+    await onSignIn(details);
+    setBusy(false);
+  }
+
+  return (
+    <main className="mx-auto max-w-md px-4 py-16">
+      <section className="bg-white rounded-2xl shadow p-6 grid gap-4">
+        <h2 className="text-lg font-semibold">Sign in</h2>
+        {error && (
+          <div role="alert" className="rounded-lg border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-800">
+            {error}
+          </div>
+        )}
+
+        {auth.kind === "oidc" ? (
+          <button
+            type="button"
+            className="rounded-xl bg-indigo-600 text-white px-4 py-2 font-medium hover:bg-indigo-700 disabled:opacity-50"
+            disabled={busy}
+            onClick={() => submit()}
+          >
+            Continue with single sign-on
+          </button>
+        ) : (
+          <>
+            <p className="text-sm text-gray-600">
+              Development login: no password, you can be anyone. Requests you submit and can edit follow
+              from who you sign in as.
+            </p>
+            {people.length > 0 && (
+              <div className="flex flex-wrap gap-2">
+                {[...people].sort(byDisplayName).map((p) => (
+                  <button
+                    key={p.id}
+                    type="button"
+                    className="px-3 py-1.5 rounded-full border text-sm bg-white hover:bg-gray-50"
+                    disabled={busy}
+                    onClick={() => submit({ name: p.displayName, email: p.email })}
+                  >
+                    {p.displayName}
+                  </button>
+                ))}
+              </div>
+            )}
+            <form
+              className="grid gap-3"
+              onSubmit={(e) => {
+                e.preventDefault();
+                submit({ name, email });
+              }}
+            >
+              <input
+                className={inputCls}
+                placeholder="Your name"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                required
+              />
+              <input
+                type="email"
+                className={inputCls}
+                placeholder="Email (optional)"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+              />
+              <button
+                type="submit"
+                className="rounded-xl bg-indigo-600 text-white px-4 py-2 font-medium hover:bg-indigo-700 disabled:opacity-50"
+                disabled={busy}
+              >
+                Sign in
+              </button>
+            </form>
+          </>
+        )}
+      </section>
+    </main>
+  );
+}
@@ -0,0 +1,166 @@
+import React, { useMemo, useState } from "react";
+import { cx } from "../lib/cx.js";
+import { addDays } from "../lib/dates.js";
+import { buildOccupancy } from "../lib/calendar.js";
+import { byDisplayName, mayEditField } from "../lib/people.js";
+import { understaffedDays } from "../lib/staffing.js";
+
+const inputCls = "border rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 ring-indigo-500";
+
+// `teams` arrive with `members` attached; membership is edited on each person's `team`, so it
+// follows the directory's rules (mayEditField) for `editor`, the signed-in person
+export default function StaffingPanel({ teams, onTeamsChange, people, editor, onPeopleChange, entries, isOff, today }) {
+  const [horizon, setHorizon] = useState(60);
+  const [draft, setDraft] = useState({ name: "", minStaff: 1 });
+
+  // Risk days: upcoming weekdays where a team is below its minimum
+  const risks = useMemo(() => {
+    const to = addDays(today, horizon);
+    const byDate = buildOccupancy(entries, today, to, isOff);
+    return Array.from(understaffedDays(teams, byDate, today, to));
+  }, [teams, entries, isOff, today, horizon]);
+
+  function updateTeam(id, patch) {
+    onTeamsChange(teams.map((t) => (t.id === id ? { ...t, ...patch } : t)));
+  }
+
+  const sorted = useMemo(() => [...people].sort(byDisplayName), [people]);
+  const locked = (person) => !mayEditField(people, editor, person, "team");
+  const anyLocked = (team) => people.some((p) => p.team === team.id && locked(p));
+
+  function toggleMember(team, personId) {
+    onPeopleChange(
+      people.map((p) => (p.id === personId ? { ...p, team: p.team === team.id ? null : team.id } : p))
+    );
+  }
+
+  function deleteTeam(id) {
+    onTeamsChange(teams.filter((t) => t.id !== id));
+    onPeopleChange(people.map((p) => (p.team === id ? { ...p, team: null } : p)));
+  }
+
+  function addTeam(ev) {
+    ev.preventDefault();
+    if (!draft.name.trim()) return;
+    onTeamsChange([
+      ...teams,
+      { id: crypto.randomUUID(), name: draft.name.trim(), minStaff: Number(draft.minStaff) || 0 },
+    ]);
+    setDraft({ name: "", minStaff: 1 });
+  }
+
+  return (
+    <div className="grid gap-8">
+      <div>
+        <div className="flex items-center gap-3 mb-3">
+          <h3 className="font-semibold">Risk days</h3>
+          <select className={inputCls} value={horizon} onChange={(e) => setHorizon(Number(e.target.value))}>
+            {[14, 30, 60, 90, 180].map((n) => (
+              <option key={n} value={n}>
+                Next {n} days
+              </option>
+            ))}
+          </select>
+        </div>
+        {teams.length === 0 ? (
+          <div className="text-sm text-gray-500">Add a team below to start tracking minimum staffing.</div>
+        ) : risks.length === 0 ? (
+          <div className="text-sm text-green-700">No understaffed days coming up. 🎉</div>
+        ) : (
+          <ul className="divide-y border rounded-xl">
+            {risks.map(([date, list]) => (
+              <li key={date} className="px-3 py-2 text-sm flex flex-wrap gap-x-6 gap-y-1">
+                <span className="font-medium w-28">{date}</span>
+                {list.map((r) => (
+                  <span key={r.team.id} className="text-red-700">
+                    {r.team.name}: {r.available}/{r.team.members.length} available (min {r.team.minStaff})
+                    <span className="text-gray-500"> — out: {r.out.join(", ")}</span>
+                  </span>
+                ))}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div>
+        <h3 className="font-semibold mb-2">Teams & minimum staffing</h3>
+        <div className="grid gap-4">
+          {teams.map((t) => (
+            <div key={t.id} className="border rounded-xl p-4">
+              <div className="flex flex-wrap items-end gap-3 mb-3">
+                <label className="grid gap-1 text-sm">
+                  <span className="font-medium">Team</span>
+                  <input className={inputCls} value={t.name} onChange={(e) => updateTeam(t.id, { name: e.target.value })} />
+                </label>
+                <label className="grid gap-1 text-sm">
+                  <span className="font-medium">Minimum on duty</span>
+                  <input
+                    type="number"
+                    min="0"
+                    className={cx(inputCls, "w-24")}
+                    value={t.minStaff}
+                    onChange={(e) => updateTeam(t.id, { minStaff: Number(e.target.value) })}
+                  />
+                </label>
+                <span className="text-sm text-gray-500 pb-2">{t.members.length} members</span>
+                <button
+                  type="button"
+                  className="ml-auto text-sm text-red-600 hover:underline pb-2 disabled:text-gray-400 disabled:no-underline"
+                  disabled={anyLocked(t)}
+                  title={anyLocked(t) ? "Some members can only be moved by an admin or their managers" : undefined}
+                  onClick={() => deleteTeam(t.id)}
+                >
+                  Delete team
+                </button>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                {sorted.map((p) => (
+                  <button
+                    key={p.id}
+                    type="button"
+                    onClick={() => toggleMember(t, p.id)}
+                    disabled={locked(p)}
+                    title={p.team && p.team !== t.id ? "Currently on another team — click to move" : undefined}
+                    className={cx(
+                      "px-3 py-1 rounded-full border text-sm disabled:cursor-not-allowed disabled:opacity-60",
+                      p.team === t.id ? "bg-gray-900 text-white border-gray-900" : "bg-white hover:bg-gray-50",
+                      p.team && p.team !== t.id && "text-gray-400"
+                    )}
+                  >
+                    {p.displayName}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+
+          <form className="flex flex-wrap items-end gap-3" onSubmit={addTeam}>
+            <label className="grid gap-1 text-sm">
+              <span className="font-medium">New team</span>
+              <input
+                className={inputCls}
+                placeholder="e.g., Support Tier-2"
+                value={draft.name}
+                onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+              />
+            </label>
+            <label className="grid gap-1 text-sm">
+              <span className="font-medium">Minimum on duty</span>
+              <input
+                type="number"
+                min="0"
+                className={cx(inputCls, "w-24")}
+                value={draft.minStaff}
+                onChange={(e) => setDraft({ ...draft, minStaff: e.target.value })}
+              />
+            </label>
+            <button className="rounded-xl bg-indigo-600 text-white px-4 py-2 text-sm font-medium hover:bg-indigo-700" type="submit">
+              Add team
+            </button>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,21 @@
+import React from "react";
+import { cx } from "../lib/cx.js";
+import { entryStatus } from "../lib/entries.js";
+
+const STYLES = {
+  pending: "bg-amber-50 text-amber-800 border-amber-300 border-dashed",
+  approved: "bg-green-50 text-green-700 border-green-200",
+  rejected: "bg-red-50 text-red-700 border-red-200",
+  cancelled: "bg-gray-100 text-gray-500 border-gray-200",
+};
+
+export default function StatusBadge({ entry, className }) {
+  const status = entryStatus(entry);
+  return (
+    <span
+      className={cx("inline-block px-2 py-0.5 rounded-full border text-xs capitalize", STYLES[status], className)}
+    >
+      {status}
+    </span>
+  );
+}
@@ -0,0 +1,489 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { viewTitle } from "../lib/calendar.js";
+import { normalizeCoverage } from "../lib/coverage.js";
+import { cx } from "../lib/cx.js";
+import { addDays, addMonths, dayOfWeek, daysBetween, eachDay, endOfMonth, startOfMonth } from "../lib/dates.js";
+import { dayPartLabel, entryStatus } from "../lib/entries.js";
+import { describeRecurrence } from "../lib/recurrence.js";
+import { safeHref } from "../lib/salesforce.js";
+import { timelineGroups } from "../lib/timeline.js";
+import { sharedNotes, typeOf } from "../lib/types.js";
+import { useRangeSelection } from "../lib/useRangeSelection.js";
+import StatusBadge from "./StatusBadge.jsx";
+
+const MONTHS_SHOWN = 3;
+const DAY_WIDTH = { day: 28, week: 8 }; // px per day
+const LANE_HEIGHT = 26;
+
+const px = (n) => `${n}px`;
+
+export default function TeamTimeline({
+  entries,
+  allEntries,
+  people,
+  teams,
+  types,
+  today,
+  canEdit = () => true,
+  onEdit,
+  onSelectRange,
+  onResize,
+}) {
+  const [start, setStart] = useState(() => startOfMonth(today));
+  const [scale, setScale] = useState("day"); // "day" | "week"
+  const [byTeam, setByTeam] = useState(true);
+  const [selectedId, setSelectedId] = useState(null);
+  const scroller = useRef(null);
+  const selection = useRangeSelection(onSelectRange);
+
+  const from = start;
+  const to = endOfMonth(addMonths(start, MONTHS_SHOWN - 1));
+  const dayWidth = DAY_WIDTH[scale];
+  const width = (daysBetween(from, to) + 1) * dayWidth;
+  const days = useMemo(() => eachDay(from, to), [from, to]);
+  const groups = useMemo(
+    () => timelineGroups(entries, people, teams, from, to, byTeam),
+    [entries, people, teams, from, to, byTeam]
+  );
+  const peopleById = useMemo(() => new Map(people.map((p) => [p.id, p])), [people]);
+  // Bars of recurring entries are occurrences; the panel shows the whole series
+  const selected = selectedId && allEntries.find((e) => e.id === selectedId);
+
+  // Bring today into view whenever it's inside the range
+  useEffect(() => {
+    if (!scroller.current) return;
+    const offset = today >= from && today <= to ? daysBetween(from, today) * dayWidth - 120 : 0;
+    scroller.current.scrollLeft = Math.max(0, offset);
+  }, [from, to, today, dayWidth]);
+
+  const months = [];
+  for (let m = from; m <= to; m = addMonths(m, 1)) months.push(m);
+  const weekStarts = days.filter((iso) => dayOfWeek(iso) === 0);
+
+  return (
+    <>
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={() => setStart(addMonths(start, -1))}
+            className="px-2 py-1 rounded-lg border text-sm"
+            title="Previous month"
+          >
+            ‹
+          </button>
+          <h2 className="text-lg font-semibold text-center">
+            {viewTitle("month", from)} – {viewTitle("month", startOfMonth(to))}
+          </h2>
+          <button
+            type="button"
+            onClick={() => setStart(addMonths(start, 1))}
+            className="px-2 py-1 rounded-lg border text-sm"
+            title="Next month"
+          >
+            ›
+          </button>
+          <button
+            type="button"
+            onClick={() => setStart(startOfMonth(today))}
+            className="px-2 py-1 rounded-lg border text-sm hover:bg-gray-50"
+          >
+            Today
+          </button>
+        </div>
+
+        <div className="flex items-center gap-3 text-sm">
+          <div className="flex items-center gap-1">
+            {["day", "week"].map((s) => (
+              <button
+                key={s}
+                type="button"
+                onClick={() => setScale(s)}
+                className={cx(
+                  "px-3 py-1 rounded-full border capitalize",
+                  scale === s ? "bg-gray-900 text-white border-gray-900" : "bg-white hover:bg-gray-50"
+                )}
+              >
+                {s}s
+              </button>
+            ))}
+          </div>
+          <label className="inline-flex items-center gap-2">
+            <input type="checkbox" checked={byTeam} onChange={(e) => setByTeam(e.target.checked)} />
+            Group by team
+          </label>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3 text-xs text-gray-500">
+          {types.map((t) => (
+            <div key={t.name} className="flex items-center gap-1.5">
+              <span className="inline-block w-3 h-3 rounded" style={{ background: t.color }} />
+              <span>
+                {t.icon} {t.name}
+              </span>
+            </div>
+          ))}
+          <div className="flex items-center gap-1.5">
+            <span className="inline-block w-3 h-3 rounded border border-dashed border-gray-500 bg-gray-200" />
+            <span>Pending</span>
+          </div>
+        </div>
+      </div>
+      <p className="text-xs text-gray-500 mb-2">
+        Drag along a row to start a request for those days, or focus the row and use ←/→ and Enter. Drag a bar’s
+        edges to change its dates; from the keyboard, Shift+←/→ moves the end, Alt+←/→ the start, Enter saves.
+      </p>
+
+      <div ref={scroller} className="overflow-x-auto border rounded-xl">
+        <div style={{ width: px(width + 176) }}>
+          {/* Header: months, then day numbers or week starts */}
+          <div className="flex bg-white border-b text-xs text-gray-600">
+            <div className="w-44 shrink-0 sticky left-0 bg-white z-10 border-r" />
+            <div style={{ width: px(width) }}>
+              <div className="relative h-6 border-b">
+                {months.map((m) => (
+                  <div
+                    key={m}
+                    className="absolute top-0 h-6 px-2 leading-6 font-semibold border-l truncate"
+                    style={{
+                      left: px(daysBetween(from, m) * dayWidth),
+                      width: px((daysBetween(m, endOfMonth(m)) + 1) * dayWidth),
+                    }}
+                  >
+                    {viewTitle("month", m)}
+                  </div>
+                ))}
+              </div>
+              <div className="relative h-6">
+                {(scale === "day" ? days : weekStarts).map((iso) => (
+                  <div
+                    key={iso}
+                    className={cx(
+                      "absolute top-0 h-6 leading-6 text-center",
+                      scale === "week" && "border-l pl-1 text-left",
+                      iso === today && "text-indigo-700 font-semibold"
+                    )}
+                    style={{
+                      left: px(daysBetween(from, iso) * dayWidth),
+                      width: px(scale === "day" ? dayWidth : 7 * dayWidth),
+                    }}
+                  >
+                    {Number(iso.slice(8))}
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          {groups.length === 0 && <div className="p-4 text-sm text-gray-500">No people in the directory yet.</div>}
+          {groups.map((g) => (
+            <div key={g.id}>
+              {byTeam && (
+                <div className="flex bg-gray-50 border-b text-xs font-semibold text-gray-600">
+                  <div className="w-44 shrink-0 sticky left-0 bg-gray-50 px-3 py-1">{g.name}</div>
+                </div>
+              )}
+              {g.rows.map((row) => (
+                <TimelineRow
+                  key={row.person.id}
+                  {...row}
+                  from={from}
+                  to={to}
+                  days={days}
+                  types={types}
+                  scale={scale}
+                  today={today}
+                  selection={selection}
+                  selectedId={selectedId}
+                  canEdit={canEdit}
+                  onOpen={(id) => setSelectedId(id === selectedId ? null : id)}
+                  onResize={onResize}
+                />
+              ))}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {selected && (
+        <EntryDetails
+          entry={selected}
+          notes={sharedNotes(types, selected)}
+          peopleById={peopleById}
+          onEdit={canEdit(selected) ? onEdit : null}
+          onClose={() => setSelectedId(null)}
+        />
+      )}
+    </>
+  );
+}
+
+// One person's track: drag (or ←/→ and Enter) to select days, drag bar edges to resize.
+// Resizing is previewed locally and handed to onResize(bar entry, start, end) when let go;
+// bars the viewer may not edit (canEdit) have no handles.
+function TimelineRow({
+  person,
+  bars,
+  lanes,
+  from,
+  to,
+  days,
+  types,
+  scale,
+  today,
+  selection,
+  selectedId,
+  canEdit,
+  onOpen,
+  onResize,
+}) {
+  const dayWidth = DAY_WIDTH[scale];
+  const step = scale === "day" ? 1 : 7;
+  const [cursor, setCursor] = useState(null); // keyboard position while the track has focus
+  const [resize, setResize] = useState(null); // { entry, edge, start, end, left, origin, pointer }
+  const latest = useRef(resize);
+  latest.current = resize;
+  const suppressClick = useRef(false);
+  const track = useRef(null);
+
+  const clampDate = (iso) => (iso < from ? from : iso > to ? to : iso);
+  const rawDateAtX = (clientX, left) => addDays(from, Math.floor((clientX - left) / dayWidth));
+  const dateAtX = (clientX, left) => clampDate(rawDateAtX(clientX, left));
+
+  // True when the resize changed a date
+  function commitResize() {
+    const r = latest.current;
+    setResize(null);
+    if (!r || (r.start === r.entry.start && r.end === r.entry.end)) return false;
+    onResize(r.entry, r.start, r.end);
+    return true;
+  }
+  // Moves one edge, never past the other
+  function moveEdge(r, edge, iso) {
+    if (edge === "start") return { ...r, start: iso > r.end ? r.end : iso };
+    return { ...r, end: iso < r.start ? r.start : iso };
+  }
+
+  useEffect(() => {
+    if (!resize?.pointer) return;
+    // The edge moves by as many days as the pointer has, so an edge outside the visible range
+    // stays where it is until it's actually dragged
+    const move = (e) =>
+      setResize(
+        (r) => r && moveEdge(r, r.edge, addDays(r.entry[r.edge], daysBetween(r.origin, rawDateAtX(e.clientX, r.left))))
+      );
+    // Only a real resize swallows the click that follows; cleared afterwards in case none comes
+    const up = () => {
+      if (!commitResize()) return;
+      suppressClick.current = true;
+      setTimeout(() => (suppressClick.current = false));
+    };
+    window.addEventListener("pointermove", move);
+    window.addEventListener("pointerup", up);
+    return () => {
+      window.removeEventListener("pointermove", move);
+      window.removeEventListener("pointerup", up);
+    };
+  }, [resize?.pointer]);
+
+  const range = selection.range(person.id);
+  // Horizontal position of [start, end] clipped to the range; `inset` leaves a gap on each side
+  const span = (start, end, inset = 0) => {
+    const s = start < from ? from : start;
+    const e = end > to ? to : end;
+    return {
+      left: px(daysBetween(from, s) * dayWidth + inset),
+      width: px((daysBetween(s, e) + 1) * dayWidth - 2 * inset),
+    };
+  };
+
+  function trackKeyDown(e) {
+    if (e.target !== e.currentTarget) return;
+    const at = cursor || clampDate(today);
+    if (e.key === "ArrowLeft" || e.key === "ArrowRight") {
+      e.preventDefault();
+      const next = clampDate(addDays(at, e.key === "ArrowLeft" ? -step : step));
+      setCursor(next);
+      selection.extend(person.id, next);
+    } else if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      if (selection.range(person.id)) selection.finish();
+      else selection.begin(person.id, at);
+    } else if (e.key === "Escape") {
+      selection.cancel();
+    }
+  }
+
+  function barKeyDown(e, entry) {
+    if (!canEdit(entry)) return;
+    const dir = e.key === "ArrowLeft" ? -1 : e.key === "ArrowRight" ? 1 : 0;
+    if (dir && (e.shiftKey || e.altKey)) {
+      e.preventDefault();
+      const edge = e.altKey ? "start" : "end";
+      const r = resize?.entry.id === entry.id ? resize : { entry, start: entry.start, end: entry.end };
+      setResize(moveEdge(r, edge, addDays(r[edge], dir)));
+    } else if (e.key === "Enter" && resize) {
+      e.preventDefault();
+      commitResize();
+    } else if (e.key === "Escape") {
+      setResize(null);
+    }
+  }
+
+  return (
+    <div className="flex border-b last:border-b-0">
+      <div className="w-44 shrink-0 sticky left-0 bg-white z-[5] border-r px-3 py-1 text-sm flex items-center gap-2">
+        <span className="inline-block w-2 h-2 rounded-full shrink-0" style={{ background: person.color }} />
+        <span className="truncate">{person.displayName}</span>
+      </div>
+      <div
+        ref={track}
+        className="relative select-none outline-none focus-visible:bg-indigo-50/40"
+        style={{ width: px((daysBetween(from, to) + 1) * dayWidth), height: px(lanes * LANE_HEIGHT + 8) }}
+        tabIndex={0}
+        aria-label={`Select days for ${person.displayName}`}
+        onFocus={(e) => e.target === e.currentTarget && setCursor((c) => c || clampDate(today))}
+        onBlur={() => setCursor(null)}
+        onKeyDown={trackKeyDown}
+        onPointerDown={(e) => {
+          if (e.button !== 0 || e.target !== e.currentTarget) return;
+          e.preventDefault();
+          selection.begin(person.id, dateAtX(e.clientX, track.current.getBoundingClientRect().left), { pointer: true });
+        }}
+        onPointerMove={(e) => {
+          if (selection.active) selection.extend(person.id, dateAtX(e.clientX, track.current.getBoundingClientRect().left));
+        }}
+      >
+        {scale === "day" &&
+          days
+            .filter((iso) => dayOfWeek(iso) === 0 || dayOfWeek(iso) === 6)
+            .map((iso) => (
+              <div key={iso} className="absolute inset-y-0 bg-gray-50 pointer-events-none" style={span(iso, iso)} />
+            ))}
+        {today >= from && today <= to && (
+          <div
+            className="absolute inset-y-0 w-0.5 bg-indigo-400 pointer-events-none"
+            style={{ left: px(daysBetween(from, today) * dayWidth + dayWidth / 2) }}
+          />
+        )}
+        {range && <div className="absolute inset-y-0 bg-indigo-200/60 pointer-events-none" style={span(range[0], range[1])} />}
+        {cursor && (
+          <div className="absolute inset-y-0 border-2 border-indigo-500 rounded pointer-events-none" style={span(cursor, cursor)} />
+        )}
+        {bars.map(({ entry, lane }) => {
+          const preview = resize?.entry.id === entry.id ? resize : entry;
+          const pending = entryStatus(entry) === "pending";
+          const type = typeOf(types, entry.type);
+          const color = type.color;
+          const id = entry.seriesId || entry.id;
+          const label = [entry.type, dayPartLabel(entry), pending && "pending"].filter(Boolean).join(", ");
+          const handle = (edge) => (
+            <span
+              className="absolute inset-y-0 w-1.5 cursor-ew-resize"
+              style={{ [edge === "start" ? "left" : "right"]: 0 }}
+              onPointerDown={(e) => {
+                if (e.button !== 0) return;
+                e.preventDefault();
+                e.stopPropagation();
+                const left = track.current.getBoundingClientRect().left;
+                const origin = rawDateAtX(e.clientX, left);
+                setResize({ entry, edge, start: entry.start, end: entry.end, left, origin, pointer: true });
+              }}
+            />
+          );
+          return (
+            <button
+              key={entry.id}
+              type="button"
+              title={`${person.displayName}: ${label} (${preview.start} → ${preview.end})`}
+              onClick={() => {
+                if (suppressClick.current) suppressClick.current = false;
+                else onOpen(id);
+              }}
+              onKeyDown={(e) => barKeyDown(e, entry)}
+              onBlur={() => resize && !resize.pointer && setResize(null)}
+              className={cx(
+                "absolute rounded-md px-1.5 text-left text-[11px] leading-5 truncate border outline-none focus:ring-2 ring-offset-1 ring-indigo-500",
+                pending ? "border-dashed bg-white" : "text-white border-transparent",
+                (id === selectedId || preview !== entry) && "ring-2"
+              )}
+              style={{
+                ...span(preview.start, preview.end, 1),
+                top: px(lane * LANE_HEIGHT + 4),
+                height: px(LANE_HEIGHT - 4),
+                ...(pending ? { borderColor: color, color } : { background: color }),
+              }}
+            >
+              {canEdit(entry) && handle("start")}
+              {preview !== entry ? `${preview.start} → ${preview.end}` : `${type.icon} ${label}`.trim()}
+              {canEdit(entry) && handle("end")}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+function EntryDetails({ entry, notes, peopleById, onEdit, onClose }) {
+  const coverage = normalizeCoverage(entry);
+  const nameOf = (id) => peopleById.get(id)?.displayName || "Unassigned";
+  return (
+    <div className="mt-4 rounded-xl border p-4">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <div className="font-medium flex items-center gap-2">
+            {entry.name} — {entry.type} <StatusBadge entry={entry} />
+          </div>
+          <div className="text-sm text-gray-600">
+            {entry.start} → {entry.end}
+            {dayPartLabel(entry) && ` (${dayPartLabel(entry)})`}
+          </div>
+          {entry.recurrence && <div className="text-xs text-gray-500">↻ {describeRecurrence(entry.recurrence)}</div>}
+          {notes && <div className="text-sm mt-1">{notes}</div>}
+        </div>
+        <div className="flex gap-3 shrink-0 text-sm">
+          {onEdit && (
+            <button type="button" className="text-indigo-700 hover:underline" onClick={() => onEdit(entry)}>
+              Edit
+            </button>
+          )}
+          <button type="button" className="text-gray-500 hover:underline" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+      <h3 className="text-sm font-semibold mt-3 mb-1">Coverage</h3>
+      {coverage.length === 0 && <div className="text-sm text-gray-500">No coverage items.</div>}
+      <ul className="grid gap-2">
+        {coverage.map((c) => (
+          <li key={c.id} className="text-sm">
+            <div className="flex flex-wrap items-center gap-2">
+              {safeHref(c.link) ? (
+                <a href={safeHref(c.link)} target="_blank" rel="noreferrer" className="text-indigo-700 hover:underline">
+                  {c.title || c.link}
+                </a>
+              ) : (
+                <span>{c.title}</span>
+              )}
+              <span className="text-xs text-gray-500">
+                {nameOf(c.assigneeId)}
+                {c.due && ` · due ${c.due}`} · {c.status.replace("_", " ")}
+              </span>
+            </div>
+            {c.tasks.length > 0 && (
+              <ul className="pl-5 list-disc text-gray-600">
+                {c.tasks.map((t) => (
+                  <li key={t.id} className={cx(t.done && "line-through text-gray-400")}>
+                    {t.text}
+                    {t.assigneeId && <span className="text-xs text-gray-500"> · {nameOf(t.assigneeId)}</span>}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
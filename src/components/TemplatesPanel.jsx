@@ -0,0 +1,152 @@
+import React, { useState } from "react";
+import { TEMPLATE_VARIABLES, makeTemplate } from "../lib/templates.js";
+
+const inputCls = "border rounded-lg px-2 py-1 text-sm outline-none focus:ring-2 ring-indigo-500";
+
+const blankItem = () => ({ title: "", link: "", notes: "", tasks: [] });
+
+const splitLines = (text) =>
+  text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+export default function TemplatesPanel({ templates, onChange, teams, types }) {
+  const [draft, setDraft] = useState("");
+
+  function update(id, patch) {
+    onChange(templates.map((t) => (t.id === id ? { ...t, ...patch } : t)));
+  }
+
+  function updateItem(template, index, patch) {
+    update(template.id, { items: template.items.map((item, i) => (i === index ? { ...item, ...patch } : item)) });
+  }
+
+  function addTemplate(ev) {
+    ev.preventDefault();
+    const name = draft.trim();
+    if (!name) return;
+    onChange([...templates, { ...makeTemplate(name), items: [blankItem()] }]);
+    setDraft("");
+  }
+
+  return (
+    <div className="grid gap-6">
+      <p className="text-xs text-gray-500">
+        Placeholders filled in from the absence: {TEMPLATE_VARIABLES.map((v) => `{{${v}}}`).join(", ")}.
+      </p>
+
+      {templates.length === 0 && <div className="text-sm text-gray-500">No templates yet.</div>}
+      {templates.map((t) => (
+        <div key={t.id} className="border rounded-xl p-4 grid gap-3">
+          <div className="flex flex-wrap items-center gap-2">
+            <input
+              className={`${inputCls} font-medium flex-1 min-w-[12rem]`}
+              aria-label="Template name"
+              value={t.name}
+              onChange={(e) => update(t.id, { name: e.target.value })}
+            />
+            <select
+              className={inputCls}
+              aria-label="Team"
+              value={t.team || ""}
+              onChange={(e) => update(t.id, { team: e.target.value || null })}
+            >
+              <option value="">Any team</option>
+              {teams.map((team) => (
+                <option key={team.id} value={team.id}>
+                  {team.name}
+                </option>
+              ))}
+            </select>
+            <select
+              className={inputCls}
+              aria-label="Absence type"
+              value={t.type || ""}
+              onChange={(e) => update(t.id, { type: e.target.value || null })}
+            >
+              <option value="">Any type</option>
+              {types.map((type) => (
+                <option key={type.name} value={type.name}>
+                  {type.name}
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              className="text-sm text-red-600 hover:underline"
+              onClick={() => onChange(templates.filter((x) => x.id !== t.id))}
+            >
+              Remove
+            </button>
+          </div>
+
+          {t.items.map((item, i) => (
+            <div key={i} className="border rounded-lg p-3 grid gap-2 md:grid-cols-2">
+              <div className="grid gap-2">
+                <input
+                  className={inputCls}
+                  placeholder="Item title, e.g. Deals: {{owner}}'s pipeline"
+                  value={item.title}
+                  onChange={(e) => updateItem(t, i, { title: e.target.value })}
+                />
+                <input
+                  className={inputCls}
+                  placeholder="Link (optional)"
+                  value={item.link}
+                  onChange={(e) => updateItem(t, i, { link: e.target.value })}
+                />
+                <input
+                  className={inputCls}
+                  placeholder="Notes for whoever covers this"
+                  value={item.notes}
+                  onChange={(e) => updateItem(t, i, { notes: e.target.value })}
+                />
+              </div>
+              <label className="grid gap-1 text-xs text-gray-600">
+                Checklist, one task per line
+                {/* Committed on blur so blank lines can be typed between tasks */}
+                <textarea
+                  key={item.tasks.join("\n")}
+                  rows={4}
+                  className={inputCls}
+                  defaultValue={item.tasks.join("\n")}
+                  onBlur={(e) => updateItem(t, i, { tasks: splitLines(e.target.value) })}
+                />
+              </label>
+              <button
+                type="button"
+                className="justify-self-start text-xs text-red-600 hover:underline"
+                onClick={() => update(t.id, { items: t.items.filter((_, j) => j !== i) })}
+              >
+                remove item
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            className="justify-self-start rounded-lg border px-3 py-1.5 text-sm hover:bg-gray-50"
+            onClick={() => update(t.id, { items: [...t.items, blankItem()] })}
+          >
+            + Add coverage item
+          </button>
+        </div>
+      ))}
+
+      <form className="flex flex-wrap items-end gap-3" onSubmit={addTemplate}>
+        <label className="grid gap-1 text-sm">
+          <span className="font-medium">New template</span>
+          <input
+            className="border rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 ring-indigo-500"
+            placeholder="e.g., Account manager handoff"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+          />
+        </label>
+        <button className="rounded-xl bg-indigo-600 text-white px-4 py-2 text-sm font-medium hover:bg-indigo-700" type="submit">
+          Add template
+        </button>
+      </form>
+    </div>
+  );
+}
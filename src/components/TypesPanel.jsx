@@ -0,0 +1,153 @@
+import React, { useMemo, useState } from "react";
+import { makeType } from "../lib/types.js";
+
+const inputCls =
+  "border rounded-lg px-2 py-1 text-sm outline-none focus:ring-2 ring-indigo-500 disabled:bg-gray-50 disabled:text-gray-500";
+
+const FLAGS = [
+  { id: "requiresApproval", label: "Needs approval" },
+  { id: "countsAgainstBalance", label: "Counts against balance" },
+  { id: "privateNotes", label: "Private notes" },
+];
+
+// The catalog is kept by admins; everyone else gets it `readOnly`
+export default function TypesPanel({ types, onChange, entries, readOnly }) {
+  const [draft, setDraft] = useState("");
+
+  // Entries store the type name, so a type in use can be neither renamed nor removed
+  const entryCounts = useMemo(() => {
+    const counts = new Map();
+    for (const e of entries) counts.set(e.type, (counts.get(e.type) || 0) + 1);
+    return counts;
+  }, [entries]);
+
+  function update(name, patch) {
+    onChange(types.map((t) => (t.name === name ? { ...t, ...patch } : t)));
+  }
+
+  function rename(name, next) {
+    const trimmed = next.trim();
+    if (!trimmed || trimmed === name) return;
+    if (types.some((t) => t.name.toLowerCase() === trimmed.toLowerCase() && t.name !== name)) {
+      alert(`There is already a type called ${trimmed}.`);
+      return;
+    }
+    update(name, { name: trimmed });
+  }
+
+  function addType(ev) {
+    ev.preventDefault();
+    const name = draft.trim();
+    if (!name) return;
+    if (name === "All" || types.some((t) => t.name.toLowerCase() === name.toLowerCase())) {
+      alert(`${name} can't be used as a type name.`);
+      return;
+    }
+    onChange([...types, makeType(name)]);
+    setDraft("");
+  }
+
+  return (
+    <div className="grid gap-6">
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b">
+              <th className="py-2 pr-3 font-medium">Icon</th>
+              <th className="py-2 pr-3 font-medium">Name</th>
+              {FLAGS.map((f) => (
+                <th key={f.id} className="py-2 pr-3 font-medium">
+                  {f.label}
+                </th>
+              ))}
+              <th className="py-2 font-medium"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {types.map((t) => {
+              const count = entryCounts.get(t.name) || 0;
+              return (
+                <tr key={t.name}>
+                  <td className="py-2 pr-3">
+                    <input
+                      className={`${inputCls} w-12 text-center`}
+                      aria-label={`${t.name} icon`}
+                      value={t.icon}
+                      disabled={readOnly}
+                      onChange={(e) => update(t.name, { icon: e.target.value })}
+                    />
+                  </td>
+                  <td className="py-2 pr-3">
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="color"
+                        className="w-6 h-6 rounded cursor-pointer"
+                        title="Calendar color"
+                        value={t.color}
+                        disabled={readOnly}
+                        onChange={(e) => update(t.name, { color: e.target.value })}
+                      />
+                      {/* Committed on blur; renaming on every keystroke would remount the row */}
+                      <input
+                        key={t.name}
+                        className={inputCls}
+                        defaultValue={t.name}
+                        disabled={readOnly || count > 0}
+                        title={count > 0 ? `${count} entries use this type` : undefined}
+                        onBlur={(e) => rename(t.name, e.target.value)}
+                      />
+                    </div>
+                  </td>
+                  {FLAGS.map((f) => (
+                    <td key={f.id} className="py-2 pr-3">
+                      <input
+                        type="checkbox"
+                        aria-label={`${t.name}: ${f.label}`}
+                        checked={Boolean(t[f.id])}
+                        disabled={readOnly}
+                        onChange={(e) => update(t.name, { [f.id]: e.target.checked })}
+                      />
+                    </td>
+                  ))}
+                  <td className="py-2 text-right whitespace-nowrap">
+                    <button
+                      type="button"
+                      className="text-red-600 hover:underline disabled:text-gray-400 disabled:no-underline"
+                      disabled={readOnly || count > 0 || types.length === 1}
+                      title={count > 0 ? `${count} entries use this type` : undefined}
+                      onClick={() => onChange(types.filter((x) => x.name !== t.name))}
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-500">
+        Allowances for types that count against the balance are set in the Balances tab.
+      </p>
+
+      {readOnly ? (
+        <p className="text-sm text-gray-500">Only admins can add or change absence types.</p>
+      ) : (
+        <form className="flex flex-wrap items-end gap-3" onSubmit={addType}>
+          <label className="grid gap-1 text-sm">
+            <span className="font-medium">New type</span>
+            <input
+              className="border rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 ring-indigo-500"
+              placeholder="e.g., Parental Leave"
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+            />
+          </label>
+          <button className="rounded-xl bg-indigo-600 text-white px-4 py-2 text-sm font-medium hover:bg-indigo-700" type="submit">
+            Add type
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
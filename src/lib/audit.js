@@ -0,0 +1,119 @@
+// Append-only change history for entries and their coverage. One record per entry per change:
+//   { id, at, actor: { id, name }, action, entryId, entryName, changes: [{ field, before, after }],
+//     before, after }
+// `after` is the whole entry as the change left it, so any version can be restored; `before`
+// is only kept for a removal (it's the previous record's `after` otherwise). `changes` lists
+// the fields that differ, coverage items and tasks included.
+import { normalizeCoverage } from "./coverage.js";
+import { entryStatus } from "./entries.js";
+
+export const AUDIT_ACTIONS = {
+  created: "Created",
+  imported: "Imported",
+  edited: "Edited",
+  approved: "Approved",
+  rejected: "Rejected",
+  cancelled: "Cancelled",
+  coverage: "Coverage updated",
+  removed: "Removed",
+  restored: "Restored",
+};
+
+// Not worth a line in the history: `done` mirrors a task's status, `record` is refetched CRM data
+const ITEM_FIELDS = ["title", "link", "notes", "assigneeId", "due", "status"];
+const TASK_FIELDS = ["text", "assigneeId", "due", "status"];
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+function fieldChanges(prefix, before, after, fields) {
+  return fields
+    .filter((f) => !same(before[f], after[f]))
+    .map((f) => ({ field: prefix ? `${prefix} › ${f}` : f, before: before[f] ?? null, after: after[f] ?? null }));
+}
+
+function coverageChanges(before, after) {
+  const changes = [];
+  const oldItems = new Map(normalizeCoverage(before).map((c) => [c.id, c]));
+  for (const item of normalizeCoverage(after)) {
+    const was = oldItems.get(item.id);
+    oldItems.delete(item.id);
+    const label = `Coverage “${item.title || "Untitled"}”`;
+    if (!was) {
+      changes.push({ field: label, before: null, after: "added" });
+      continue;
+    }
+    changes.push(...fieldChanges(label, was, item, ITEM_FIELDS));
+    const oldTasks = new Map(was.tasks.map((t) => [t.id, t]));
+    for (const task of item.tasks) {
+      const prev = oldTasks.get(task.id);
+      oldTasks.delete(task.id);
+      const taskLabel = `${label} › task “${task.text}”`;
+      if (prev) changes.push(...fieldChanges(taskLabel, prev, task, TASK_FIELDS));
+      else changes.push({ field: taskLabel, before: null, after: "added" });
+    }
+    for (const task of oldTasks.values()) {
+      changes.push({ field: `${label} › task “${task.text}”`, before: "present", after: "removed" });
+    }
+  }
+  for (const item of oldItems.values()) {
+    changes.push({ field: `Coverage “${item.title || "Untitled"}”`, before: "present", after: "removed" });
+  }
+  return changes;
+}
+
+// Field-by-field differences between two versions of an entry
+export function entryChanges(before, after) {
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].filter(
+    (k) => k !== "id" && k !== "coverage"
+  );
+  return [...fieldChanges("", before, after, keys), ...coverageChanges(before, after)];
+}
+
+function actionFor(before, after, changes) {
+  const status = entryStatus(after);
+  if (status !== entryStatus(before) && AUDIT_ACTIONS[status]) return status;
+  return changes.every((c) => c.field.startsWith("Coverage")) ? "coverage" : "edited";
+}
+
+// History records for going from `prev` to `next` (entry lists). `reason` overrides the
+// action for every record, e.g. "restored" or "imported".
+export function auditRecords(prev, next, actor, reason) {
+  const at = new Date().toISOString();
+  const record = (action, before, after, changes = []) => ({
+    id: crypto.randomUUID(),
+    at,
+    actor,
+    action: reason || action,
+    entryId: (after || before).id,
+    entryName: (after || before).name,
+    changes,
+    before: after ? null : before,
+    after,
+  });
+
+  const records = [];
+  const old = new Map(prev.map((e) => [e.id, e]));
+  for (const entry of next) {
+    const was = old.get(entry.id);
+    old.delete(entry.id);
+    if (!was) {
+      records.push(record("created", null, entry));
+      continue;
+    }
+    if (was === entry) continue;
+    const changes = entryChanges(was, entry);
+    if (changes.length) records.push(record(actionFor(was, entry, changes), was, entry, changes));
+  }
+  for (const entry of old.values()) records.push(record("removed", entry, null));
+  return records;
+}
+
+// Entries whose latest record is a removal, newest first, as they were before removal
+export function removedEntries(records, entries) {
+  const present = new Set(entries.map((e) => e.id));
+  const latest = new Map();
+  for (const r of records) latest.set(r.entryId, r);
+  return [...latest.values()]
+    .filter((r) => r.action === "removed" && !present.has(r.entryId))
+    .sort((a, b) => b.at.localeCompare(a.at));
+}
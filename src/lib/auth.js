@@ -0,0 +1,153 @@
+// Who is using the app. Both adapters share one async interface:
+//   restore() -> user | null     the session left by an earlier sign-in (for OIDC, also
+//                                 finishes a sign-in the provider has just redirected back from)
+//   signIn(details) -> user      OIDC navigates to the provider instead and never resolves
+//   signOut() -> resolves once the session is gone
+// A user is { id, name, email }; people.js matches it to a directory entry.
+
+const DEV_USER_KEY = "ooo_dev_user";
+const OIDC_PENDING_KEY = "ooo_oidc_pending";
+const OIDC_SESSION_KEY = "ooo_oidc_session";
+
+// Local development: anyone can be anyone, remembered in this browser
+export function devAuth() {
+  return {
+    name: "Dev login",
+    kind: "dev",
+    async restore() {
+      try {
+        return JSON.parse(localStorage.getItem(DEV_USER_KEY));
+      } catch {
+        return null;
+      }
+    },
+    async signIn({ name, email = "" }) {
+      const trimmed = (name || "").trim();
+      if (!trimmed) throw new Error("Enter a name to sign in.");
+      const user = { id: `dev:${(email || trimmed).trim().toLowerCase()}`, name: trimmed, email: email.trim() };
+      localStorage.setItem(DEV_USER_KEY, JSON.stringify(user));
+      return user;
+    },
+    async signOut() {
+      localStorage.removeItem(DEV_USER_KEY);
+    },
+  };
+}
+
+const base64url = (bytes) =>
+  btoa(String.fromCharCode(...new Uint8Array(bytes)))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+const randomToken = () => base64url(crypto.getRandomValues(new Uint8Array(32)));
+
+function decodeJwtPayload(token) {
+  const part = (token || "").split(".")[1];
+  if (!part) throw new Error("The provider didn't return an ID token.");
+  const binary = atob(part.replace(/-/g, "+").replace(/_/g, "/"));
+  return JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, (c) => c.charCodeAt(0))));
+}
+
+// Authorization code flow with PKCE, as a public client (no secret in the browser). The ID
+// token comes straight from the token endpoint, so its claims are checked but its signature
+// isn't (OIDC Core 3.1.3.7). server/oidc-mock.js is a provider to try it against.
+export function oidcAuth({ issuer, clientId, scope = "openid profile email" }) {
+  const root = issuer.replace(/\/+$/, "");
+  const redirectUri = window.location.origin + window.location.pathname;
+  let config;
+  let restoring;
+
+  async function discover() {
+    if (config) return config;
+    let res;
+    try {
+      res = await fetch(`${root}/.well-known/openid-configuration`);
+    } catch {
+      throw new Error(`Can't reach the sign-in provider at ${root}.`);
+    }
+    if (!res.ok) throw new Error(`The sign-in provider answered ${res.status}.`);
+    config = await res.json();
+    return config;
+  }
+
+  async function finishSignIn(params) {
+    const pending = JSON.parse(sessionStorage.getItem(OIDC_PENDING_KEY) || "null");
+    sessionStorage.removeItem(OIDC_PENDING_KEY);
+    // Back to where sign-in started, without the code and state in the address bar
+    window.history.replaceState(null, "", pending?.returnTo || redirectUri);
+    if (params.get("error")) throw new Error(params.get("error_description") || `Sign-in failed: ${params.get("error")}.`);
+    if (!pending || pending.state !== params.get("state")) throw new Error("Sign-in response didn't match the request.");
+
+    const { token_endpoint } = await discover();
+    const res = await fetch(token_endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        grant_type: "authorization_code",
+        code: params.get("code"),
+        redirect_uri: redirectUri,
+        client_id: clientId,
+        code_verifier: pending.verifier,
+      }),
+    });
+    const tokens = await res.json().catch(() => null);
+    if (!res.ok) throw new Error(tokens?.error_description || `Sign-in failed (${res.status}).`);
+
+    const claims = decodeJwtPayload(tokens.id_token);
+    const audience = [].concat(claims.aud);
+    if (claims.iss !== root || !audience.includes(clientId)) throw new Error("The ID token is for another app.");
+    if (claims.nonce !== pending.nonce) throw new Error("The ID token doesn't match this sign-in.");
+    if (claims.exp * 1000 < Date.now()) throw new Error("The ID token has expired.");
+
+    const user = { id: claims.sub, name: claims.name || claims.email || claims.sub, email: claims.email || "" };
+    sessionStorage.setItem(OIDC_SESSION_KEY, JSON.stringify({ user, expiresAt: claims.exp * 1000 }));
+    return user;
+  }
+
+  return {
+    name: `Single sign-on (${root})`,
+    kind: "oidc",
+    restore() {
+      // Once per page load: the code can't be exchanged twice
+      restoring ||= (async () => {
+        const params = new URLSearchParams(window.location.search);
+        if (params.has("state") && (params.has("code") || params.has("error"))) return finishSignIn(params);
+        const session = JSON.parse(sessionStorage.getItem(OIDC_SESSION_KEY) || "null");
+        return session && session.expiresAt > Date.now() ? session.user : null;
+      })();
+      return restoring;
+    },
+    async signIn() {
+      const { authorization_endpoint } = await discover();
+      const verifier = randomToken();
+      const challenge = base64url(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(verifier)));
+      const pending = { state: randomToken(), nonce: randomToken(), verifier, returnTo: window.location.href };
+      sessionStorage.setItem(OIDC_PENDING_KEY, JSON.stringify(pending));
+      const url = new URL(authorization_endpoint);
+      url.search = new URLSearchParams({
+        response_type: "code",
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope,
+        state: pending.state,
+        nonce: pending.nonce,
+        code_challenge: challenge,
+        code_challenge_method: "S256",
+      });
+      window.location.assign(url);
+      return new Promise(() => {});
+    },
+    async signOut() {
+      sessionStorage.removeItem(OIDC_SESSION_KEY);
+    },
+  };
+}
+
+// VITE_OOO_OIDC_ISSUER (+ VITE_OOO_OIDC_CLIENT_ID) switches from the dev login to single sign-on
+export function createAuth(
+  issuer = import.meta.env.VITE_OOO_OIDC_ISSUER,
+  clientId = import.meta.env.VITE_OOO_OIDC_CLIENT_ID || "ooo-calendar"
+) {
+  return issuer ? oidcAuth({ issuer, clientId }) : devAuth();
+}
@@ -0,0 +1,131 @@
+// Leave allowances, accrual and carry-over. Balances are counted in working days
+// (see holidays.js): weekends and the person's holidays don't use up allowance.
+// `calendar` is the object returned by workingCalendar().
+import { addDays } from "./dates.js";
+import { entryStatus, isActive, personKey } from "./entries.js";
+import { seriesEnd } from "./recurrence.js";
+
+export const ACCRUAL_METHODS = [
+  { id: "annual", label: "Full allowance on Jan 1" },
+  { id: "monthly", label: "Monthly (1/12 each month)" },
+];
+
+// Types without a policy (e.g. Public Holiday, Other) aren't tracked against a balance.
+// `enforce` decides whether going over the balance warns or blocks the request.
+export const DEFAULT_POLICIES = {
+  types: {
+    Vacation: { allowance: 20, accrual: "monthly", carryOver: 5, enforce: "warn" },
+    "Sick Leave": { allowance: 10, accrual: "annual", carryOver: 0, enforce: "warn" },
+    Training: { allowance: 5, accrual: "annual", carryOver: 0, enforce: "warn" },
+  },
+  people: {}, // { [personId]: { [type]: { allowance } } }
+  startYear: null, // first year carry-over is counted from; defaults to the earliest entry
+};
+
+export function policyFor(policies, personId, type) {
+  const base = policies.types[type];
+  if (!base) return null;
+  return { ...base, ...(policies.people[personId]?.[type] || {}) };
+}
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// Used = approved days up to today; planned = approved future days plus anything pending
+function usage(entries, personId, type, year, calendar, today) {
+  const from = `${year}-01-01`;
+  const to = `${year}-12-31`;
+  let used = 0;
+  let planned = 0;
+  for (const e of entries) {
+    if (personKey(e) !== personId || e.type !== type || !isActive(e)) continue;
+    if (entryStatus(e) === "pending") {
+      planned += calendar.days(e, from, to);
+      continue;
+    }
+    // Today itself counts as used; a year that hasn't started yet is all planned
+    const cutoff = today < to ? today : to;
+    if (cutoff >= from) used += calendar.days(e, from, cutoff);
+    const after = addDays(cutoff, 1);
+    if (cutoff < to) planned += calendar.days(e, after > from ? after : from, to);
+  }
+  return { used, planned };
+}
+
+export function firstTrackedYear(policies, entries, year) {
+  if (policies.startYear) return policies.startYear;
+  let min = year;
+  for (const e of entries) min = Math.min(min, Number(e.start.slice(0, 4)));
+  return min;
+}
+
+// Balance for one person/type/year:
+// { allowance, carried, entitlement, accrued, used, planned, remaining, available }
+export function computeBalance({ entries, policies, personId, type, year, today, calendar }) {
+  const policy = policyFor(policies, personId, type);
+  if (!policy) return null;
+  const startYear = firstTrackedYear(policies, entries, year);
+
+  // Walk forward from the first tracked year so unused days roll over, capped each year
+  let carried = 0;
+  let entitlement = policy.allowance;
+  let current = null;
+  for (let y = Math.min(startYear, year); y <= year; y++) {
+    entitlement = policy.allowance + carried;
+    current = usage(entries, personId, type, y, calendar, today);
+    const left = entitlement - current.used - current.planned;
+    if (y < year) carried = Math.min(policy.carryOver || 0, Math.max(0, left));
+  }
+
+  const thisYear = Number(today.slice(0, 4));
+  let accrued = entitlement;
+  if (year > thisYear) accrued = carried + (policy.accrual === "annual" ? policy.allowance : 0);
+  else if (year === thisYear && policy.accrual === "monthly") {
+    const months = Number(today.slice(5, 7));
+    accrued = carried + (policy.allowance * months) / 12;
+  }
+
+  const { used, planned } = current;
+  return {
+    policy,
+    allowance: policy.allowance,
+    carried: round(carried),
+    entitlement: round(entitlement),
+    accrued: round(accrued),
+    used: round(used),
+    planned: round(planned),
+    remaining: round(entitlement - used - planned),
+    available: round(accrued - used - planned),
+  };
+}
+
+// Would adding `candidate` overdraw the balance in any year it touches?
+// Returns null when fine, otherwise { block, message }.
+export function checkBalance({ entries, policies, candidate, today, calendar }) {
+  if (!policyFor(policies, personKey(candidate), candidate.type)) return null;
+  const problems = [];
+  let block = false;
+
+  // A recurring series is checked in every year it reaches, not just its first occurrence's
+  const lastYear = Number(seriesEnd(candidate).slice(0, 4));
+  for (let y = Number(candidate.start.slice(0, 4)); y <= lastYear; y++) {
+    const bal = computeBalance({
+      entries,
+      policies,
+      personId: personKey(candidate),
+      type: candidate.type,
+      year: y,
+      today,
+      calendar,
+    });
+    const requested = calendar.days(candidate, `${y}-01-01`, `${y}-12-31`);
+    if (requested > bal.remaining) {
+      problems.push(
+        `${y}: requesting ${round(requested)} working day(s) but only ${Math.max(bal.remaining, 0)} ${candidate.type} day(s) remain.`
+      );
+      if (bal.policy.enforce === "block") block = true;
+    }
+  }
+
+  if (problems.length === 0) return null;
+  return { block, message: problems.join("\n") };
+}
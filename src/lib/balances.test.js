@@ -0,0 +1,28 @@
+import { describe, expect, it } from "vitest";
+import { computeBalance, DEFAULT_POLICIES } from "./balances.js";
+import { workingCalendar } from "./holidays.js";
+
+// No public holidays, so only weekends are off
+const NO_HOLIDAYS = { regions: {}, defaultRegion: null };
+const TODAY = "2026-10-19";
+
+const vacation = (id, start, end) => ({ id, personId: "p1", name: "Ada", type: "Vacation", start, end });
+
+function balance(entries, year) {
+  const calendar = workingCalendar(NO_HOLIDAYS, entries);
+  return computeBalance({ entries, policies: DEFAULT_POLICIES, personId: "p1", type: "Vacation", year, today: TODAY, calendar });
+}
+
+describe("computeBalance in a year after the current one", () => {
+  it("doesn't count the rest of this year's absences as next year's plans", () => {
+    const entries = [vacation("a", "2026-11-09", "2026-11-13")];
+    expect(balance(entries, 2026)).toMatchObject({ used: 0, planned: 5, remaining: 15 });
+    expect(balance(entries, 2027)).toMatchObject({ carried: 5, used: 0, planned: 0, remaining: 25 });
+  });
+
+  it("counts only the days that fall in next year for an absence across New Year", () => {
+    const entries = [vacation("a", "2026-12-28", "2027-01-05")];
+    expect(balance(entries, 2026)).toMatchObject({ planned: 4 });
+    expect(balance(entries, 2027)).toMatchObject({ used: 0, planned: 3, remaining: 22 });
+  });
+});
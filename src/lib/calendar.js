@@ -0,0 +1,101 @@
+import {
+  addDays,
+  addMonths,
+  dayOfWeek,
+  eachDay,
+  endOfMonth,
+  parseISODate,
+  startOfMonth,
+  startOfWeek,
+} from "./dates.js";
+import { dayAmount, dayPartLabel, entryStatus, personKey } from "./entries.js";
+import { expandEntries } from "./recurrence.js";
+
+export const CALENDAR_VIEWS = ["week", "month", "quarter"];
+
+// Map ISO date -> Map(personKey -> { name, type, status, amount, label }) of people OOO, limited
+// to [from, to]. `amount` is the fraction of the day away (0.5 for AM/PM); overlapping
+// entries for the same person add up to at most a full day, and approved wins over pending
+// (for the status and for which entry's type is shown).
+// `isOff(personKey, iso)` skips that person's weekends and holidays when given.
+export function buildOccupancy(entries, from, to, isOff) {
+  const byDate = new Map();
+  for (const e of expandEntries(entries, from, to)) {
+    const start = e.start > from ? e.start : from;
+    const end = e.end < to ? e.end : to;
+    if (start > end) continue;
+    const key = personKey(e);
+    const status = entryStatus(e);
+    const amount = dayAmount(e);
+    const label = dayPartLabel(e);
+    for (const iso of eachDay(start, end)) {
+      if (isOff && isOff(key, iso)) continue;
+      if (!byDate.has(iso)) byDate.set(iso, new Map());
+      const day = byDate.get(iso);
+      const prev = day.get(key);
+      if (!prev) {
+        day.set(key, { name: e.name, type: e.type, status, amount, label });
+        continue;
+      }
+      const total = Math.min(prev.amount + amount, 1);
+      day.set(key, {
+        name: e.name,
+        type: prev.status !== "approved" && status === "approved" ? e.type : prev.type,
+        status: prev.status === "approved" || status === "approved" ? "approved" : status,
+        amount: total,
+        label: total >= 1 ? "" : [prev.label, label].filter(Boolean).join("+"),
+      });
+    }
+  }
+  return byDate;
+}
+
+function startOfQuarter(iso) {
+  const m = Number(iso.slice(5, 7)) - 1;
+  return `${iso.slice(0, 4)}-${String(m - (m % 3) + 1).padStart(2, "0")}-01`;
+}
+
+// Visible [from, to] range for a view anchored on `anchor`
+export function viewRange(view, anchor) {
+  if (view === "week") {
+    const from = startOfWeek(anchor);
+    return { from, to: addDays(from, 6) };
+  }
+  if (view === "quarter") {
+    const from = startOfQuarter(anchor);
+    return { from, to: endOfMonth(addMonths(from, 2)) };
+  }
+  return { from: startOfMonth(anchor), to: endOfMonth(anchor) };
+}
+
+export function shiftAnchor(view, anchor, dir) {
+  if (view === "week") return addDays(anchor, 7 * dir);
+  if (view === "quarter") return addMonths(anchor, 3 * dir);
+  return addMonths(anchor, dir);
+}
+
+export function viewTitle(view, anchor) {
+  const { from, to } = viewRange(view, anchor);
+  const f = parseISODate(from);
+  if (view === "week") {
+    const t = parseISODate(to);
+    const opts = { month: "short", day: "numeric" };
+    return `${f.toLocaleDateString(undefined, opts)} – ${t.toLocaleDateString(undefined, {
+      ...opts,
+      year: "numeric",
+    })}`;
+  }
+  if (view === "quarter") {
+    return `Q${Math.floor(f.getMonth() / 3) + 1} ${f.getFullYear()}`;
+  }
+  return f.toLocaleString(undefined, { month: "long", year: "numeric" });
+}
+
+// Leading nulls pad the first row so day 1 lands on its weekday
+export function monthCells(monthStart) {
+  const cells = [];
+  const startWeekday = dayOfWeek(monthStart); // 0=Sun
+  for (let i = 0; i < startWeekday; i++) cells.push(null);
+  for (const iso of eachDay(monthStart, endOfMonth(monthStart))) cells.push(iso);
+  return cells;
+}
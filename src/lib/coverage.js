@@ -0,0 +1,81 @@
+// Coverage items hand an absent person's work to a backup while they're out.
+// { id, title, link, notes, assigneeId, due, status, record, tasks: [{ id, text, assigneeId, due, status, done }] }
+// A task without its own assignee falls to whoever covers the item. `record` is the CRM
+// record behind `link` as last fetched (see crm.js), or null.
+import { isActive, personKey } from "./entries.js";
+import { expandEntries } from "./recurrence.js";
+
+export const COVERAGE_STATUSES = [
+  { id: "open", label: "Open" },
+  { id: "in_progress", label: "In progress" },
+  { id: "done", label: "Done" },
+];
+
+// Older tasks only had `done`; keep it in step with `status` for them
+function normalizeTask(t) {
+  const status = t.status || (t.done ? "done" : "open");
+  return {
+    id: t.id || crypto.randomUUID(),
+    text: t.text || "",
+    assigneeId: t.assigneeId || null,
+    due: t.due || "",
+    status,
+    done: status === "done",
+  };
+}
+
+// Coverage used to be plain strings; always hand back full item objects
+export function normalizeCoverage(entry) {
+  const list = Array.isArray(entry.coverage) ? entry.coverage : [];
+  return list.map((c) => {
+    if (typeof c === "string") {
+      return {
+        id: crypto.randomUUID(),
+        title: c,
+        link: "",
+        notes: "",
+        assigneeId: null,
+        due: "",
+        status: "open",
+        record: null,
+        tasks: [],
+      };
+    }
+    return {
+      id: c.id || crypto.randomUUID(),
+      title: c.title || "",
+      link: c.link || "",
+      notes: c.notes || "",
+      assigneeId: c.assigneeId || null,
+      due: c.due || "",
+      status: c.status || "open",
+      record: c.record || null,
+      tasks: Array.isArray(c.tasks) ? c.tasks.map(normalizeTask) : [],
+    };
+  });
+}
+
+export const taskAssignee = (item, task) => task.assigneeId || item.assigneeId;
+
+// Active absences of the assignee that overlap [from, to] (individual occurrences for recurring ones)
+export function assigneeConflicts(entries, assigneeId, from, to) {
+  if (!assigneeId) return [];
+  const theirs = entries.filter((e) => isActive(e) && personKey(e) === assigneeId);
+  return expandEntries(theirs, from, to).filter((e) => e.start <= to && from <= e.end);
+}
+
+// Items someone covers, either whole or through individual tasks, soonest first.
+// Each result carries only the tasks that fall to that person.
+export function assignmentsFor(entries, personId) {
+  const result = [];
+  for (const entry of entries) {
+    if (!isActive(entry)) continue;
+    for (const item of normalizeCoverage(entry)) {
+      const tasks = item.tasks.filter((t) => taskAssignee(item, t) === personId);
+      if (item.assigneeId !== personId && tasks.length === 0) continue;
+      result.push({ entry, item, tasks, whole: item.assigneeId === personId });
+    }
+  }
+  const dueOf = (a) => a.item.due || a.entry.start;
+  return result.sort((a, b) => dueOf(a).localeCompare(dueOf(b)));
+}
@@ -0,0 +1,49 @@
+// Record details for coverage links, from whatever CRM is plugged in. Adapters share one
+// async interface:
+//   fetchRecords(refs) -> { [id]: { type, id, name, stage, amount, currency, closeDate } }
+// where `refs` are parseRecordLink() results. IDs the CRM doesn't know are left out.
+// server/crm-mock.js serves fixtures in the same shape for local development.
+import { parseRecordLink } from "./salesforce.js";
+
+// GET <baseUrl>/records?ids=a,b,c -> [record]; e.g. baseUrl "/crm" behind the Vite proxy
+export function httpCRMAdapter(baseUrl) {
+  const root = baseUrl.replace(/\/+$/, "");
+  return {
+    name: `CRM (${root})`,
+    async fetchRecords(refs) {
+      if (refs.length === 0) return {};
+      const ids = [...new Set(refs.map((r) => r.id))];
+      let res;
+      try {
+        res = await fetch(`${root}/records?ids=${ids.map(encodeURIComponent).join(",")}`);
+      } catch {
+        throw new Error(`Can't reach the CRM at ${root}.`);
+      }
+      const data = await res.json().catch(() => null);
+      if (!res.ok) throw new Error(data?.error || `CRM lookup failed (${res.status}).`);
+      return Object.fromEntries(data.map((r) => [r.id, r]));
+    },
+  };
+}
+
+// VITE_OOO_CRM (e.g. "/crm") turns on CRM lookups; without it coverage links are only validated
+export function createCRM(apiUrl = import.meta.env.VITE_OOO_CRM) {
+  return apiUrl ? httpCRMAdapter(apiUrl) : null;
+}
+
+// Looks up every item (flattened as { entryId, id, link }) whose link parses. Resolves to
+// [{ entryId, itemId, record }], with record null when the CRM doesn't know it.
+export async function enrichCoverage(crm, items) {
+  const refs = items.map((x) => ({ x, ref: parseRecordLink(x.link) })).filter(({ ref }) => ref && !ref.error);
+  const found = await crm.fetchRecords(refs.map(({ ref }) => ref));
+  const syncedAt = new Date().toISOString();
+  return refs.map(({ x, ref }) => ({
+    entryId: x.entryId,
+    itemId: x.id,
+    record: found[ref.id] ? { ...found[ref.id], type: ref.type, id: ref.id, syncedAt } : null,
+  }));
+}
+
+// A record closing while the item's owner is away needs someone to see it through
+export const closesWhileOut = (record, entry) =>
+  Boolean(record?.closeDate) && entry.start <= record.closeDate && record.closeDate <= entry.end;
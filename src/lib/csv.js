@@ -0,0 +1,189 @@
+// CSV/TSV parsing and spreadsheet-row -> entry mapping for the import wizard,
+// plus writing CSV for report exports.
+import { addDays, makeISODate } from "./dates.js";
+import { normalizeType, sameEntry } from "./entries.js";
+import { linkEntries } from "./people.js";
+
+export const IMPORT_FIELDS = ["name", "start", "end", "type", "notes"];
+
+export const DATE_FORMATS = [
+  { id: "auto", label: "Auto-detect" },
+  { id: "iso", label: "YYYY-MM-DD" },
+  { id: "mdy", label: "MM/DD/YYYY" },
+  { id: "dmy", label: "DD/MM/YYYY" },
+  { id: "serial", label: "Excel serial number" },
+];
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// Pick whichever of tab / semicolon / comma appears most on the first line
+export function detectDelimiter(text) {
+  const first = text.split(/\r?\n/, 1)[0] || "";
+  const counts = ["\t", ";", ","].map((d) => [d, first.split(d).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ",";
+}
+
+// RFC 4180-style parsing: quoted fields may contain delimiters, newlines and "" escapes
+export function parseDelimited(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines (e.g. trailing newlines from spreadsheet exports)
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+// Guess which column holds which field from the header row
+export function guessMapping(headers) {
+  const patterns = {
+    name: /name|person|employee|who/i,
+    start: /start|\bfrom\b|begin|first day/i,
+    end: /end|\bto\b|until|return|last day/i,
+    type: /type|reason|category|kind/i,
+    notes: /note|comment|detail|description|handoff|coverage/i,
+  };
+  const mapping = {};
+  const used = new Set();
+  for (const field of IMPORT_FIELDS) {
+    const idx = headers.findIndex((h, i) => !used.has(i) && patterns[field].test(h));
+    mapping[field] = idx >= 0 ? idx : null;
+    if (idx >= 0) used.add(idx);
+  }
+  return mapping;
+}
+
+const validDate = makeISODate;
+
+// Excel counts days from 1899-12-30 (accounting for its 1900 leap-year bug)
+const fromSerial = (n) => addDays("1899-12-30", n);
+
+const fullYear = (y) => (y < 100 ? 2000 + y : y);
+
+// Parse a spreadsheet date into "YYYY-MM-DD"; returns null when it can't be read.
+// "auto" treats a/b/y as US month-first unless the first part can't be a month.
+export function parseDate(value, format = "auto") {
+  const v = String(value ?? "").trim();
+  if (!v) return null;
+  let m;
+
+  if ((format === "auto" || format === "iso") && (m = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/.exec(v))) {
+    return validDate(+m[1], +m[2], +m[3]);
+  }
+  if ((format === "auto" || format === "serial") && /^\d{5}(\.\d+)?$/.test(v)) {
+    return fromSerial(Math.floor(+v));
+  }
+  if ((m = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/.exec(v))) {
+    const a = +m[1];
+    const b = +m[2];
+    const y = fullYear(+m[3]);
+    if (format === "mdy") return validDate(y, a, b);
+    if (format === "dmy") return validDate(y, b, a);
+    if (format === "auto") return a > 12 ? validDate(y, b, a) : validDate(y, a, b);
+    return null;
+  }
+  if (format !== "auto") return null;
+
+  // "Oct 1, 2025", "1 October 2025", "October 1 2025"
+  const monthIdx = (s) => MONTHS.indexOf(s.slice(0, 3).toLowerCase()) + 1;
+  if ((m = /^([a-z]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{2,4})$/i.exec(v)) && monthIdx(m[1])) {
+    return validDate(fullYear(+m[3]), monthIdx(m[1]), +m[2]);
+  }
+  if ((m = /^(\d{1,2})(?:st|nd|rd|th)?[\s-]+([a-z]+)\.?,?[\s-]+(\d{2,4})$/i.exec(v)) && monthIdx(m[2])) {
+    return validDate(fullYear(+m[3]), monthIdx(m[2]), +m[1]);
+  }
+  return null;
+}
+
+// Map raw rows to preview rows: { line, entry, errors, duplicate }.
+// Rows are matched to `people` (names and aliases, as on import) so duplicates are checked
+// by person against `existing` and earlier rows in the same batch.
+// `firstLine` is the source line number of rows[0] (2 when a header row was stripped).
+export function buildPreview(rows, { mapping, dateFormat, defaultType, types, people = [], firstLine = 1 }, existing) {
+  const cell = (row, field) => (mapping[field] == null ? "" : (row[mapping[field]] ?? "").trim());
+  const accepted = [];
+
+  const parsed = rows.map((row) => {
+    const errors = [];
+    const name = cell(row, "name");
+    const rawStart = cell(row, "start");
+    const rawEnd = cell(row, "end");
+    const start = parseDate(rawStart, dateFormat);
+    const end = rawEnd ? parseDate(rawEnd, dateFormat) : start;
+    const rawType = cell(row, "type");
+
+    if (!name) errors.push("Missing name");
+    if (!rawStart) errors.push("Missing start date");
+    else if (!start) errors.push(`Unreadable start date "${rawStart}"`);
+    if (rawEnd && !end) errors.push(`Unreadable end date "${rawEnd}"`);
+    if (start && end && end < start) errors.push("End date is before start date");
+
+    const entry = {
+      name,
+      start: start || "",
+      end: end || "",
+      type: rawType ? normalizeType(rawType, "", types) : defaultType,
+      notes: cell(row, "notes"),
+    };
+    return { entry, errors };
+  });
+
+  // Matched to people the way the import itself will be, so an alias is the same person
+  const linked = linkEntries(people, parsed.map((p) => p.entry)).entries;
+
+  return parsed.map(({ entry: raw, errors }, i) => {
+    const entry = raw.name ? linked[i] : raw;
+    let duplicate = null;
+    if (errors.length === 0) {
+      if (existing.some((e) => sameEntry(e, entry))) duplicate = "Already in calendar";
+      else if (accepted.some((e) => sameEntry(e, entry))) duplicate = "Repeated in this file";
+      else accepted.push(entry);
+    }
+
+    return { line: firstLine + i, entry, errors, duplicate };
+  });
+}
+
+// Quotes fields as RFC 4180 needs; text starting with = + - @ gets a leading ' so
+// spreadsheets don't run it as a formula. Numbers are written as they are.
+export function toCSV(rows) {
+  const field = (v) => {
+    if (v == null) return "";
+    if (typeof v === "number") return String(v);
+    const s = /^[=+\-@]/.test(v) ? `'${v}` : String(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return rows.map((row) => row.map(field).join(",")).join("\r\n") + "\r\n";
+}
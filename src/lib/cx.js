@@ -0,0 +1 @@
+export const cx = (...a) => a.filter(Boolean).join(" ");
@@ -0,0 +1,127 @@
+// Date helpers. The app passes dates around as local "YYYY-MM-DD" strings,
+// which sort and compare correctly as plain strings.
+// Arithmetic runs on UTC midnights, so a DST change in the browser's zone can never
+// push a date onto the next or previous day. "Now" only becomes a date through
+// todayIn()/isoDateIn(), which take the IANA time zone it should be read in.
+
+const pad = (n) => String(n).padStart(2, "0");
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toUTC = (iso) => {
+  const [y, m, d] = iso.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+};
+const fromUTC = (d) => `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+
+// Calendar date of a Date built from local fields (new Date(y, m, d), date pickers)
+export function toISODate(d) {
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// Local midnight of `iso`; meant for toLocaleDateString() and friends, not for arithmetic
+export function parseISODate(iso) {
+  const [y, m, d] = iso.split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
+
+// Month is 1-based; null when the date doesn't exist (Feb 30, Apr 31)
+export function makeISODate(y, m, d) {
+  const date = new Date(Date.UTC(y, m - 1, d));
+  date.setUTCFullYear(y); // Date.UTC maps years 0-99 onto 1900-1999
+  const valid = date.getUTCFullYear() === y && date.getUTCMonth() === m - 1 && date.getUTCDate() === d;
+  return valid ? fromUTC(date) : null;
+}
+
+// 0 = Sunday
+export const dayOfWeek = (iso) => toUTC(iso).getUTCDay();
+export const dayOfMonth = (iso) => Number(iso.slice(8, 10));
+
+export function addDays(iso, n) {
+  return fromUTC(new Date(toUTC(iso).getTime() + n * DAY_MS));
+}
+
+// Whole days from `from` to `to` (negative when `to` is earlier)
+export function daysBetween(from, to) {
+  return Math.round((toUTC(to) - toUTC(from)) / DAY_MS);
+}
+
+// Clamps to the last day of the target month (Jan 31 + 1 month -> Feb 28/29)
+export function addMonths(iso, n) {
+  const d = toUTC(iso);
+  const day = d.getUTCDate();
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() + n);
+  const last = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  d.setUTCDate(Math.min(day, last));
+  return fromUTC(d);
+}
+
+export function startOfWeek(iso) {
+  return addDays(iso, -dayOfWeek(iso)); // 0=Sun
+}
+
+export function startOfMonth(iso) {
+  return iso.slice(0, 8) + "01";
+}
+
+export function endOfMonth(iso) {
+  const d = toUTC(iso);
+  return fromUTC(new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)));
+}
+
+// Inclusive list of ISO dates from `from` to `to`
+export function eachDay(from, to) {
+  const days = [];
+  for (let iso = from; iso <= to; iso = addDays(iso, 1)) days.push(iso);
+  return days;
+}
+
+// ---- time zones
+
+export const localTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// IANA zones for pickers; older browsers without supportedValuesOf get a short list
+export const TIME_ZONES =
+  typeof Intl.supportedValuesOf === "function"
+    ? Intl.supportedValuesOf("timeZone")
+    : [
+        "UTC",
+        "America/Los_Angeles",
+        "America/Denver",
+        "America/Chicago",
+        "America/New_York",
+        "America/Sao_Paulo",
+        "Europe/London",
+        "Europe/Berlin",
+        "Africa/Johannesburg",
+        "Asia/Dubai",
+        "Asia/Kolkata",
+        "Asia/Singapore",
+        "Asia/Tokyo",
+        "Australia/Sydney",
+        "Pacific/Auckland",
+      ];
+
+// Calendar date of the instant `date` as seen in `timeZone` (the browser's zone when unset or unknown)
+export function isoDateIn(date, timeZone) {
+  const zone = timeZone && isValidTimeZone(timeZone) ? timeZone : undefined;
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: zone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).formatToParts(date);
+  const get = (type) => parts.find((p) => p.type === type).value;
+  return `${get("year")}-${get("month")}-${get("day")}`;
+}
+
+export const todayIn = (timeZone) => isoDateIn(new Date(), timeZone);
@@ -0,0 +1,70 @@
+import { beforeAll, describe, expect, it } from "vitest";
+import { addDays, addMonths, daysBetween, eachDay, endOfMonth, isoDateIn, parseISODate, toISODate } from "./dates.js";
+
+// A zone with DST, so the local-time helpers have a transition to trip over
+beforeAll(() => {
+  process.env.TZ = "America/New_York";
+});
+
+describe("addDays / daysBetween across DST", () => {
+  it("steps over the spring-forward night one calendar day at a time", () => {
+    expect(addDays("2026-03-07", 1)).toBe("2026-03-08");
+    expect(addDays("2026-03-08", 1)).toBe("2026-03-09");
+    expect(eachDay("2026-03-07", "2026-03-10")).toEqual(["2026-03-07", "2026-03-08", "2026-03-09", "2026-03-10"]);
+  });
+
+  it("steps over the fall-back night one calendar day at a time", () => {
+    expect(addDays("2026-10-31", 1)).toBe("2026-11-01");
+    expect(addDays("2026-11-01", 1)).toBe("2026-11-02");
+    expect(addDays("2026-11-02", -2)).toBe("2026-10-31");
+  });
+
+  it("counts whole days across both transitions", () => {
+    expect(daysBetween("2026-03-01", "2026-03-15")).toBe(14);
+    expect(daysBetween("2026-10-25", "2026-11-08")).toBe(14);
+    expect(daysBetween("2026-01-01", "2027-01-01")).toBe(365);
+  });
+
+  it("round-trips local dates on transition days", () => {
+    expect(toISODate(parseISODate("2026-03-08"))).toBe("2026-03-08");
+    expect(toISODate(parseISODate("2026-11-01"))).toBe("2026-11-01");
+  });
+});
+
+describe("month boundaries", () => {
+  it("clamps addMonths from the 31st to the end of a shorter month", () => {
+    expect(addMonths("2026-01-31", 1)).toBe("2026-02-28");
+    expect(addMonths("2028-01-31", 1)).toBe("2028-02-29");
+    expect(addMonths("2026-03-31", 1)).toBe("2026-04-30");
+    expect(addMonths("2026-05-31", -3)).toBe("2026-02-28");
+    expect(addMonths("2026-12-31", 2)).toBe("2027-02-28");
+  });
+
+  it("finds the end of February in leap and common years", () => {
+    expect(endOfMonth("2024-02-10")).toBe("2024-02-29");
+    expect(endOfMonth("2026-02-01")).toBe("2026-02-28");
+    expect(endOfMonth("2000-02-15")).toBe("2000-02-29");
+    expect(endOfMonth("1900-02-15")).toBe("1900-02-28");
+    expect(endOfMonth("2026-12-31")).toBe("2026-12-31");
+  });
+});
+
+describe("isoDateIn", () => {
+  it("reads the same instant as different dates in different zones", () => {
+    const instant = new Date("2026-10-19T02:30:00Z");
+    expect(isoDateIn(instant, "UTC")).toBe("2026-10-19");
+    expect(isoDateIn(instant, "America/Los_Angeles")).toBe("2026-10-18");
+    expect(isoDateIn(instant, "Asia/Tokyo")).toBe("2026-10-19");
+  });
+
+  it("crosses the date line and the new year", () => {
+    const instant = new Date("2026-12-31T11:00:00Z");
+    expect(isoDateIn(instant, "Pacific/Auckland")).toBe("2027-01-01");
+    expect(isoDateIn(instant, "Pacific/Honolulu")).toBe("2026-12-31");
+  });
+
+  it("falls back to the local zone for an unknown zone", () => {
+    const instant = new Date("2026-07-01T03:00:00Z");
+    expect(isoDateIn(instant, "Not/AZone")).toBe("2026-06-30");
+  });
+});
@@ -0,0 +1,11 @@
+// Trigger a browser download for generated text content
+export function downloadFile(filename, text, mime = "text/plain") {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
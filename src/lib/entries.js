@@ -0,0 +1,115 @@
+// Names of the built-in types; the editable catalog lives in types.js
+export const OOO_TYPES = ["Vacation", "Sick Leave", "Public Holiday", "Training", "Other"];
+
+// Stable identity of the person an entry belongs to (falls back to the name until linked)
+export const personKey = (e) => e.personId || e.name;
+
+// Two entries describe the same absence when person, dates and type all match.
+// Both sides need a personId to compare by identity; otherwise names are compared.
+export const sameEntry = (a, b) =>
+  (a.personId && b.personId ? a.personId === b.personId : a.name === b.name) &&
+  a.start === b.start &&
+  a.end === b.end &&
+  a.type === b.type;
+
+// Append `incoming` entries that aren't already present (same id or same absence);
+// returns the merged list and how many were actually added.
+export function mergeEntries(prev, incoming) {
+  const merged = [...prev];
+  let added = 0;
+  for (const n of incoming) {
+    if (!merged.some((m) => m.id === n.id || sameEntry(m, n))) {
+      merged.push(n);
+      added++;
+    }
+  }
+  return { merged, added };
+}
+
+// Map free text ("PTO", "sick", "Training, Offsite") onto one of `types` (names).
+// Exact comma-separated matches win, then keyword hints from `value` and `hint`; a hint
+// pointing at a type the catalog doesn't have falls back to "Other" or the first type.
+export function normalizeType(value = "", hint = "", types = OOO_TYPES) {
+  for (const c of (value || "").split(",")) {
+    const hit = types.find((t) => t.toLowerCase() === c.trim().toLowerCase());
+    if (hit) return hit;
+  }
+  const text = `${value || ""} ${hint}`.toLowerCase();
+  let guess = "Other";
+  if (/\bsick|\bill\b|medical/.test(text)) guess = "Sick Leave";
+  else if (/holiday/.test(text)) guess = "Public Holiday";
+  else if (/training|course|conference|workshop/.test(text)) guess = "Training";
+  else if (/vacation|\bpto\b|leave|out of office|\booo\b/.test(text)) guess = "Vacation";
+  if (types.includes(guess)) return guess;
+  return types.includes("Other") ? "Other" : types[0];
+}
+
+// ---- approval workflow
+
+export const STATUSES = ["pending", "approved", "rejected", "cancelled"];
+
+// Entries that predate the approval workflow (seed, bundled/ICS/CSV imports) are confirmed absences
+export const entryStatus = (e) => e.status || "approved";
+
+// Pending and approved absences occupy the calendar; rejected and cancelled ones don't
+export const isActive = (e) => {
+  const s = entryStatus(e);
+  return s === "pending" || s === "approved";
+};
+
+const TRANSITIONS = {
+  pending: ["approved", "rejected", "cancelled"],
+  approved: ["cancelled"],
+  rejected: [],
+  cancelled: [],
+};
+
+export const canTransition = (e, to) => TRANSITIONS[entryStatus(e)].includes(to);
+
+// Returns the updated entry, or throws if the lifecycle doesn't allow the move
+export function transitionEntry(e, to, { approver = "", comment = "" } = {}) {
+  if (!canTransition(e, to)) {
+    throw new Error(`Cannot move a ${entryStatus(e)} request to ${to}.`);
+  }
+  const at = new Date().toISOString();
+  if (to === "cancelled") return { ...e, status: to, cancelledAt: at };
+  return { ...e, status: to, approver, decisionComment: comment, decidedAt: at };
+}
+
+// ---- partial days
+
+export const HOURS_PER_DAY = 8;
+
+export const DAY_PARTS = [
+  { id: "full", label: "Full day" },
+  { id: "am", label: "Morning (AM)" },
+  { id: "pm", label: "Afternoon (PM)" },
+  { id: "hours", label: "Hours" },
+];
+
+// Fraction of each day in the range the person is away (entries without dayPart are full days)
+export function dayAmount(e) {
+  if (e.dayPart === "am" || e.dayPart === "pm") return 0.5;
+  if (e.dayPart === "hours") return Math.min(Math.max(Number(e.hours) || 0, 0), HOURS_PER_DAY) / HOURS_PER_DAY;
+  return 1;
+}
+
+export function dayPartLabel(e) {
+  if (e.dayPart === "am") return "AM";
+  if (e.dayPart === "pm") return "PM";
+  if (e.dayPart === "hours") return `${Number(e.hours) || 0}h`;
+  return "";
+}
+
+export function formatDays(n, unit = "day") {
+  const v = Math.round(n * 100) / 100;
+  return `${v} ${unit}${v === 1 ? "" : "s"}`;
+}
+
+// Hours must be a positive number below a full working day
+export function validateDayPart({ dayPart, hours }) {
+  if (dayPart !== "hours") return null;
+  const h = Number(hours);
+  if (!(h > 0 && h < HOURS_PER_DAY)) return `Hours must be between 0 and ${HOURS_PER_DAY}.`;
+  return null;
+}
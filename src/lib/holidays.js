@@ -0,0 +1,98 @@
+// Regional public-holiday calendars and working-day date math.
+// A working day is a weekday that isn't a holiday in the person's region
+// (or one of their own "Public Holiday" entries).
+import usHolidays from "../data/holidays_us.json";
+import { dayOfWeek, eachDay } from "./dates.js";
+import { dayAmount, isActive, personKey } from "./entries.js";
+import { occurrences, seriesEnd } from "./recurrence.js";
+
+// { regions: { [id]: { name, holidays: [{ date, name }] } }, defaultRegion }.
+// Each person's region lives on their directory record.
+export const DEFAULT_HOLIDAY_CONFIG = {
+  regions: { [usHolidays.region]: { name: usHolidays.name, holidays: usHolidays.holidays } },
+  defaultRegion: usHolidays.region,
+};
+
+export function regionOf(config, person) {
+  const id = person?.region || config.defaultRegion;
+  return config.regions[id] ? id : null;
+}
+
+// ISO date -> holiday name for one region
+export function regionHolidays(config, regionId) {
+  const map = new Map();
+  for (const h of config.regions[regionId]?.holidays || []) map.set(h.date, h.name);
+  return map;
+}
+
+// ISO date -> ["Thanksgiving Day (US)", ...] across every region, for shading the calendar
+export function allHolidayLabels(config) {
+  const map = new Map();
+  for (const [id, region] of Object.entries(config.regions)) {
+    for (const h of region.holidays) {
+      if (!map.has(h.date)) map.set(h.date, []);
+      map.get(h.date).push(`${h.name} (${id})`);
+    }
+  }
+  return map;
+}
+
+export function isWeekend(iso) {
+  const day = dayOfWeek(iso);
+  return day === 0 || day === 6;
+}
+
+// Non-working dates for a person: their region's holidays plus their own Public Holiday entries
+export function offDaysFor(config, entries, key, person) {
+  const days = new Set(regionHolidays(config, regionOf(config, person)).keys());
+  for (const e of entries) {
+    if (personKey(e) !== key || e.type !== "Public Holiday" || !isActive(e)) continue;
+    for (const o of occurrences(e)) for (const iso of eachDay(o.start, o.end)) days.add(iso);
+  }
+  return days;
+}
+
+export function isWorkingDay(iso, offDays) {
+  return !isWeekend(iso) && !offDays.has(iso);
+}
+
+// Working days of `e` inside [from, to], weighted for partial days; a recurring
+// entry counts every occurrence in the window
+export function workingDays(e, offDays, from = e.start, to = seriesEnd(e)) {
+  let count = 0;
+  for (const o of occurrences(e, from, to)) {
+    const start = o.start > from ? o.start : from;
+    const end = o.end < to ? o.end : to;
+    count += eachDay(start, end).filter((iso) => isWorkingDay(iso, offDays)).length;
+  }
+  return count * dayAmount(e);
+}
+
+// Cached per-person lookup keyed by personKey: offDays(key) -> Set, isOff(key, iso) -> boolean.
+// `peopleById` supplies each person's region.
+export function workingCalendar(config, entries, peopleById = new Map()) {
+  const cache = new Map();
+  const offDays = (key) => {
+    if (!cache.has(key)) cache.set(key, offDaysFor(config, entries, key, peopleById.get(key)));
+    return cache.get(key);
+  };
+  return {
+    offDays,
+    isOff: (key, iso) => !isWorkingDay(iso, offDays(key)),
+    days: (e, from, to) => workingDays(e, offDays(personKey(e)), from, to),
+  };
+}
+
+// Accepts { region?, name?, holidays: [{ date, name }] } or a bare array of holidays
+export function parseHolidayJSON(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data.holidays;
+  if (!Array.isArray(list)) throw new Error("Expected a list of { date, name } holidays.");
+  const holidays = list.map((h, i) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(h?.date || "")) {
+      throw new Error(`Holiday #${i + 1} needs a "date" in YYYY-MM-DD format.`);
+    }
+    return { date: h.date, name: h.name || "Holiday" };
+  });
+  return { region: Array.isArray(data) ? null : data.region, name: Array.isArray(data) ? null : data.name, holidays };
+}
@@ -0,0 +1,242 @@
+// Minimal iCalendar (RFC 5545) reader/writer for OOO entries.
+// Entries are exported as all-day VEVENTs; DTEND is exclusive per the spec.
+import { addDays, eachDay, toISODate } from "./dates.js";
+import { dayPartLabel, entryStatus, normalizeType } from "./entries.js";
+import { fromRRule, toRRule } from "./recurrence.js";
+
+// Approval status -> VEVENT STATUS; rejected/cancelled requests export as CANCELLED
+const ICS_STATUS = { pending: "TENTATIVE", approved: "CONFIRMED", rejected: "CANCELLED", cancelled: "CANCELLED" };
+
+const PRODID = "-//Team OOO Tracker//OOO Calendar//EN";
+
+// ---------------- parsing
+
+// Undo line folding: a CRLF followed by a space or tab continues the previous line
+function unfold(text) {
+  return text.replace(/\r\n/g, "\n").replace(/\n[ \t]/g, "").split("\n");
+}
+
+function unescapeText(v) {
+  return v.replace(/\\([\\;,nN])/g, (_, c) => (c === "n" || c === "N" ? "\n" : c));
+}
+
+// "DTSTART;VALUE=DATE:20251001" -> { name: "DTSTART", params: { VALUE: "DATE" }, value: "20251001" }
+function parseLine(line) {
+  let colon = -1;
+  let quoted = false;
+  for (let i = 0; i < line.length && colon < 0; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ":" && !quoted) colon = i;
+  }
+  if (colon < 0) return null;
+  const [name, ...rawParams] = line.slice(0, colon).split(";");
+  const params = {};
+  for (const p of rawParams) {
+    const eq = p.indexOf("=");
+    if (eq > 0) params[p.slice(0, eq).toUpperCase()] = p.slice(eq + 1).replace(/^"|"$/g, "");
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+// Returns { iso, midnight } for DATE or DATE-TIME values; times are converted to local dates
+function parseDateValue(prop) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(prop.value.trim());
+  if (!m) return null;
+  const [, y, mo, d, hh, mm, ss, z] = m;
+  if (hh === undefined) return { iso: `${y}-${mo}-${d}`, midnight: true };
+  const date = z
+    ? new Date(Date.UTC(+y, +mo - 1, +d, +hh, +mm, +ss))
+    : new Date(+y, +mo - 1, +d, +hh, +mm, +ss);
+  const midnight = date.getHours() === 0 && date.getMinutes() === 0 && date.getSeconds() === 0;
+  return { iso: toISODate(date), midnight };
+}
+
+// Name preference: our own X- property, then the organizer's CN, then the summary
+// with any trailing "(Type)" or " - OOO" decoration stripped.
+function guessName(props) {
+  if (props["X-OOO-NAME"]) return unescapeText(props["X-OOO-NAME"].value);
+  const organizer = props.ORGANIZER;
+  if (organizer?.params.CN) return organizer.params.CN;
+  const summary = props.SUMMARY ? unescapeText(props.SUMMARY.value) : "";
+  return summary
+    .replace(/\s*\([^)]*\)\s*$/, "")
+    .replace(/\s*[-–—:]\s*(ooo|out of office|pto|vacation)\s*$/i, "")
+    .trim();
+}
+
+// Property maps ({ NAME: { params, value } }) for each VEVENT in the document
+function readVEvents(text) {
+  const events = [];
+  let props = null;
+
+  for (const raw of unfold(text)) {
+    const line = raw.trimEnd();
+    if (line === "BEGIN:VEVENT") {
+      props = {};
+      continue;
+    }
+    if (line === "END:VEVENT") {
+      if (props) events.push(props);
+      props = null;
+      continue;
+    }
+    if (!props) continue;
+    const prop = parseLine(line);
+    // EXDATE may be repeated; gather every value into one comma-separated list
+    if (prop?.name === "EXDATE" && props.EXDATE) props.EXDATE.value += `,${prop.value}`;
+    // Keep the first occurrence of each property; nested VALARMs don't override
+    else if (prop && !(prop.name in props)) props[prop.name] = prop;
+  }
+
+  return events;
+}
+
+// Inclusive [start, end] ISO dates of an event, or null without a readable DTSTART
+function eventRange(props) {
+  const start = props.DTSTART && parseDateValue(props.DTSTART);
+  if (!start) return null;
+
+  let end = start.iso;
+  const dtend = props.DTEND && parseDateValue(props.DTEND);
+  if (dtend) {
+    // Exclusive end: all-day DTEND and timed events ending at midnight stop the day before
+    end = dtend.midnight ? addDays(dtend.iso, -1) : dtend.iso;
+    if (end < start.iso) end = start.iso;
+  }
+  return { start: start.iso, end };
+}
+
+// Parse an .ics document into { entries, skipped } using the app's entry shape.
+// `types` are the catalog's type names that event types are matched against.
+export function parseICS(text, types) {
+  const entries = [];
+  let skipped = 0;
+  for (const props of readVEvents(text)) {
+    const entry = veventToEntry(props, types);
+    if (entry) entries.push(entry);
+    else skipped++;
+  }
+  return { entries, skipped };
+}
+
+// Holiday calendars (e.g. a public "Holidays in …" feed) -> [{ date, name }], one per day
+export function parseHolidaysICS(text) {
+  const holidays = [];
+  for (const props of readVEvents(text)) {
+    const range = eventRange(props);
+    if (!range) continue;
+    const name = props.SUMMARY ? unescapeText(props.SUMMARY.value) : "Holiday";
+    for (const date of eachDay(range.start, range.end)) holidays.push({ date, name });
+  }
+  return holidays;
+}
+
+function veventToEntry(props, types) {
+  if (props.STATUS?.value.toUpperCase() === "CANCELLED") return null;
+  const range = eventRange(props);
+  if (!range) return null;
+
+  const name = guessName(props);
+  if (!name) return null;
+
+  const summary = props.SUMMARY ? unescapeText(props.SUMMARY.value) : "";
+  const type = props["X-OOO-TYPE"]
+    ? normalizeType(unescapeText(props["X-OOO-TYPE"].value), "", types)
+    : normalizeType(props.CATEGORIES && unescapeText(props.CATEGORIES.value), summary, types);
+
+  const dayPart = props["X-OOO-DAYPART"]?.value.toLowerCase();
+  const exdates = (props.EXDATE?.value.split(",") || [])
+    .map((v) => parseDateValue({ value: v })?.iso)
+    .filter(Boolean);
+  // Rules this app can't repeat (e.g. yearly) import as their first occurrence only
+  const recurrence = props.RRULE && fromRRule(props.RRULE.value, exdates);
+  return {
+    id: crypto.randomUUID(),
+    name,
+    start: range.start,
+    end: range.end,
+    type,
+    ...((dayPart === "am" || dayPart === "pm") && { dayPart }),
+    ...(dayPart === "hours" && { dayPart, hours: Number(props["X-OOO-HOURS"]?.value) || 0 }),
+    notes: props.DESCRIPTION ? unescapeText(props.DESCRIPTION.value) : "",
+    ...(recurrence && { recurrence }),
+  };
+}
+
+// ---------------- writing
+
+function escapeText(v) {
+  return String(v)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Fold to 75 octets per line; continuation lines start with a single space
+function fold(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const out = [];
+  let current = "";
+  let size = 0;
+  for (const ch of line) {
+    const n = new TextEncoder().encode(ch).length;
+    if (size + n > (out.length ? 74 : 75)) {
+      out.push(current);
+      current = "";
+      size = 0;
+    }
+    current += ch;
+    size += n;
+  }
+  out.push(current);
+  return out.join("\r\n ");
+}
+
+const icsDate = (iso) => iso.replace(/-/g, "");
+
+function utcStamp(d = new Date()) {
+  return d.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+export function toICS(entries, calName = "Team OOO") {
+  const stamp = utcStamp();
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(calName)}`,
+  ];
+
+  for (const e of entries) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${e.id}@ooo-calendar`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(e.start)}`,
+      `DTEND;VALUE=DATE:${icsDate(addDays(e.end, 1))}`,
+      `SUMMARY:${escapeText(`${e.name} (${[e.type, dayPartLabel(e)].filter(Boolean).join(", ")})`)}`,
+      `CATEGORIES:${escapeText(e.type)}`,
+      `X-OOO-NAME:${escapeText(e.name)}`,
+      `X-OOO-TYPE:${escapeText(e.type)}`,
+      `STATUS:${ICS_STATUS[entryStatus(e)]}`,
+      "TRANSP:TRANSPARENT",
+      "X-MICROSOFT-CDO-BUSYSTATUS:OOF"
+    );
+    // Partial days ride along as X- properties; other clients still see an all-day event
+    if (e.dayPart && e.dayPart !== "full") lines.push(`X-OOO-DAYPART:${e.dayPart}`);
+    if (e.dayPart === "hours") lines.push(`X-OOO-HOURS:${e.hours}`);
+    if (e.recurrence) {
+      lines.push(`RRULE:${toRRule(e)}`);
+      for (const iso of e.recurrence.exceptions || []) lines.push(`EXDATE;VALUE=DATE:${icsDate(iso)}`);
+    }
+    if (e.notes) lines.push(`DESCRIPTION:${escapeText(e.notes)}`);
+    lines.push("END:VEVENT");
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,103 @@
+// Versioned upgrades for data saved by older versions of the app.
+// Everything in localStorage is migrated together as one snapshot:
+//   { entries, people, policies, holidays, teams } (null where nothing was saved).
+// Steps must tolerate data that is already partly upgraded: stores written before
+// versioning existed have no version number and start from 0.
+import { findPersonByName, linkEntries, makePerson } from "./people.js";
+
+export const SCHEMA_VERSION = 2;
+const VERSION_KEY = "ooo_schema_version";
+const STORAGE_KEYS = {
+  entries: "ooo_entries",
+  people: "ooo_people",
+  policies: "ooo_policies",
+  holidays: "ooo_holidays",
+  teams: "ooo_teams",
+};
+
+// v1: coverage items and checklist tasks get ids derived from their position,
+// so the same stored data always produces the same ids
+function stableCoverageIds(entry) {
+  if (!Array.isArray(entry.coverage)) return entry;
+  const coverage = entry.coverage.map((c, i) => {
+    const item = typeof c === "string" ? { title: c, link: "", notes: "", tasks: [] } : c;
+    const id = item.id || `${entry.id}-cov-${i + 1}`;
+    const tasks = (item.tasks || []).map((t, j) => (t.id ? t : { ...t, id: `${id}-task-${j + 1}` }));
+    return { ...item, id, tasks };
+  });
+  return { ...entry, coverage };
+}
+
+// v2: regions, team membership and allowance overrides were keyed by free-text name.
+// Move them onto people in the directory and point every entry at a person.
+function peopleDirectory(data) {
+  const people = [...(data.people || [])];
+  const personFor = (name) => {
+    let p = findPersonByName(people, name);
+    if (!p) {
+      p = makePerson(name.trim(), people);
+      people.push(p);
+    }
+    return p;
+  };
+
+  const { people: regionByName = {}, ...holidays } = data.holidays || {};
+  for (const [name, region] of Object.entries(regionByName)) personFor(name).region = region;
+
+  const teams = data.teams?.map(({ members = [], ...team }) => {
+    for (const name of members) personFor(name).team = team.id;
+    return team;
+  });
+
+  let policies = data.policies;
+  if (policies?.people) {
+    const overrides = Object.entries(policies.people).map(([key, value]) => [
+      people.some((p) => p.id === key) ? key : personFor(key).id,
+      value,
+    ]);
+    policies = { ...policies, people: Object.fromEntries(overrides) };
+  }
+
+  const linked = data.entries ? linkEntries(people, data.entries) : { people, entries: null };
+  return {
+    entries: linked.entries,
+    people: linked.people,
+    policies,
+    holidays: data.holidays ? holidays : null,
+    teams: teams || null,
+  };
+}
+
+const MIGRATIONS = [
+  { version: 1, entries: true, up: (data) => ({ ...data, entries: data.entries?.map(stableCoverageIds) || null }) },
+  { version: 2, up: peopleDirectory },
+];
+
+export function migrate(data, fromVersion) {
+  return MIGRATIONS.filter((m) => m.version > fromVersion).reduce((d, m) => m.up(d), data);
+}
+
+// Entries from somewhere other than this browser (e.g. the team server) only get the
+// entry-level steps; people are linked by the app as they're loaded.
+export function migrateEntries(entries) {
+  return MIGRATIONS.filter((m) => m.entries).reduce((d, m) => m.up(d), { entries }).entries;
+}
+
+// Run once at startup, before anything reads localStorage
+export function migrateLocalStorage() {
+  const from = Number(localStorage.getItem(VERSION_KEY)) || 0;
+  if (from >= SCHEMA_VERSION) return;
+  const data = {};
+  for (const [field, key] of Object.entries(STORAGE_KEYS)) {
+    try {
+      data[field] = JSON.parse(localStorage.getItem(key));
+    } catch {
+      data[field] = null;
+    }
+  }
+  const next = migrate(data, from);
+  for (const [field, key] of Object.entries(STORAGE_KEYS)) {
+    if (next[field] != null) localStorage.setItem(key, JSON.stringify(next[field]));
+  }
+  localStorage.setItem(VERSION_KEY, String(SCHEMA_VERSION));
+}
@@ -0,0 +1,64 @@
+// Delivery channels for reminders. Every channel has the same shape:
+//   { id, name, send(reminder) -> Promise, rejecting with a readable message on failure }
+// The webhook body carries a ready-made email ({ to, subject, text }) so a relay can mail it
+// as is; server/notify-stub.js just records what it receives.
+
+export function browserChannel() {
+  return {
+    id: "browser",
+    name: "Browser notification",
+    async send(reminder) {
+      if (typeof Notification === "undefined") throw new Error("This browser doesn't support notifications.");
+      if (Notification.permission !== "granted") throw new Error("Notifications aren't allowed for this site.");
+      new Notification(reminder.title, { body: reminder.body, tag: reminder.key });
+    },
+  };
+}
+
+export function webhookChannel(url) {
+  return {
+    id: "webhook",
+    name: `Webhook (${url})`,
+    async send(reminder) {
+      let res;
+      try {
+        res = await fetch(url, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            event: reminder.kind,
+            key: reminder.key,
+            date: reminder.date,
+            entryId: reminder.entryId || null,
+            title: reminder.title,
+            text: reminder.body,
+            email: { to: reminder.to, subject: reminder.title, text: reminder.body },
+          }),
+        });
+      } catch {
+        throw new Error(`Can't reach the webhook at ${url}.`);
+      }
+      if (!res.ok) throw new Error(`Webhook answered ${res.status}.`);
+    },
+  };
+}
+
+// Channels switched on in the reminder settings
+export function channelsFor(settings) {
+  const channels = [];
+  if (settings.channels.browser) channels.push(browserChannel());
+  if (settings.channels.webhook && settings.webhookUrl) channels.push(webhookChannel(settings.webhookUrl));
+  return channels;
+}
+
+// Sends through every channel; resolves to [{ channel, error }] (error null when it went out)
+export function deliver(reminder, channels) {
+  return Promise.all(
+    channels.map((c) =>
+      c.send(reminder).then(
+        () => ({ channel: c.id, error: null }),
+        (err) => ({ channel: c.id, error: err.message })
+      )
+    )
+  );
+}
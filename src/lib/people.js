@@ -0,0 +1,151 @@
+// People directory. Entries reference a person by `personId`; `name` on the entry is kept
+// as a denormalized display name for lists and exports.
+
+// { id, displayName, email, userId, admin, team, managerId, region, color, aliases: [] }
+// `userId` is the sign-in subject (auth.js) of whoever this is, once they've signed in.
+export const PERSON_COLORS = [
+  "#6366f1",
+  "#ec4899",
+  "#f59e0b",
+  "#10b981",
+  "#0ea5e9",
+  "#8b5cf6",
+  "#ef4444",
+  "#14b8a6",
+  "#84cc16",
+  "#f97316",
+];
+
+const slug = (s) =>
+  s
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+
+// Ids come from the email, or else the name, so browsers adding the same person separately
+// agree on who it is; a clash with someone else in `people` gets a numbered suffix.
+export function makePerson(displayName, people = [], extra = {}) {
+  const base = `person-${slug(extra.email || displayName) || "unnamed"}`;
+  const taken = new Set(people.map((p) => p.id));
+  let id = base;
+  for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+  return {
+    id,
+    displayName,
+    email: "",
+    userId: null,
+    admin: false,
+    team: null,
+    managerId: null,
+    region: null,
+    timeZone: null, // IANA zone; null means the viewer's own
+    color: PERSON_COLORS[people.length % PERSON_COLORS.length],
+    aliases: [],
+    ...extra,
+  };
+}
+
+// Match on display name or any alias, ignoring case and surrounding whitespace
+export function findPersonByName(people, name) {
+  const n = (name || "").trim().toLowerCase();
+  if (!n) return null;
+  return (
+    people.find(
+      (p) => p.displayName.toLowerCase() === n || (p.aliases || []).some((a) => a.toLowerCase() === n)
+    ) || null
+  );
+}
+
+// Give every entry a personId, creating people for names nobody matches yet.
+// Entry names are normalized to the person's display name.
+export function linkEntries(people, entries) {
+  const nextPeople = [...people];
+  const byId = new Map(people.map((p) => [p.id, p]));
+  let changed = false;
+
+  const nextEntries = entries.map((e) => {
+    let person = e.personId && byId.get(e.personId);
+    if (!person) {
+      person = findPersonByName(nextPeople, e.name);
+      if (!person) {
+        person = makePerson((e.name || "").trim() || "Unknown", nextPeople);
+        nextPeople.push(person);
+        byId.set(person.id, person);
+      }
+    }
+    if (e.personId === person.id && e.name === person.displayName) return e;
+    changed = true;
+    return { ...e, personId: person.id, name: person.displayName };
+  });
+
+  return { people: nextPeople, entries: changed ? nextEntries : entries, changed };
+}
+
+// Everyone reporting to `managerId`, directly or through other managers
+export function reportsOf(people, managerId) {
+  const result = new Set();
+  const queue = [managerId];
+  while (queue.length) {
+    const m = queue.shift();
+    for (const p of people) {
+      if (p.managerId === m && !result.has(p.id)) {
+        result.add(p.id);
+        queue.push(p.id);
+      }
+    }
+  }
+  return result;
+}
+
+// The directory entry for a signed-in user (see auth.js): by sign-in subject, then by email.
+// Names aren't proof of who someone is; `byName` is only for the dev login, where anyone can
+// be anyone anyway.
+export function personForUser(people, user, { byName = false } = {}) {
+  if (!user) return null;
+  const email = (user.email || "").toLowerCase();
+  return (
+    people.find((p) => p.userId && p.userId === user.id) ||
+    (email && people.find((p) => (p.email || "").toLowerCase() === email)) ||
+    (byName ? findPersonByName(people, user.name) : null)
+  );
+}
+
+// Only the person themselves, or anyone they report to, may change their entries
+export const canManage = (people, actorId, ownerId) =>
+  Boolean(actorId) && (actorId === ownerId || reportsOf(people, actorId).has(ownerId));
+
+// Reporting lines and teams decide who may act for whom, so only admins or the person's own
+// managers change them; email, sign-in subject and admin rights (how a sign-in becomes a
+// person) are for admins only. `actor` is the signed-in person with `admin` resolved.
+const ADMIN_FIELDS = ["email", "userId", "admin"];
+const MANAGER_FIELDS = ["team", "managerId"];
+
+export function mayEditField(people, actor, person, field) {
+  if (actor?.admin) return true;
+  if (ADMIN_FIELDS.includes(field)) return false;
+  if (MANAGER_FIELDS.includes(field)) {
+    return Boolean(actor) && actor.id !== person.id && canManage(people, actor.id, person.id);
+  }
+  return true;
+}
+
+// Whether going from directory `before` to `after` only touches what `actor` may edit.
+// Removing people is for admins.
+export function directoryChangeAllowed(before, after, actor) {
+  const old = new Map(before.map((p) => [p.id, p]));
+  for (const p of after) {
+    const was = old.get(p.id);
+    old.delete(p.id);
+    const changed = [...ADMIN_FIELDS, ...MANAGER_FIELDS].filter((f) => (was?.[f] || null) !== (p[f] || null));
+    if (changed.some((f) => !mayEditField(before, actor, was || p, f))) return false;
+  }
+  return old.size === 0 || Boolean(actor?.admin);
+}
+
+// Would making `managerId` the manager of `personId` create a reporting loop?
+export function createsCycle(people, personId, managerId) {
+  if (!managerId) return false;
+  return managerId === personId || reportsOf(people, personId).has(managerId);
+}
+
+export const byDisplayName = (a, b) => a.displayName.localeCompare(b.displayName);
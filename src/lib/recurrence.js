@@ -0,0 +1,183 @@
+// Recurring absences, modelled on iCalendar RRULE. An entry's own start/end is its first
+// occurrence and `recurrence` repeats it:
+//   { freq: "weekly" | "monthly", interval, monthlyBy?: "date" | "weekday", until?, count?, exceptions: [] }
+// `exceptions` are occurrence start dates to skip (EXDATE). As in RFC 5545, COUNT is
+// applied before exceptions are removed.
+import { addDays, addMonths, dayOfMonth, dayOfWeek, daysBetween, endOfMonth, makeISODate } from "./dates.js";
+
+export const REPEAT_OPTIONS = [
+  { id: "none", label: "Does not repeat", rule: null },
+  { id: "weekly", label: "Every week", rule: { freq: "weekly", interval: 1 } },
+  { id: "biweekly", label: "Every 2 weeks", rule: { freq: "weekly", interval: 2 } },
+  { id: "monthly", label: "Every month (same date)", rule: { freq: "monthly", interval: 1, monthlyBy: "date" } },
+  {
+    id: "monthlyWeekday",
+    label: "Every month (same weekday)",
+    rule: { freq: "monthly", interval: 1, monthlyBy: "weekday" },
+  },
+];
+
+// Open-ended series are cut off here so nothing loops forever
+const MAX_OCCURRENCES = 520;
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+export function repeatOptionOf(rec) {
+  if (!rec) return "none";
+  const hit = REPEAT_OPTIONS.find(
+    (o) =>
+      o.rule &&
+      o.rule.freq === rec.freq &&
+      o.rule.interval === (rec.interval || 1) &&
+      (rec.freq !== "monthly" || o.rule.monthlyBy === (rec.monthlyBy || "date"))
+  );
+  return hit ? hit.id : "none";
+}
+
+// Which weekday-of-month `iso` is: { n: 1..4, or -1 for a 5th (= last) one, weekday }
+function weekdayPosition(iso) {
+  const n = Math.ceil(dayOfMonth(iso) / 7);
+  return { n: n === 5 ? -1 : n, weekday: dayOfWeek(iso) };
+}
+
+// The nth (or last, n = -1) given weekday of the month containing `monthIso`
+function nthWeekday(monthIso, n, weekday) {
+  if (n > 0) {
+    const first = monthIso.slice(0, 8) + "01";
+    const iso = addDays(first, ((weekday - dayOfWeek(first) + 7) % 7) + (n - 1) * 7);
+    return iso.slice(0, 7) === first.slice(0, 7) ? iso : null;
+  }
+  const last = endOfMonth(monthIso);
+  return addDays(last, -((dayOfWeek(last) - weekday + 7) % 7));
+}
+
+// Candidate start dates of the series in order, before exceptions are removed
+function* seriesStarts(entry) {
+  const rec = entry.recurrence;
+  if (!rec) {
+    yield entry.start;
+    return;
+  }
+  const interval = Math.max(1, rec.interval || 1);
+  const limit = Math.min(rec.count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const day = dayOfMonth(entry.start);
+  const position = weekdayPosition(entry.start);
+  let produced = 0;
+  for (let k = 0; produced < limit && k < MAX_OCCURRENCES * 2; k++) {
+    let start;
+    if (rec.freq === "weekly") {
+      start = addDays(entry.start, 7 * interval * k);
+    } else {
+      const month = addMonths(entry.start.slice(0, 8) + "01", interval * k);
+      if (rec.monthlyBy === "weekday") {
+        start = nthWeekday(month, position.n, position.weekday);
+      } else {
+        // Like RRULE, months without that date (the 31st, Feb 30th) are skipped
+        start = makeISODate(Number(month.slice(0, 4)), Number(month.slice(5, 7)), day);
+      }
+      if (!start) continue;
+    }
+    if (rec.until && start > rec.until) return;
+    produced++;
+    yield start;
+  }
+}
+
+// Occurrences ({ start, end }) that overlap [from, to]; both bounds are optional
+export function occurrences(entry, from, to) {
+  const length = daysBetween(entry.start, entry.end);
+  const skip = new Set(entry.recurrence?.exceptions || []);
+  const result = [];
+  for (const start of seriesStarts(entry)) {
+    if (to && start > to) break;
+    const end = addDays(start, length);
+    if (skip.has(start) || (from && end < from)) continue;
+    result.push({ start, end });
+  }
+  return result;
+}
+
+// Last day covered by the series (the entry's own end when it doesn't repeat)
+export function seriesEnd(entry) {
+  if (!entry.recurrence) return entry.end;
+  const all = occurrences(entry);
+  return all.length ? all[all.length - 1].end : entry.end;
+}
+
+// Recurring entries become one entry per occurrence inside [from, to]. Each copy keeps
+// the series fields, gets an id of "<series id>@<start>" and a `seriesId` back-reference.
+export function expandEntries(entries, from, to) {
+  return entries.flatMap((e) =>
+    e.recurrence
+      ? occurrences(e, from, to).map((o) => ({ ...e, id: `${e.id}@${o.start}`, seriesId: e.id, ...o }))
+      : [e]
+  );
+}
+
+export function describeRecurrence(rec) {
+  if (!rec) return "";
+  const option = REPEAT_OPTIONS.find((o) => o.id === repeatOptionOf(rec));
+  const unit = rec.freq === "weekly" ? "weeks" : "months";
+  const parts = [option.rule ? option.label : `Every ${rec.interval} ${unit}`];
+  if (rec.until) parts.push(`until ${rec.until}`);
+  if (rec.count) parts.push(`${rec.count} times`);
+  if (rec.exceptions?.length) parts.push(`except ${rec.exceptions.join(", ")}`);
+  return parts.join(", ");
+}
+
+// Same idea as validateDayPart: a message for the form, or null when fine
+export function validateRecurrence(entry) {
+  const rec = entry.recurrence;
+  if (!rec) return null;
+  if (!rec.until && !rec.count) return "Choose an end date or a number of occurrences for the repeat.";
+  if (rec.until && rec.until < entry.start) return "The repeat can't end before the first occurrence.";
+  if (rec.count && !(Number.isInteger(rec.count) && rec.count >= 1 && rec.count <= MAX_OCCURRENCES)) {
+    return `Number of occurrences must be between 1 and ${MAX_OCCURRENCES}.`;
+  }
+  const length = daysBetween(entry.start, entry.end) + 1;
+  const shortestGap = rec.freq === "weekly" ? 7 * (rec.interval || 1) : 28 * (rec.interval || 1);
+  if (length > shortestGap) return "Each occurrence has to end before the next one starts.";
+  return null;
+}
+
+// ---- iCalendar RRULE / EXDATE
+
+const icsDate = (iso) => iso.replace(/-/g, "");
+
+export function toRRule(entry) {
+  const rec = entry.recurrence;
+  const parts = [`FREQ=${rec.freq.toUpperCase()}`];
+  if ((rec.interval || 1) > 1) parts.push(`INTERVAL=${rec.interval}`);
+  if (rec.freq === "monthly") {
+    const { n, weekday } = weekdayPosition(entry.start);
+    parts.push(
+      rec.monthlyBy === "weekday"
+        ? `BYDAY=${n}${WEEKDAYS[weekday]}`
+        : `BYMONTHDAY=${dayOfMonth(entry.start)}`
+    );
+  }
+  if (rec.until) parts.push(`UNTIL=${icsDate(rec.until)}`);
+  if (rec.count) parts.push(`COUNT=${rec.count}`);
+  return parts.join(";");
+}
+
+// Only the weekly/monthly shapes this app writes are understood; anything else -> null
+export function fromRRule(rule, exdates = []) {
+  const fields = Object.fromEntries(
+    rule.split(";").map((p) => {
+      const [k, v = ""] = p.split("=");
+      return [k.toUpperCase(), v.toUpperCase()];
+    })
+  );
+  const freq = fields.FREQ?.toLowerCase();
+  if (freq !== "weekly" && freq !== "monthly") return null;
+  if (fields.BYDAY && freq === "weekly" && fields.BYDAY.includes(",")) return null;
+  const until = /^(\d{4})(\d{2})(\d{2})/.exec(fields.UNTIL || "");
+  return {
+    freq,
+    interval: Number(fields.INTERVAL) || 1,
+    ...(freq === "monthly" && { monthlyBy: fields.BYDAY ? "weekday" : "date" }),
+    ...(until && { until: `${until[1]}-${until[2]}-${until[3]}` }),
+    ...(fields.COUNT && { count: Number(fields.COUNT) }),
+    exceptions: exdates,
+  };
+}
@@ -0,0 +1,103 @@
+// Rules that turn the calendar into reminders. Each reminder has a `key` that is unique per
+// rule and occurrence (or day, for the digest), so it is only ever delivered once.
+//   { key, kind, title, body, date, entryId?, to: [email] }
+import { normalizeCoverage } from "./coverage.js";
+import { addDays, daysBetween } from "./dates.js";
+import { entryStatus, formatDays, isActive, personKey } from "./entries.js";
+import { expandEntries } from "./recurrence.js";
+
+export const REMINDER_KINDS = [
+  { id: "beforeStart", label: "Before an absence starts", usesDays: true },
+  { id: "dailyDigest", label: "Daily digest of who’s out" },
+  { id: "openCoverage", label: "Open checklist items before an absence starts", usesDays: true },
+];
+
+export const DEFAULT_REMINDER_SETTINGS = {
+  rules: [
+    { id: "before-start", kind: "beforeStart", days: 3, enabled: true },
+    { id: "daily-digest", kind: "dailyDigest", enabled: true },
+    { id: "open-coverage", kind: "openCoverage", days: 1, enabled: true },
+  ],
+  channels: { browser: false, webhook: false },
+  webhookUrl: "http://localhost:8788/hooks/ooo",
+};
+
+const emailsOf = (people) => [...new Set(people.map((p) => p?.email).filter(Boolean))];
+
+// Who hears about someone's absence: their manager and the rest of their team
+function audienceOf(person, people) {
+  if (!person) return [];
+  return people.filter(
+    (p) => p.id !== person.id && (p.id === person.managerId || (person.team && p.team === person.team))
+  );
+}
+
+function inDays(today, date) {
+  const n = daysBetween(today, date);
+  return n === 0 ? "today" : n === 1 ? "tomorrow" : `in ${n} days`;
+}
+
+// Every reminder the rules call for on `today`; the caller drops the ones already sent.
+// Only approved absences are announced, so pending requests don't cause noise.
+export function dueReminders(rules, entries, people, today) {
+  const peopleById = new Map(people.map((p) => [p.id, p]));
+  const approved = entries.filter((e) => isActive(e) && entryStatus(e) === "approved");
+  const out = [];
+
+  for (const rule of rules) {
+    if (!rule.enabled) continue;
+
+    if (rule.kind === "dailyDigest") {
+      const away = expandEntries(approved, today, today).filter((e) => e.start <= today && today <= e.end);
+      if (away.length === 0) continue;
+      const names = away.map((e) => `${e.name} (${e.type}, back ${addDays(e.end, 1)})`);
+      out.push({
+        key: `${rule.id}:${today}`,
+        kind: rule.kind,
+        title: `Out today: ${away.length === 1 ? away[0].name : `${away.length} people`}`,
+        body: names.join("\n"),
+        date: today,
+        to: emailsOf(people),
+      });
+      continue;
+    }
+
+    // The other rules look at absences starting within the next `days` days
+    const until = addDays(today, Math.max(0, Number(rule.days) || 0));
+    for (const e of expandEntries(approved, today, until)) {
+      if (e.start < today || e.start > until) continue;
+      const person = peopleById.get(personKey(e));
+      const base = { kind: rule.kind, date: e.start, entryId: e.seriesId || e.id };
+
+      if (rule.kind === "beforeStart") {
+        out.push({
+          ...base,
+          key: `${rule.id}:${e.id}`,
+          title: `${e.name} is out ${inDays(today, e.start)}`,
+          body: `${e.type} from ${e.start} to ${e.end}${e.notes ? ` — ${e.notes}` : ""}`,
+          to: emailsOf(audienceOf(person, people)),
+        });
+      } else if (rule.kind === "openCoverage") {
+        const open = [];
+        const owners = [person];
+        for (const item of normalizeCoverage(e)) {
+          const tasks = item.tasks.filter((t) => !t.done);
+          if (item.status === "done" && tasks.length === 0) continue;
+          const who = peopleById.get(item.assigneeId)?.displayName || "unassigned";
+          open.push(`• ${item.title || item.link} (${who})`);
+          for (const t of tasks) open.push(`   – ${t.text}`);
+          owners.push(peopleById.get(item.assigneeId), ...tasks.map((t) => peopleById.get(t.assigneeId)));
+        }
+        if (open.length === 0) continue;
+        out.push({
+          ...base,
+          key: `${rule.id}:${e.id}`,
+          title: `Coverage still open: ${e.name} is out ${inDays(today, e.start)}`,
+          body: `${e.type}, ${formatDays(daysBetween(e.start, e.end) + 1)} from ${e.start}\n${open.join("\n")}`,
+          to: emailsOf(owners),
+        });
+      }
+    }
+  }
+  return out;
+}
@@ -0,0 +1,119 @@
+// Numbers for the reports tab. Absences are counted in working days (weekends and each
+// person's holidays excluded, partial days weighted) and only inside the [from, to] window.
+import { buildOccupancy } from "./calendar.js";
+import { normalizeCoverage, taskAssignee } from "./coverage.js";
+import { addDays, eachDay, startOfWeek } from "./dates.js";
+import { dayAmount, isActive, personKey } from "./entries.js";
+import { isWeekend } from "./holidays.js";
+import { expandEntries } from "./recurrence.js";
+import { staffingOn } from "./staffing.js";
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// { people: [{ key, name, total, byType }], types: [{ type, total }], months: [{ month, total, byType }] }
+// `isOff(personKey, iso)` comes from the working calendar
+export function absenceTotals(entries, from, to, isOff) {
+  const people = new Map();
+  const types = new Map();
+  const months = new Map();
+  const add = (map, key, init, type, amount) => {
+    if (!map.has(key)) map.set(key, { ...init, total: 0, byType: {} });
+    const row = map.get(key);
+    row.total += amount;
+    row.byType[type] = (row.byType[type] || 0) + amount;
+  };
+
+  for (const e of expandEntries(entries.filter(isActive), from, to)) {
+    const start = e.start > from ? e.start : from;
+    const end = e.end < to ? e.end : to;
+    const key = personKey(e);
+    for (const iso of eachDay(start, end)) {
+      if (isOff(key, iso)) continue;
+      const amount = dayAmount(e);
+      add(people, key, { key, name: e.name }, e.type, amount);
+      add(types, e.type, { type: e.type }, e.type, amount);
+      add(months, iso.slice(0, 7), { month: iso.slice(0, 7) }, e.type, amount);
+    }
+  }
+  const tidy = (row) => ({
+    ...row,
+    total: round(row.total),
+    byType: Object.fromEntries(Object.entries(row.byType).map(([t, n]) => [t, round(n)])),
+  });
+  return {
+    people: [...people.values()].map(tidy).sort((a, b) => b.total - a.total || a.name.localeCompare(b.name)),
+    types: [...types.values()].map(({ type, total }) => ({ type, total: round(total) })).sort((a, b) => b.total - a.total),
+    months: [...months.values()].map(tidy).sort((a, b) => a.month.localeCompare(b.month)),
+  };
+}
+
+// Weeks (Sunday starts) touching [from, to]
+function weeksOf(from, to) {
+  const weeks = [];
+  for (let w = startOfWeek(from); w <= to; w = addDays(w, 7)) weeks.push(w);
+  return weeks;
+}
+
+// Share of each team that's available, per week: the average over the week's working days
+// of available / members. -> { weeks, rows: [{ team, cells: [{ week, rate }] }] }
+export function availabilityHeatmap(entries, teams, from, to, isOff) {
+  const byDate = buildOccupancy(entries.filter(isActive), from, to, isOff);
+  const weeks = weeksOf(from, to);
+  const rows = teams
+    .filter((t) => t.members.length > 0)
+    .map((team) => ({
+      team,
+      cells: weeks.map((week) => {
+        const days = eachDay(week, addDays(week, 6)).filter((iso) => iso >= from && iso <= to && !isWeekend(iso));
+        if (days.length === 0) return { week, rate: null };
+        const total = days.reduce((sum, iso) => sum + staffingOn(byDate, team, iso).available / team.members.length, 0);
+        return { week, rate: round(total / days.length) };
+      }),
+    }));
+  return { weeks, rows };
+}
+
+// The `limit` weeks from `today` on (within `weeks` weeks) with the most working days off
+export function peakWeeks(entries, today, isOff, { weeks = 13, limit = 5 } = {}) {
+  const from = startOfWeek(today);
+  const to = addDays(from, weeks * 7 - 1);
+  const byDate = buildOccupancy(entries.filter(isActive), from, to, isOff);
+  return weeksOf(from, to)
+    .map((week) => {
+      const people = new Set();
+      let days = 0;
+      for (const iso of eachDay(week, addDays(week, 6))) {
+        for (const [key, o] of byDate.get(iso) || []) {
+          people.add(key);
+          days += o.amount;
+        }
+      }
+      return { week, days: round(days), people: people.size };
+    })
+    .filter((w) => w.days > 0)
+    .sort((a, b) => b.days - a.days || a.week.localeCompare(b.week))
+    .slice(0, limit);
+}
+
+// Coverage checklist progress per owner for absences overlapping [from, to]. Each task counts
+// once for whoever it falls to; an item without tasks counts as one unit for its assignee.
+// -> [{ ownerId (null = unassigned), total, done, rate }]
+export function coverageCompletion(entries, from, to) {
+  const owners = new Map();
+  const count = (ownerId, done) => {
+    const row = owners.get(ownerId) || { ownerId, total: 0, done: 0 };
+    row.total++;
+    if (done) row.done++;
+    owners.set(ownerId, row);
+  };
+  for (const entry of entries) {
+    if (!isActive(entry) || !expandEntries([entry], from, to).some((e) => e.start <= to && from <= e.end)) continue;
+    for (const item of normalizeCoverage(entry)) {
+      if (item.tasks.length === 0) count(item.assigneeId, item.status === "done");
+      for (const t of item.tasks) count(taskAssignee(item, t) || null, t.done);
+    }
+  }
+  return [...owners.values()]
+    .map((row) => ({ ...row, rate: row.done / row.total }))
+    .sort((a, b) => a.rate - b.rate || b.total - a.total);
+}
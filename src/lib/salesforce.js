@@ -0,0 +1,87 @@
+// Salesforce record links on coverage items. Both URL styles are understood:
+//   https://acme.lightning.force.com/lightning/r/Opportunity/0065g00000AbCdEAAV/view
+//   https://acme.my.salesforce.com/0065g00000AbCdE            (Classic)
+// parseRecordLink() returns { type, id } with the 18-character ID, { error } when the link
+// can't be a Salesforce record (plus `malformed: true` when it isn't a usable http(s) URL at
+// all), or null for an empty link. It never throws: the Coverage board calls it while rendering.
+
+// Standard objects by the three-character key prefix every record ID starts with
+export const RECORD_TYPES = {
+  "001": "Account",
+  "003": "Contact",
+  "006": "Opportunity",
+  "00Q": "Lead",
+  "500": "Case",
+  "800": "Contract",
+  "0Q0": "Quote",
+  "701": "Campaign",
+};
+
+const HOST = /(^|\.)(force\.com|salesforce\.com)$/i;
+const ID = /^[a-zA-Z0-9]{15}(?:[A-Z0-5]{3})?$/;
+const SUFFIX_CHARS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ012345";
+
+// The 18-character form appends a checksum of which letters in the 15-character form are capitals
+export function toLongId(id) {
+  const base = id.slice(0, 15);
+  let suffix = "";
+  for (let chunk = 0; chunk < 3; chunk++) {
+    let bits = 0;
+    for (let i = 0; i < 5; i++) {
+      const ch = base[chunk * 5 + i];
+      if (ch >= "A" && ch <= "Z") bits |= 1 << i;
+    }
+    suffix += SUFFIX_CHARS[bits];
+  }
+  return base + suffix;
+}
+
+const WEB = /^https?:$/;
+
+// The link if it's safe to put in an href, else null. Links are shared, so one saved before
+// validation (or by another client) mustn't become a javascript: URL on someone's screen.
+export function safeHref(link) {
+  try {
+    return WEB.test(new URL(link).protocol) ? link : null;
+  } catch {
+    return null;
+  }
+}
+
+export function parseRecordLink(link) {
+  const text = (link || "").trim();
+  if (!text) return null;
+  let url;
+  try {
+    url = new URL(text);
+  } catch {
+    return { error: "Not a valid URL.", malformed: true };
+  }
+  if (!WEB.test(url.protocol)) return { error: "Links must start with http:// or https://.", malformed: true };
+  if (!HOST.test(url.hostname)) return { error: "Not a Salesforce link." };
+
+  let parts;
+  try {
+    parts = url.pathname.split("/").filter(Boolean).map(decodeURIComponent);
+  } catch {
+    return { error: "The link has a broken %-escape.", malformed: true };
+  }
+  let objectName = null;
+  let id = null;
+  if (parts[0] === "lightning" && parts[1] === "r") {
+    // /lightning/r/<Object>/<id>/view, or /lightning/r/<id>/view when the object is left out
+    if (ID.test(parts[2] || "")) id = parts[2];
+    else [objectName, id] = [parts[2], parts[3]];
+  } else {
+    id = parts[0];
+  }
+  if (!id || !ID.test(id)) return { error: "The link doesn't point at a record." };
+  if (id.length === 18 && toLongId(id) !== id) return { error: "The record ID's checksum doesn't match." };
+
+  const type = objectName || RECORD_TYPES[id.slice(0, 3)];
+  if (!type) return { error: `Unknown record type (ID prefix ${id.slice(0, 3)}).` };
+  return { type, id: toLongId(id) };
+}
+
+// Display label for a record type; custom objects lose their __c suffix
+export const recordTypeLabel = (type) => type.replace(/__c$/, "").replace(/_/g, " ");
@@ -0,0 +1,99 @@
+// Search box query language. Space-separated terms must all match:
+//   name:priya  type:sick  team:support  status:pending  coverage:acme
+//   from:2025-10-01 to:2025-10-31   (entries overlapping that range)
+// Values with spaces go in quotes (name:"Alex J"); anything else is free text matched
+// against name, aliases, type, notes and coverage items/tasks. Matching ignores case.
+import { normalizeCoverage } from "./coverage.js";
+import { makeISODate } from "./dates.js";
+import { STATUSES, entryStatus, personKey } from "./entries.js";
+import { occurrences } from "./recurrence.js";
+
+export const SEARCH_FIELDS = ["name", "type", "team", "status", "coverage", "from", "to"];
+
+const TOKEN = /(?:(\w+):)?(?:"([^"]*)"?|(\S*))/g;
+
+const validISO = (v) => {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(v);
+  return m ? makeISODate(+m[1], +m[2], +m[3]) : null;
+};
+
+// -> { terms, fields: { name: [], ... }, from, to, errors }
+export function parseQuery(text = "") {
+  const q = { terms: [], fields: {}, from: null, to: null, errors: [] };
+  for (const [, rawKey, quoted, bare] of text.matchAll(TOKEN)) {
+    const key = rawKey?.toLowerCase();
+    const value = (quoted ?? bare).trim();
+    if (!key || !SEARCH_FIELDS.includes(key)) {
+      const term = rawKey ? `${rawKey}:${value}` : value;
+      if (term) q.terms.push(term.toLowerCase());
+      continue;
+    }
+    if (!value) continue;
+    if (key === "from" || key === "to") {
+      const iso = validISO(value);
+      if (iso) q[key] = iso;
+      else q.errors.push(`${key}: needs a date like 2025-10-31`);
+      continue;
+    }
+    if (key === "status" && !STATUSES.some((s) => s.startsWith(value.toLowerCase()))) {
+      q.errors.push(`status: is one of ${STATUSES.join(", ")}`);
+      continue;
+    }
+    (q.fields[key] ||= []).push(value.toLowerCase());
+  }
+  if (q.from && q.to && q.to < q.from) q.errors.push("to: is before from:");
+  return q;
+}
+
+function coverageText(entry) {
+  return normalizeCoverage(entry).flatMap((c) => [c.title, c.notes, c.link, c.record?.name, ...c.tasks.map((t) => t.text)]);
+}
+
+const includesAll = (haystack, needles) => needles.every((n) => haystack.some((h) => h.includes(n)));
+
+// `person` is the directory record for the entry, `teamName` the name of their team
+export function matchesQuery(entry, q, { person, teamName } = {}) {
+  const lower = (list) => list.filter(Boolean).map((s) => String(s).toLowerCase());
+  const names = lower([entry.name, person?.displayName, ...(person?.aliases || [])]);
+  const coverage = lower(coverageText(entry));
+  const { name = [], type = [], team = [], status = [], coverage: cov = [] } = q.fields;
+
+  if (!includesAll(names, name)) return false;
+  if (!includesAll(lower([entry.type]), type)) return false;
+  if (!includesAll(lower([person?.team, teamName]), team)) return false;
+  if (!status.every((s) => entryStatus(entry).startsWith(s))) return false;
+  if (!includesAll(coverage, cov)) return false;
+  if ((q.from || q.to) && occurrences(entry, q.from, q.to).length === 0) return false;
+  return includesAll([...names, ...lower([entry.type, entry.notes]), ...coverage], q.terms);
+}
+
+// Who the entry belongs to, for matchesQuery
+export function searchContext(entry, peopleById, teams) {
+  const person = peopleById.get(personKey(entry));
+  return { person, teamName: teams.find((t) => t.id === person?.team)?.name };
+}
+
+// ---- filter state <-> URL (?q=…&type=…&team=…&manager=…)
+
+export const DEFAULT_FILTER = { query: "", type: "All", team: "All", manager: "All" };
+const PARAMS = { query: "q", type: "type", team: "team", manager: "manager" };
+
+export function filterFromSearch(search) {
+  const params = new URLSearchParams(search);
+  const filter = { ...DEFAULT_FILTER };
+  for (const [field, param] of Object.entries(PARAMS)) {
+    if (params.has(param)) filter[field] = params.get(param);
+  }
+  return filter;
+}
+
+// Returns the full search string with the filter's params replaced; other params are left alone
+export function filterToSearch(filter, search = "") {
+  const params = new URLSearchParams(search);
+  for (const [field, param] of Object.entries(PARAMS)) {
+    if (filter[field] && filter[field] !== DEFAULT_FILTER[field]) params.set(param, filter[field]);
+    else params.delete(param);
+  }
+  const s = params.toString();
+  return s ? `?${s}` : "";
+}
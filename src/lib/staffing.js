@@ -0,0 +1,72 @@
+// Team minimum-staffing checks built on the calendar's per-day occupancy map
+// (ISO date -> Map(personKey -> { name, status, amount })). Weekends are never flagged.
+import { buildOccupancy } from "./calendar.js";
+import { eachDay } from "./dates.js";
+import { isActive, personKey } from "./entries.js";
+import { isWeekend } from "./holidays.js";
+import { expandEntries, occurrences, seriesEnd } from "./recurrence.js";
+
+// Stored teams are [{ id, name, minStaff }]; membership comes from each person's `team`.
+export const DEFAULT_TEAMS = [];
+
+// Attach `members` (person ids) to each team from the people directory
+export const withMembers = (teams, people) =>
+  teams.map((t) => ({ ...t, members: people.filter((p) => p.team === t.id).map((p) => p.id) }));
+
+export const teamsOf = (teams, key) => teams.filter((t) => t.members.includes(key));
+
+// Active absences of other people that intersect any of the candidate's occurrences.
+// Recurring entries come back as the individual occurrences that clash.
+export function overlapping(entries, candidate) {
+  const mine = occurrences(candidate);
+  const others = entries.filter(
+    (e) => isActive(e) && e.id !== candidate.id && personKey(e) !== personKey(candidate)
+  );
+  return expandEntries(others, candidate.start, seriesEnd(candidate)).filter((e) =>
+    mine.some((o) => e.start <= o.end && o.start <= e.end)
+  );
+}
+
+// Headcount for one team on one day; partial absences count fractionally
+export function staffingOn(byDate, team, iso) {
+  const day = byDate.get(iso);
+  const out = [];
+  let away = 0;
+  for (const key of team.members) {
+    const o = day?.get(key);
+    if (!o) continue;
+    out.push(o.name);
+    away += o.amount;
+  }
+  const available = Math.round((team.members.length - away) * 100) / 100;
+  return { out, available, short: available < team.minStaff };
+}
+
+// ISO date -> [{ team, out, available }] for every understaffed team/day in [from, to]
+export function understaffedDays(teams, byDate, from, to) {
+  const risks = new Map();
+  for (const iso of eachDay(from, to)) {
+    if (isWeekend(iso)) continue;
+    for (const team of teams) {
+      if (!team.minStaff) continue;
+      const s = staffingOn(byDate, team, iso);
+      if (!s.short) continue;
+      if (!risks.has(iso)) risks.set(iso, []);
+      risks.get(iso).push({ team, out: s.out, available: s.available });
+    }
+  }
+  return risks;
+}
+
+// Days the candidate would be out where one of the requester's teams would drop below minimum
+export function staffingImpact(teams, entries, candidate, isOff) {
+  const mine = teamsOf(teams, personKey(candidate));
+  if (mine.length === 0 || candidate.end < candidate.start) return [];
+  const from = candidate.start;
+  const to = seriesEnd(candidate);
+  const active = entries.filter(isActive);
+  const byDate = buildOccupancy([...active, candidate], from, to, isOff);
+  const out = occurrences(candidate);
+  const impact = Array.from(understaffedDays(mine, byDate, from, to), ([date, list]) => ({ date, list }));
+  return impact.filter(({ date }) => out.some((o) => o.start <= date && date <= o.end));
+}
@@ -0,0 +1,185 @@
+// Where entries live. Both adapters share one async interface:
+//   load() -> entries | null (null when nothing has been saved yet)
+//   apply(ops, next) -> resolves once the changes are stored
+//   loadSettings() -> { [key]: value } for the SHARED_SETTINGS that have been saved
+//   saveSetting(key, value) -> resolves once it's stored
+//   loadAudit() -> history records, oldest first (see audit.js)
+//   appendAudit(records) -> resolves once they're stored; history is only ever added to
+//   claimReminders(keys, today) -> the keys no one has sent yet, now marked as sent
+//   releaseReminder(key) -> forgets a claim whose delivery failed, so it's retried
+// `ops` comes from diffEntries(); the localStorage adapter just writes `next`.
+import { addDays } from "./dates.js";
+import { migrateEntries } from "./migrations.js";
+
+const ENTRIES_KEY = "ooo_entries";
+
+// Settings the whole team sees the same way: the directory (who manages whom decides who may
+// edit what) and the catalogs requests are checked against. Reminders and saved filters stay
+// per browser.
+export const SHARED_SETTINGS = ["people", "teams", "types", "policies", "holidays", "templates"];
+const AUDIT_KEY = "ooo_audit";
+// History shares the browser's storage quota with the entries, so only the latest records are kept
+const LOCAL_AUDIT_LIMIT = 500;
+const SENT_KEY = "ooo_reminders_sent"; // { [reminder key]: date sent }
+
+function readSent() {
+  try {
+    return JSON.parse(localStorage.getItem(SENT_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+export function localStorageAdapter(key = ENTRIES_KEY, auditKey = AUDIT_KEY) {
+  return {
+    name: "This browser",
+    async load() {
+      const saved = localStorage.getItem(key);
+      return saved ? JSON.parse(saved) : null;
+    },
+    async apply(_ops, next) {
+      localStorage.setItem(key, JSON.stringify(next));
+    },
+    async loadSettings() {
+      const settings = {};
+      for (const name of SHARED_SETTINGS) {
+        const saved = localStorage.getItem(`ooo_${name}`);
+        if (saved) settings[name] = JSON.parse(saved);
+      }
+      return settings;
+    },
+    async saveSetting(name, value) {
+      localStorage.setItem(`ooo_${name}`, JSON.stringify(value));
+    },
+    async loadAudit() {
+      return JSON.parse(localStorage.getItem(auditKey) || "[]");
+    },
+    async appendAudit(records) {
+      const saved = JSON.parse(localStorage.getItem(auditKey) || "[]");
+      localStorage.setItem(auditKey, JSON.stringify([...saved, ...records].slice(-LOCAL_AUDIT_LIMIT)));
+    },
+    async claimReminders(keys, today) {
+      // Keys are forgotten after 60 days; nothing that old can come due again
+      const sent = Object.fromEntries(Object.entries(readSent()).filter(([, date]) => date >= addDays(today, -60)));
+      const claimed = keys.filter((k) => !sent[k]);
+      for (const k of claimed) sent[k] = today;
+      localStorage.setItem(SENT_KEY, JSON.stringify(sent));
+      return claimed;
+    },
+    async releaseReminder(reminderKey) {
+      const sent = readSent();
+      delete sent[reminderKey];
+      localStorage.setItem(SENT_KEY, JSON.stringify(sent));
+    },
+  };
+}
+
+// Talks to the bundled server (server/index.js), e.g. baseUrl "/api" behind the Vite proxy
+export function httpAdapter(baseUrl) {
+  const root = baseUrl.replace(/\/+$/, "");
+
+  async function request(method, path, body) {
+    let res;
+    try {
+      res = await fetch(root + path, {
+        method,
+        headers: body === undefined ? undefined : { "Content-Type": "application/json" },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+    } catch {
+      throw new Error(`Can't reach the server at ${root}.`);
+    }
+    const text = await res.text();
+    const data = text ? JSON.parse(text) : null;
+    if (!res.ok) throw new Error(data?.error || `${method} ${path} failed (${res.status}).`);
+    return data;
+  }
+
+  const entryPath = (id) => `/entries/${encodeURIComponent(id)}`;
+  const coveragePath = (entryId, itemId) =>
+    `${entryPath(entryId)}/coverage` + (itemId ? `/${encodeURIComponent(itemId)}` : "");
+
+  const send = {
+    createEntry: (op) => request("POST", "/entries", op.entry),
+    updateEntry: (op) => request("PUT", entryPath(op.entry.id), op.entry),
+    deleteEntry: (op) => request("DELETE", entryPath(op.id)),
+    createCoverage: (op) => request("POST", `${coveragePath(op.entryId)}?index=${op.index}`, op.item),
+    updateCoverage: (op) => request("PUT", coveragePath(op.entryId, op.item.id), op.item),
+    deleteCoverage: (op) => request("DELETE", coveragePath(op.entryId, op.itemId)),
+  };
+
+  return {
+    name: `Team server (${root})`,
+    async load() {
+      const entries = await request("GET", "/entries");
+      return entries && migrateEntries(entries);
+    },
+    async apply(ops) {
+      // In order: a coverage item can't be added before its entry exists
+      for (const op of ops) await send[op.type](op);
+    },
+    async loadSettings() {
+      return (await request("GET", "/settings")) || {};
+    },
+    async saveSetting(name, value) {
+      await request("PUT", `/settings/${encodeURIComponent(name)}`, value);
+    },
+    async loadAudit() {
+      return (await request("GET", "/audit")) || [];
+    },
+    async appendAudit(records) {
+      await request("POST", "/audit", records);
+    },
+    async claimReminders(keys, today) {
+      return (await request("POST", "/reminders", { keys, date: today })) || [];
+    },
+    async releaseReminder(key) {
+      await request("DELETE", `/reminders/${encodeURIComponent(key)}`);
+    },
+  };
+}
+
+// VITE_OOO_API (e.g. "/api") switches the app to the shared server
+export function createStorage(apiUrl = import.meta.env.VITE_OOO_API) {
+  return apiUrl ? httpAdapter(apiUrl) : localStorageAdapter();
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Smallest set of entry / coverage-item operations turning `prev` into `next`.
+// Reordered or legacy (string) coverage falls back to updating the whole entry.
+export function diffEntries(prev, next) {
+  const before = new Map(prev.map((e) => [e.id, e]));
+  const ops = [];
+  for (const entry of next) {
+    const old = before.get(entry.id);
+    before.delete(entry.id);
+    if (!old) {
+      ops.push({ type: "createEntry", entry });
+      continue;
+    }
+    if (old === entry) continue;
+    const { coverage: oldItems = [], ...oldRest } = old;
+    const { coverage: newItems = [], ...newRest } = entry;
+    const itemIds = (items) => items.map((c) => c?.id);
+    const kept = itemIds(newItems).filter((id) => itemIds(oldItems).includes(id));
+    const reordered = !same(kept, itemIds(oldItems).filter((id) => kept.includes(id)));
+    const legacy = [...oldItems, ...newItems].some((c) => typeof c !== "object" || !c.id);
+    if (!same(oldRest, newRest) || reordered || legacy) {
+      if (!same(old, entry)) ops.push({ type: "updateEntry", entry });
+      continue;
+    }
+    // Deletes first so each create's index matches the final order
+    const oldById = new Map(oldItems.map((c) => [c.id, c]));
+    for (const itemId of oldById.keys()) {
+      if (!kept.includes(itemId)) ops.push({ type: "deleteCoverage", entryId: entry.id, itemId });
+    }
+    newItems.forEach((item, index) => {
+      const was = oldById.get(item.id);
+      if (!was) ops.push({ type: "createCoverage", entryId: entry.id, item, index });
+      else if (!same(was, item)) ops.push({ type: "updateCoverage", entryId: entry.id, item });
+    });
+  }
+  for (const id of before.keys()) ops.push({ type: "deleteEntry", id });
+  return ops;
+}
@@ -0,0 +1,57 @@
+// The entry list lives in one reducer; every change (form, coverage board, imports,
+// storage loads and rollbacks) is an action, so nothing writes around it.
+import octoberImport from "../data/ooo_import_october_2025.json";
+import { normalizeCoverage } from "./coverage.js";
+import { mergeEntries } from "./entries.js";
+
+export function entriesReducer(state, action) {
+  switch (action.type) {
+    case "replace":
+      return action.entries;
+    case "add":
+      return [...state, action.entry];
+    case "update":
+      return state.map((e) => (e.id === action.entry.id ? action.entry : e));
+    case "insert":
+      return [...state.slice(0, action.index), action.entry, ...state.slice(action.index)];
+    case "remove":
+      return state.filter((e) => e.id !== action.id);
+    case "merge":
+      return mergeEntries(state, action.entries).merged;
+    case "setCoverage":
+      return state.map((e) => (e.id === action.entryId ? { ...e, coverage: action.coverage } : e));
+    case "setRecords":
+      // Fetched CRM data, { [entryId]: { [itemId]: record } }, patched onto whatever the
+      // items are now; entries and items removed since the fetch started are skipped
+      return state.map((e) => {
+        const records = action.records[e.id];
+        const coverage = records && normalizeCoverage(e);
+        if (!coverage?.some((c) => c.id in records)) return e;
+        return { ...e, coverage: coverage.map((c) => (c.id in records ? { ...c, record: records[c.id] } : c)) };
+      });
+    default:
+      throw new Error(`Unknown entries action: ${action.type}`);
+  }
+}
+
+// Spreadsheets shipped with the app. Each is merged once per browser (tracked in
+// localStorage) so entries someone deletes don't come back on the next load.
+const BUNDLED_IMPORTS = [{ id: "ooo_import_october_2025", entries: octoberImport }];
+const APPLIED_KEY = "ooo_bundled_imports";
+
+export function withBundledImports(entries) {
+  let applied;
+  try {
+    applied = JSON.parse(localStorage.getItem(APPLIED_KEY)) || [];
+  } catch {
+    applied = [];
+  }
+  let next = entries;
+  for (const bundle of BUNDLED_IMPORTS) {
+    if (applied.includes(bundle.id)) continue;
+    next = mergeEntries(next, bundle.entries).merged;
+    applied = [...applied, bundle.id];
+  }
+  localStorage.setItem(APPLIED_KEY, JSON.stringify(applied));
+  return next;
+}
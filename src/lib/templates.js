@@ -0,0 +1,108 @@
+// Handoff templates: named sets of coverage items with checklist tasks, offered for a team
+// (role) and/or an absence type. null for either means any.
+//   { id, name, team, type, items: [{ title, link, notes, tasks: [text] }] }
+// Text may use {{owner}}, {{start}}, {{end}}, {{range}} and {{type}}; they're filled in from
+// the absence the template is applied to.
+
+export const TEMPLATE_VARIABLES = ["owner", "start", "end", "range", "type"];
+
+export const DEFAULT_TEMPLATES = [
+  {
+    id: "tpl-deals",
+    name: "Deal handoff",
+    team: null,
+    type: null,
+    items: [
+      {
+        title: "Deals: {{owner}}'s open opportunities",
+        link: "",
+        notes: "{{owner}} is out {{range}}. Keep deals moving and log every touch.",
+        tasks: ["Email decision-maker", "Update next steps", "Flag anything closing before {{end}}"],
+      },
+    ],
+  },
+  {
+    id: "tpl-support",
+    name: "Support queue handoff",
+    team: null,
+    type: null,
+    items: [
+      {
+        title: "Support: {{owner}}'s Tier-2 backlog",
+        link: "",
+        notes: "",
+        tasks: ["Triage new tickets daily", "Reply to customers waiting on {{owner}}"],
+      },
+    ],
+  },
+  {
+    id: "tpl-vacation",
+    name: "Vacation basics",
+    team: null,
+    type: "Vacation",
+    items: [
+      {
+        title: "Inbox and meetings",
+        link: "",
+        notes: "",
+        tasks: ["Set out-of-office reply until {{end}}", "Decline or delegate meetings {{range}}"],
+      },
+    ],
+  },
+];
+
+export function makeTemplate(name) {
+  return { id: crypto.randomUUID(), name, team: null, type: null, items: [] };
+}
+
+// Templates offered for an absence, the most specific ones first
+export function templatesFor(templates, { team, type }) {
+  const specificity = (t) => (t.team ? 1 : 0) + (t.type ? 1 : 0);
+  return templates
+    .filter((t) => (!t.team || t.team === team) && (!t.type || t.type === type))
+    .sort((a, b) => specificity(b) - specificity(a) || a.name.localeCompare(b.name));
+}
+
+export const templateVars = ({ owner, start, end, type }) => ({
+  owner,
+  start,
+  end,
+  range: start === end ? `on ${start}` : `${start} → ${end}`,
+  type,
+});
+
+// Unknown variables are left as typed so a typo shows up rather than vanishing
+export const fillVariables = (text, vars) =>
+  text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (vars[name] == null ? match : String(vars[name])));
+
+// Fresh coverage items (new ids, open, unassigned) from a template, variables left unfilled
+export function instantiateTemplate(template) {
+  return template.items.map((item) => ({
+    id: crypto.randomUUID(),
+    title: item.title,
+    link: item.link || "",
+    notes: item.notes || "",
+    assigneeId: null,
+    due: "",
+    status: "open",
+    record: null,
+    tasks: item.tasks.map((text) => ({
+      id: crypto.randomUUID(),
+      text,
+      assigneeId: null,
+      due: "",
+      status: "open",
+      done: false,
+    })),
+  }));
+}
+
+export function fillCoverage(items, vars) {
+  return items.map((c) => ({
+    ...c,
+    title: fillVariables(c.title, vars),
+    link: fillVariables(c.link, vars),
+    notes: fillVariables(c.notes, vars),
+    tasks: c.tasks.map((t) => ({ ...t, text: fillVariables(t.text, vars) })),
+  }));
+}
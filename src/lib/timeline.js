@@ -0,0 +1,49 @@
+// Layout for the team timeline: one row per person, each absence a bar over [from, to].
+import { daysBetween } from "./dates.js";
+import { personKey } from "./entries.js";
+import { byDisplayName } from "./people.js";
+import { expandEntries } from "./recurrence.js";
+
+// Bars as { entry, offset, length, lane } in days from `from`, clipped to the range.
+// Overlapping bars for the same person go on separate lanes so none is hidden.
+export function layoutBars(entries, from, to) {
+  const bars = expandEntries(entries, from, to)
+    .filter((e) => e.start <= to && from <= e.end)
+    .sort((a, b) => a.start.localeCompare(b.start) || b.end.localeCompare(a.end));
+  const laneEnds = [];
+  return bars.map((entry) => {
+    const start = entry.start > from ? entry.start : from;
+    const end = entry.end < to ? entry.end : to;
+    let lane = laneEnds.findIndex((last) => last < entry.start);
+    if (lane === -1) lane = laneEnds.length;
+    laneEnds[lane] = entry.end;
+    return { entry, offset: daysBetween(from, start), length: daysBetween(start, end) + 1, lane };
+  });
+}
+
+// [{ id, name, rows: [{ person, bars, lanes }] }]; everyone is listed, absences or not.
+// Without `byTeam` there's a single group holding the whole directory.
+export function timelineGroups(entries, people, teams, from, to, byTeam) {
+  const byPerson = new Map();
+  for (const e of entries) {
+    const key = personKey(e);
+    if (!byPerson.has(key)) byPerson.set(key, []);
+    byPerson.get(key).push(e);
+  }
+  const rowOf = (person) => {
+    const bars = layoutBars(byPerson.get(person.id) || [], from, to);
+    return { person, bars, lanes: Math.max(1, ...bars.map((b) => b.lane + 1)) };
+  };
+  const sorted = [...people].sort(byDisplayName);
+  if (!byTeam) return [{ id: "all", name: "Everyone", rows: sorted.map(rowOf) }];
+
+  const groups = teams.map((t) => ({
+    id: t.id,
+    name: t.name,
+    rows: sorted.filter((p) => p.team === t.id).map(rowOf),
+  }));
+  const known = new Set(teams.map((t) => t.id));
+  const rest = sorted.filter((p) => !known.has(p.team));
+  if (rest.length) groups.push({ id: "none", name: "No team", rows: rest.map(rowOf) });
+  return groups.filter((g) => g.rows.length > 0);
+}
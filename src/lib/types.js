@@ -0,0 +1,41 @@
+// Absence type catalog, editable by admins. Entries store the type's `name` in `type`, so a
+// name can only change while no entry uses it.
+//   { name, color, icon, requiresApproval, countsAgainstBalance, privateNotes }
+// `privateNotes` keeps the reason (e.g. for sick leave) out of shared views and exports.
+
+export const DEFAULT_TYPES = [
+  { name: "Vacation", color: "#6366f1", icon: "🌴", requiresApproval: true, countsAgainstBalance: true, privateNotes: false },
+  { name: "Sick Leave", color: "#ef4444", icon: "🤒", requiresApproval: false, countsAgainstBalance: true, privateNotes: true },
+  { name: "Public Holiday", color: "#6b7280", icon: "🎉", requiresApproval: false, countsAgainstBalance: false, privateNotes: false },
+  { name: "Training", color: "#10b981", icon: "🎓", requiresApproval: true, countsAgainstBalance: true, privateNotes: false },
+  { name: "Other", color: "#f59e0b", icon: "📌", requiresApproval: true, countsAgainstBalance: false, privateNotes: false },
+];
+
+// Entries can carry a type that has since been removed from the catalog (or came from an import)
+const FALLBACK = { color: "#9ca3af", icon: "", requiresApproval: true, countsAgainstBalance: false, privateNotes: false };
+
+export const typeOf = (types, name) => types.find((t) => t.name === name) || { ...FALLBACK, name };
+
+export const typeNames = (types) => types.map((t) => t.name);
+
+export function makeType(name) {
+  return { ...FALLBACK, name, color: "#0ea5e9" };
+}
+
+// Notes as shown in shared views: empty when the type keeps them private
+export const sharedNotes = (types, entry) => (typeOf(types, entry.type).privateNotes ? "" : entry.notes || "");
+
+// Balance policies follow the catalog: only types that count against the balance are tracked,
+// and a type newly switched on starts from a zero allowance until one is set.
+export function balancePolicies(policies, types) {
+  const tracked = types.filter((t) => t.countsAgainstBalance);
+  return {
+    ...policies,
+    types: Object.fromEntries(
+      tracked.map((t) => [
+        t.name,
+        policies.types[t.name] || { allowance: 0, accrual: "annual", carryOver: 0, enforce: "warn" },
+      ])
+    ),
+  };
+}
@@ -0,0 +1,34 @@
+import { useEffect, useState } from "react";
+
+// Session state for an auth adapter (see auth.js). Returns { ready, user, error, signIn, signOut };
+// `ready` turns true once any earlier session has been looked up.
+export function useAuth(auth) {
+  const [state, setState] = useState({ ready: false, user: null, error: null });
+
+  useEffect(() => {
+    let live = true;
+    auth.restore().then(
+      (user) => live && setState({ ready: true, user, error: null }),
+      (err) => live && setState({ ready: true, user: null, error: err.message })
+    );
+    return () => {
+      live = false;
+    };
+  }, [auth]);
+
+  async function signIn(details) {
+    try {
+      const user = await auth.signIn(details);
+      setState({ ready: true, user, error: null });
+    } catch (err) {
+      setState((s) => ({ ...s, error: err.message }));
+    }
+  }
+
+  async function signOut() {
+    await auth.signOut();
+    setState({ ready: true, user: null, error: null });
+  }
+
+  return { ...state, signIn, signOut };
+}
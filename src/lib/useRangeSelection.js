@@ -0,0 +1,50 @@
+import { useEffect, useRef, useState } from "react";
+
+// Click-drag (or keyboard) selection of a date range, optionally within a row such as
+// a person on the timeline. Callers feed it dates as the pointer or focus moves:
+//   begin(row, iso) on pointer down or Enter, extend(row, iso) as it moves,
+//   finish() on pointer up or the second Enter, cancel() on Escape.
+// onSelect(from, to, row) gets the range in order once finished.
+export function useRangeSelection(onSelect) {
+  const [selection, setSelection] = useState(null); // { row, anchor, current }
+  const latest = useRef(selection);
+  latest.current = selection;
+  const callback = useRef(onSelect);
+  callback.current = onSelect;
+
+  function finish() {
+    const s = latest.current;
+    if (!s) return;
+    setSelection(null);
+    const [from, to] = s.anchor <= s.current ? [s.anchor, s.current] : [s.current, s.anchor];
+    callback.current(from, to, s.row);
+  }
+
+  // A drag that ends outside the grid still counts
+  useEffect(() => {
+    if (!selection?.pointer) return;
+    window.addEventListener("pointerup", finish);
+    return () => window.removeEventListener("pointerup", finish);
+  }, [selection?.pointer]);
+
+  // [from, to] being selected in `row`, or null
+  function range(row) {
+    const s = selection;
+    if (!s || s.row !== row) return null;
+    return s.anchor <= s.current ? [s.anchor, s.current] : [s.current, s.anchor];
+  }
+
+  return {
+    active: selection !== null,
+    begin: (row, iso, { pointer = false } = {}) => setSelection({ row, anchor: iso, current: iso, pointer }),
+    extend: (row, iso) =>
+      setSelection((s) => (s && s.row === row && s.current !== iso ? { ...s, current: iso } : s)),
+    finish,
+    cancel: () => setSelection(null),
+    range,
+    includes(row, iso) {
+      const r = range(row);
+      return !!r && r[0] <= iso && iso <= r[1];
+    },
+  };
+}
@@ -0,0 +1,72 @@
+import { useEffect, useRef, useState } from "react";
+import { todayIn } from "./dates.js";
+import { channelsFor, deliver } from "./notify.js";
+import { dueReminders } from "./reminders.js";
+
+const LOG_KEY = "ooo_reminder_log";
+const LOG_SIZE = 50;
+const CHECK_EVERY_MS = 15 * 60 * 1000;
+
+const readJSON = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+// Checks the rules when entries change and every 15 minutes while the app is open, and
+// delivers whatever hasn't gone out yet. What's been sent is kept in `storage`, so with the
+// team server each reminder goes out from whichever open browser claims it first. A claim is
+// released if every channel fails, so it's retried on the next check. Returns { log, runNow }.
+export function useReminders({ storage, settings, entries, people, ready }) {
+  const [log, setLog] = useState(() => readJSON(LOG_KEY, []));
+  const running = useRef(false);
+  const latest = useRef();
+  latest.current = { settings, entries, people };
+
+  async function check() {
+    const { settings, entries, people } = latest.current;
+    const channels = channelsFor(settings);
+    if (running.current || channels.length === 0) return;
+    running.current = true;
+    try {
+      const today = todayIn();
+      const due = dueReminders(settings.rules, entries, people, today);
+      if (due.length === 0) return;
+      let claimed;
+      try {
+        claimed = new Set(await storage.claimReminders(due.map((r) => r.key), today));
+      } catch {
+        return; // storage unreachable; nothing is sent until the next check can claim it
+      }
+      const lines = [];
+      for (const reminder of due.filter((r) => claimed.has(r.key))) {
+        const results = await deliver(reminder, channels);
+        if (results.every((r) => r.error)) await storage.releaseReminder(reminder.key).catch(() => {});
+        lines.push({ key: reminder.key, title: reminder.title, at: new Date().toISOString(), results });
+      }
+      if (lines.length) {
+        setLog((prev) => {
+          const next = [...lines.reverse(), ...prev].slice(0, LOG_SIZE);
+          localStorage.setItem(LOG_KEY, JSON.stringify(next));
+          return next;
+        });
+      }
+    } finally {
+      running.current = false;
+    }
+  }
+
+  useEffect(() => {
+    if (ready) check();
+  }, [ready, settings, entries, people]);
+
+  useEffect(() => {
+    if (!ready) return;
+    const timer = setInterval(check, CHECK_EVERY_MS);
+    return () => clearInterval(timer);
+  }, [ready]);
+
+  return { log, runNow: check };
+}
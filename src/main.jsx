@@ -2,6 +2,9 @@ import React from "react";
 import { createRoot } from "react-dom/client";
 import App from "./App.jsx";
 import "./index.css"; // <-- required for Tailwind
+import { migrateLocalStorage } from "./lib/migrations.js";
+
+migrateLocalStorage();
 
 createRoot(document.getElementById("root")).render(
   <React.StrictMode>
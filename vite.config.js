@@ -3,4 +3,9 @@ import react from "@vitejs/plugin-react";
 
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // For VITE_OOO_API=/api: forward to the bundled server (npm run server);
+    // for VITE_OOO_CRM=/crm: to the CRM mock (npm run crm-mock)
+    proxy: { "/api": "http://localhost:8787", "/crm": "http://localhost:8789" },
+  },
 });